@@ -1,25 +1,93 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { version as appVersion } from '../package.json';
 import {
   calculatePlanCost as calculatePlanCostImpl,
   getDetailedCostBreakdown as getDetailedCostBreakdownImpl,
-  saveToLocalStorage,
-  loadFromLocalStorage,
+  compareMedicationSupplies as compareMedicationSuppliesImpl,
+  simulateClaimsByMonth,
+  runRiskAnalysis,
+  optimizeCoverage,
+  calculatePremiumTaxCredit,
+  applyMarketplaceSubsidy,
+  applyProviderNetworks,
+  getProviderNetworkSummary,
+  parseFormulary,
+  hasFormulary,
+  openWorkspaces,
+  loadWorkspace,
+  saveWorkspace,
+  createWorkspace,
+  listWorkspaces,
+  renameWorkspace,
+  duplicateWorkspace,
+  deleteWorkspace,
+  setActiveWorkspace,
+  recordEdit,
+  undoEdit,
+  redoEdit,
+  isSameSnapshot,
+  saveHistoryToSession,
+  loadHistoryFromSession,
+  migrateData,
+  versionData,
+  planSchema,
+  personSchema,
+  workspaceSchema,
+  createWorkspaceBundle,
+  readWorkspaceBundle,
+  mergeWorkspace,
+  workspaceConflictModes,
+  workspaceMatchModes,
+  checkImport,
+  formatValidationError,
   clearAllData,
   exportData,
   createNewPerson,
   createNewPlan,
-  createScenarios,
+  createDefaultScenarios,
+  createNewScenario,
+  createScenarioPeople,
+  scenarioRuleTypes,
   importPeople,
   importPlans,
   importPlanFromJSON,
   defaultPerson,
+  defaultPlan,
   defaultCostSettings,
+  defaultRiskSettings,
+  createDefaultRiskSettings,
+  plannedEventUnits,
+  pediatricServiceUnits,
+  isPediatric,
+  costSharingTypes,
+  familyAccumulationModes,
+  hraCoverageOptions,
+  premiumTiers,
+  payPeriodFrequencies,
+  relationshipTypes,
+  coverageRankingMetrics,
+  getPersonRelationship,
+  getPersonAge,
+  isAgedOutDependent,
+  premiumRatingMethods,
+  mergeOutOfNetwork,
+  createNewProvider,
+  providerTypes,
+  providerNetworkStatuses,
+  metalLevels,
+  medicationSupplies,
+  getMedicationSupply,
+  getSupplyCopayMultiplier,
+  defaultHousehold,
+  csrLevels,
+  dependentAgeLimit,
   Icon,
   ErrorBoundary,
   LLM_PROMPT,
   copyToClipboard,
   formatVisitType,
-  SCENARIOS,
+  SCENARIO_COLORS,
+  MONTH_LABELS,
   useDarkMode,
   DarkModeToggle
 } from './healthcareCompare';
@@ -34,7 +102,274 @@ const formatCurrency = (value) => {
   }).format(value);
 };
 
-const HealthInsuranceCalculator = () => {
+// Cost-sharing type picker (plus per-visit cap) shown under each plan amount
+const CostSharingControls = ({ plan, category, serviceKey, onChange }) => {
+  const rule = plan.costSharing?.[category]?.[serviceKey] || {};
+  return (
+    <div className="flex gap-2 mt-1">
+      <select
+        value={rule.type || ''}
+        onChange={(e) => onChange(plan.id, category, serviceKey, 'type', e.target.value)}
+        className="flex-1 px-1 py-1 border border-gray-300 dark:border-gray-500 rounded text-xs bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+        title={costSharingTypes.find(t => t.key === rule.type)?.description || 'Read from the amount: above 1 is dollars, otherwise a rate'}
+      >
+        <option value="">Auto (by amount)</option>
+        {costSharingTypes.map(t => (
+          <option key={t.key} value={t.key}>{t.label}</option>
+        ))}
+      </select>
+      {rule.type === 'coinsuranceWithCap' && (
+        <input
+          type="number"
+          step="0.01"
+          placeholder="Max $"
+          value={rule.cap || ''}
+          onChange={(e) => onChange(plan.id, category, serviceKey, 'cap', parseFloat(e.target.value) || 0)}
+          className="w-20 px-1 py-1 border border-gray-300 dark:border-gray-500 rounded text-xs bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+          title="Maximum coinsurance per visit or fill"
+        />
+      )}
+    </div>
+  );
+};
+
+// Checkbox marking a visit type, planned event or medication as received out of network
+const OutOfNetworkToggle = ({ checked, onChange }) => (
+  <label
+    className={`flex items-center gap-1 px-1 text-xs whitespace-nowrap ${checked ? 'text-orange-600 dark:text-orange-400 font-medium' : 'text-gray-500 dark:text-gray-400'}`}
+    title="Out of network: uses the plan's out-of-network deductible, MOOP and coinsurance"
+  >
+    <input type="checkbox" checked={!!checked} onChange={(e) => onChange(e.target.checked)} />
+    OON
+  </label>
+);
+
+// Charge lines shown in the general breakdown groups; pediatric dental and vision get their own
+const isGeneralCharge = (item) => item.group !== 'pediatric';
+
+// Month-by-month cash flow: deductible/MOOP milestones, stacked bar chart and table
+const MonthlyCashFlow = ({ simulation }) => {
+  const maxTotal = Math.max(...simulation.months.map(m => m.total), 1);
+  const showPeople = simulation.people.length > 1;
+  return (
+    <div>
+      {/* Milestones */}
+      <div className="mb-4 p-3 bg-blue-50 dark:bg-blue-900/30 rounded-lg border border-blue-200 dark:border-blue-700">
+        <h5 className="font-semibold text-blue-800 dark:text-blue-200 mb-2">Deductible & Out-of-Pocket Milestones</h5>
+        {simulation.milestones.length > 0 ? (
+          <ul className="text-sm text-blue-700 dark:text-blue-300 space-y-1">
+            {simulation.milestones.map((milestone, index) => (
+              <li key={index} className="flex items-center gap-2">
+                <Icon name="flag" size={12} />
+                <span className="font-medium w-8">{MONTH_LABELS[milestone.month - 1]}</span>
+                <span>{milestone.label}</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-blue-700 dark:text-blue-300">No deductible or out-of-pocket max is reached this year.</p>
+        )}
+      </div>
+
+      {/* Chart */}
+      <div className="mb-4">
+        <div className="flex items-end gap-1 h-40">
+          {simulation.months.map(month => (
+            <div key={month.month} className="flex-1 h-full flex flex-col justify-end" title={`${month.label}: ${formatCurrency(month.total)}`}>
+              {month.milestones.length > 0 && (
+                <div className="flex justify-center text-red-600 dark:text-red-400"><Icon name="flag" size={12} /></div>
+              )}
+              <div className="bg-orange-400 dark:bg-orange-500 rounded-t" style={{ height: `${(month.outOfPocket / maxTotal) * 100}%` }} />
+              <div className="bg-blue-400 dark:bg-blue-500" style={{ height: `${(month.premium / maxTotal) * 100}%` }} />
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-1 mt-1">
+          {simulation.months.map(month => (
+            <div key={month.month} className="flex-1 text-center text-xs text-gray-500 dark:text-gray-400">{month.label}</div>
+          ))}
+        </div>
+        <div className="flex gap-4 mt-2 text-xs text-gray-600 dark:text-gray-400">
+          <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 bg-blue-400 dark:bg-blue-500 rounded-sm" /> Premium</span>
+          <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 bg-orange-400 dark:bg-orange-500 rounded-sm" /> Out-of-Pocket</span>
+        </div>
+      </div>
+
+      {/* Table */}
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs sm:text-sm">
+          <thead>
+            <tr className="border-b border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-400">
+              <th className="text-left py-1 pr-2">Month</th>
+              <th className="text-right py-1 px-2">Premium</th>
+              <th className="text-right py-1 px-2">Deductible</th>
+              <th className="text-right py-1 px-2">Coinsurance</th>
+              <th className="text-right py-1 px-2">Copays</th>
+              <th className="text-right py-1 px-2">Not Covered</th>
+              {showPeople && simulation.people.map(person => (
+                <th key={person.id} className="text-right py-1 px-2">{person.name}</th>
+              ))}
+              <th className="text-right py-1 px-2">Total</th>
+              <th className="text-right py-1 pl-2">Cumulative</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-700 dark:text-gray-300">
+            {simulation.months.map(month => (
+              <tr key={month.month} className={`border-b border-gray-100 dark:border-gray-700 ${month.milestones.length > 0 ? 'bg-red-50 dark:bg-red-900/20' : ''}`} title={month.milestones.join(', ')}>
+                <td className="py-1 pr-2 font-medium">{month.label}</td>
+                <td className="text-right py-1 px-2">{formatCurrency(month.premium)}</td>
+                <td className="text-right py-1 px-2">{formatCurrency(month.deductible)}</td>
+                <td className="text-right py-1 px-2">{formatCurrency(month.afterDeductible)}</td>
+                <td className="text-right py-1 px-2">{formatCurrency(month.copays)}</td>
+                <td className="text-right py-1 px-2">{formatCurrency(month.notCovered)}</td>
+                {showPeople && month.byPerson.map((amount, index) => (
+                  <td key={index} className="text-right py-1 px-2">{formatCurrency(amount)}</td>
+                ))}
+                <td className="text-right py-1 px-2 font-semibold">{formatCurrency(month.total)}</td>
+                <td className="text-right py-1 pl-2">{formatCurrency(month.cumulative)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-4 p-3 bg-gray-100 dark:bg-gray-700 rounded-lg text-sm text-gray-700 dark:text-gray-300">
+        <div className="flex justify-between"><span>Premiums:</span><span>{formatCurrency(simulation.totals.premium)}</span></div>
+        <div className="flex justify-between"><span>Out-of-Pocket:</span><span>{formatCurrency(simulation.totals.outOfPocket)}</span></div>
+        <div className="flex justify-between font-bold border-t border-gray-300 dark:border-gray-600 pt-1 mt-1"><span>Simulated Annual Cost:</span><span>{formatCurrency(simulation.totals.total)}</span></div>
+        {Math.abs(simulation.totals.total - simulation.annualEstimate) >= 0.01 && (
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+            The annual estimate is {formatCurrency(simulation.annualEstimate)}. The two differ because claims here reach the deductible and MOOP in date order, so different services (with different coinsurance) end up paying the deductible.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Fill strategy: each medication's family out-of-pocket cost by supply, cheapest marked
+const FillStrategy = ({ rows, onChoose }) => (
+  <div>
+    <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+      Family out-of-pocket cost on this plan with each medication filled each way (everything else unchanged).
+    </p>
+    <div className="overflow-x-auto">
+      <table className="w-full text-xs sm:text-sm">
+        <thead>
+          <tr className="border-b border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-400">
+            <th className="text-left py-1 pr-2">Medication</th>
+            {medicationSupplies.map(supply => (
+              <th key={supply.key} className="text-right py-1 px-2">{supply.label}</th>
+            ))}
+            <th className="text-right py-1 pl-2">Recommendation</th>
+          </tr>
+        </thead>
+        <tbody className="text-gray-700 dark:text-gray-300">
+          {rows.map(({ person, med, options }) => {
+            const current = options.find(option => option.current);
+            const cheapest = options.find(option => option.cheapest);
+            return (
+              <tr key={`${person.id}-${med.id}`} className="border-b border-gray-100 dark:border-gray-700">
+                <td className="py-1 pr-2 font-medium">{person.name}: {med.name || `Tier ${med.tier} Rx`}</td>
+                {options.map(option => (
+                  <td
+                    key={option.key}
+                    className={`text-right py-1 px-2 ${option.cheapest ? 'font-semibold text-green-700 dark:text-green-400' : ''} ${option.current ? 'underline' : ''}`}
+                  >
+                    {formatCurrency(option.outOfPocket)}
+                  </td>
+                ))}
+                <td className="text-right py-1 pl-2">
+                  {cheapest.current ? (
+                    <span className="text-gray-500 dark:text-gray-400">Already cheapest</span>
+                  ) : (
+                    <button
+                      onClick={() => onChoose(person.id, med.id, cheapest.key)}
+                      className="text-green-700 dark:text-green-400 hover:underline"
+                    >
+                      Switch to {cheapest.label} (save {formatCurrency(current.outOfPocket - cheapest.outOfPocket)})
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+    <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">Underlined: the current supply. Switching changes the medication for every plan.</p>
+  </div>
+);
+
+// Switch between named workspaces and create, rename, copy or delete them
+const WorkspaceSwitcher = ({ workspaces, activeId, backend, actions }) => {
+  const active = workspaces.find(entry => entry.id === activeId);
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-2 mt-3 text-sm">
+      <label htmlFor="workspace-select" className="text-gray-600 dark:text-gray-400">Workspace:</label>
+      <select
+        id="workspace-select"
+        value={activeId}
+        onChange={(e) => actions.switchTo(parseInt(e.target.value))}
+        className="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+        title={backend === 'localStorage' ? 'Saved in localStorage (IndexedDB is not available in this browser)' : 'Saved in this browser'}
+      >
+        {workspaces.map(entry => (
+          <option key={entry.id} value={entry.id}>{entry.name}</option>
+        ))}
+      </select>
+      <button
+        onClick={() => {
+          const name = prompt('Name for the new workspace:', '');
+          if (name !== null) actions.create(name);
+        }}
+        className="flex items-center gap-1 px-2 py-1.5 text-gray-600 dark:text-gray-300 hover:text-indigo-600 dark:hover:text-indigo-400 transition"
+        title="Start a new, empty workspace"
+      >
+        <Icon name="plus" size={16} />
+        <span>New</span>
+      </button>
+      <button
+        onClick={() => {
+          const name = prompt('Rename workspace:', active?.name);
+          if (name !== null) actions.rename(name);
+        }}
+        className="flex items-center gap-1 px-2 py-1.5 text-gray-600 dark:text-gray-300 hover:text-indigo-600 dark:hover:text-indigo-400 transition"
+        title="Rename this workspace"
+      >
+        <Icon name="pencil" size={16} />
+        <span>Rename</span>
+      </button>
+      <button
+        onClick={() => {
+          const name = prompt('Name for the copy:', `${active?.name} (copy)`);
+          if (name !== null) actions.duplicate(name);
+        }}
+        className="flex items-center gap-1 px-2 py-1.5 text-gray-600 dark:text-gray-300 hover:text-indigo-600 dark:hover:text-indigo-400 transition"
+        title="Copy this workspace to try changes without touching it"
+      >
+        <Icon name="copy" size={16} />
+        <span>Duplicate</span>
+      </button>
+      <button
+        onClick={() => {
+          if (confirm(`Delete the workspace "${active?.name}" with all its family members, plans and settings? This cannot be undone.`)) {
+            actions.remove();
+          }
+        }}
+        disabled={workspaces.length <= 1}
+        className="flex items-center gap-1 px-2 py-1.5 text-gray-600 dark:text-gray-300 hover:text-red-600 dark:hover:text-red-400 transition disabled:opacity-40 disabled:cursor-not-allowed"
+        title={workspaces.length <= 1 ? 'The last workspace cannot be deleted' : 'Delete this workspace'}
+      >
+        <Icon name="trash-2" size={16} />
+        <span>Delete</span>
+      </button>
+    </div>
+  );
+};
+
+const HealthInsuranceCalculator = ({ workspaceId, initialWorkspace, loadErrors, workspaceSwitcher }) => {
   // Dark mode hook
   const [isDark, toggleDark] = useDarkMode();
   
@@ -54,47 +389,43 @@ const HealthInsuranceCalculator = () => {
         imaging: 0,
         rehabilitationOutpatient: 0,
         habilitationOutpatient: 0
-      }
+      },
+      events: { ...defaultPerson.events },
+      serviceMonths: {}
     }
   ];
 
-  const [people, setPeople] = useState(() => {
-    try {
-      const stored = localStorage.getItem('healthcarecompare-people');
-      return stored ? JSON.parse(stored) : defaultPeople;
-    } catch (error) {
-      console.warn('Failed to load people from localStorage:', error);
-      return defaultPeople;
-    }
-  });
+  const [people, setPeople] = useState(() => initialWorkspace.people ?? defaultPeople);
 
   // Default empty plans
   const defaultPlans = [];
 
-  const [plans, setPlans] = useState(() => {
-    try {
-      const stored = localStorage.getItem('healthcarecompare-plans');
-      return stored ? JSON.parse(stored) : [];
-    } catch (error) {
-      console.warn('Failed to load plans from localStorage:', error);
-      return [];
-    }
-  });
+  const [plans, setPlans] = useState(() => initialWorkspace.plans ?? defaultPlans);
 
-  const [costSettings, setCostSettings] = useState(() => {
-    try {
-      const stored = localStorage.getItem('healthcarecompare-costsettings');
-      return stored ? JSON.parse(stored) : defaultCostSettings;
-    } catch (error) {
-      console.warn('Failed to load cost settings from localStorage:', error);
-      return defaultCostSettings;
-    }
-  });
+  const [costSettings, setCostSettings] = useState(() => initialWorkspace.costSettings ?? defaultCostSettings);
+
+  const [household, setHousehold] = useState(() => ({ ...defaultHousehold, ...initialWorkspace.household }));
+  const [showSubsidyModal, setShowSubsidyModal] = useState(false);
+
+  const [providers, setProviders] = useState(() => initialWorkspace.providers ?? []);
+  const [showProviderModal, setShowProviderModal] = useState(false);
+
+  const [riskSettings, setRiskSettings] = useState(() => (
+    initialWorkspace.riskSettings ? { ...defaultRiskSettings, ...initialWorkspace.riskSettings } : createDefaultRiskSettings()
+  ));
+  const [showRiskModal, setShowRiskModal] = useState(false);
+  const [riskResults, setRiskResults] = useState(null);
+  const [showOptimizerModal, setShowOptimizerModal] = useState(false);
+  const [optimizerOptions, setOptimizerOptions] = useState({ metric: 'total', allowWaive: true });
+  const [optimizerResults, setOptimizerResults] = useState(null);
+  const [optimizerError, setOptimizerError] = useState('');
 
   const [editingPlan, setEditingPlan] = useState(null);
   const [importPremium, setImportPremium] = useState('');
   const [importError, setImportError] = useState('');
   const [showPromptModal, setShowPromptModal] = useState(false);
+  const [importReview, setImportReview] = useState(null);
+  const [workspaceImport, setWorkspaceImport] = useState(null);
   const [pastedJson, setPastedJson] = useState('');
   const [showSettingsModal, setShowSettingsModal] = useState(false);
   const [showDisclaimerModal, setShowDisclaimerModal] = useState(() => {
@@ -109,56 +440,113 @@ const HealthInsuranceCalculator = () => {
   });
   
   // Scenarios state
-  const [activeScenario, setActiveScenario] = useState('mostLikely');
-  const [scenariosEnabled, setScenariosEnabled] = useState(false);
+  const [scenariosEnabled, setScenariosEnabled] = useState(() => !!initialWorkspace.preferences?.scenariosEnabled);
   const [showCalculationModal, setShowCalculationModal] = useState(false);
   const [selectedPlanForCalculation, setSelectedPlanForCalculation] = useState(null);
-  // Track collapsed state for each person's scenarios: { personId: { scenarioKey: boolean } }
-  const [collapsedScenarios, setCollapsedScenarios] = useState({});
-  const [scenarios, setScenarios] = useState(() => {
-    try {
-      const stored = localStorage.getItem('healthcarecompare-scenarios');
-      if (stored) {
-        return JSON.parse(stored);
-      }
-    } catch (error) {
-      console.warn('Failed to load scenarios from localStorage:', error);
-    }
-    
-    // Default scenarios - get people from localStorage or use default
-    let currentPeople;
-    try {
-      const storedPeople = localStorage.getItem('healthcarecompare-people');
-      currentPeople = storedPeople ? JSON.parse(storedPeople) : defaultPeople;
-    } catch (error) {
-      currentPeople = defaultPeople;
+  const [calculationView, setCalculationView] = useState('annual');
+  const [scenarios, setScenarios] = useState(() => initialWorkspace.scenarios ?? createDefaultScenarios());
+  const [dataLoadErrors, setDataLoadErrors] = useState(loadErrors);
+
+  // Save the workspace whenever its data changes
+  useEffect(() => {
+    saveWorkspace(workspaceId, getWorkspace()).catch(error => {
+      console.warn('Failed to save workspace:', error);
+    });
+  }, [workspaceId, people, plans, scenarios, costSettings, household, providers, riskSettings, scenariosEnabled]);
+
+  // Undo history: every change to the workspace records the state it replaced
+  const [history, setHistory] = useState(() => loadHistoryFromSession(workspaceId));
+  const [undoToast, setUndoToast] = useState(null);
+  const lastSnapshot = useRef(null);
+  const restoring = useRef(false);
+  const pendingEdit = useRef(null);
+
+  const getSnapshot = () => ({ people, plans, scenarios, costSettings, household, providers, riskSettings, scenariosEnabled });
+
+  const applySnapshot = (snapshot) => {
+    restoring.current = true;
+    setPeople(snapshot.people);
+    setPlans(snapshot.plans);
+    setScenarios(snapshot.scenarios);
+    setCostSettings(snapshot.costSettings);
+    setHousehold(snapshot.household);
+    setProviders(snapshot.providers);
+    setRiskSettings(snapshot.riskSettings);
+    setScenariosEnabled(snapshot.scenariosEnabled);
+  };
+
+  useEffect(() => {
+    const snapshot = getSnapshot();
+    const previous = lastSnapshot.current;
+    if (previous && isSameSnapshot(previous, snapshot)) return;
+    lastSnapshot.current = snapshot;
+
+    // Nothing to record on first render or when the change is an undo or redo
+    if (!previous || restoring.current) {
+      restoring.current = false;
+      return;
     }
-    
-    return createScenarios(currentPeople);
-  });
+    // A later edit is what Undo would now revert, so the toast for an earlier one goes
+    if (!pendingEdit.current) setUndoToast(null);
+    setHistory(prev => recordEdit(prev, previous, pendingEdit.current || {}));
+    pendingEdit.current = null;
+  }, [people, plans, scenarios, costSettings, household, providers, riskSettings, scenariosEnabled]);
 
-  // Save to localStorage whenever data changes
   useEffect(() => {
-    saveToLocalStorage('healthcarecompare-people', people);
-    
-    // Update "Most Likely" scenario to match current people
-    setScenarios(prev => ({
-      ...prev,
-      mostLikely: [...people]
-    }));
-  }, [people]);
+    saveHistoryToSession(workspaceId, history);
+  }, [workspaceId, history]);
+
+  // Call before a removal or other change that is hard to redo by hand; it gets its own
+  // undo step and a toast offering to undo it
+  const offerUndo = (label) => {
+    pendingEdit.current = { label, separate: true };
+    setUndoToast({ label, id: Date.now() });
+  };
+
+  const undo = () => {
+    const result = undoEdit(history, getSnapshot());
+    if (!result) return;
+    applySnapshot(result.snapshot);
+    setHistory(result.history);
+    setUndoToast(null);
+  };
+
+  const redo = () => {
+    const result = redoEdit(history, getSnapshot());
+    if (!result) return;
+    applySnapshot(result.snapshot);
+    setHistory(result.history);
+    setUndoToast(null);
+  };
 
   useEffect(() => {
-    saveToLocalStorage('healthcarecompare-plans', plans);
-  }, [plans]);
+    if (!undoToast) return;
+    const timer = setTimeout(() => setUndoToast(null), 8000);
+    return () => clearTimeout(timer);
+  }, [undoToast]);
 
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac) outside form fields; a focused field keeps the
+  // browser's own undo for what is typed in it
   useEffect(() => {
-    saveToLocalStorage('healthcarecompare-scenarios', scenarios);
-  }, [scenarios]);
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName) || e.target.isContentEditable) return;
+      e.preventDefault();
+      if (e.shiftKey) {
+        redo();
+      } else {
+        undo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
 
+  // Results are only valid for the inputs they were run with
   useEffect(() => {
-    saveToLocalStorage('healthcarecompare-costsettings', costSettings);
-  }, [costSettings]);
+    setRiskResults(null);
+    setOptimizerResults(null);
+  }, [riskSettings, people, plans, costSettings, household, providers]);
 
   const showLLMPrompt = () => {
     setShowPromptModal(true);
@@ -189,42 +577,65 @@ const HealthInsuranceCalculator = () => {
 
     try {
       const jsonData = JSON.parse(pastedJson);
-      const newId = Math.max(...plans.map(p => p.id), 0) + 1;
-      const importedPlan = importPlanFromJSON(jsonData, importPremium, newId);
-
-      setPlans([...plans, importedPlan]);
-      setImportPremium('');
-      setPastedJson('');
-      setImportError('');
-      
-      // Show success message
-      alert('Successfully imported plan: ' + jsonData.name);
-      // close modal
-      setShowPromptModal(false);
+      reviewImport('Plan JSON', planSchema, jsonData, ([planData]) => {
+        const newId = Math.max(...plans.map(p => p.id), 0) + 1;
+        const importedPlan = importPlanFromJSON(planData, importPremium, newId);
+
+        setPlans([...plans, importedPlan]);
+        setImportPremium('');
+        setPastedJson('');
+        setImportError('');
+
+        // Show success message
+        alert('Successfully imported plan: ' + planData.name);
+        // close modal
+        setShowPromptModal(false);
+      });
     } catch (error) {
       setImportError('Invalid JSON: ' + error.message);
     }
   };
 
+  // Check imported items against their schema. Clean imports are applied at once; anything
+  // else opens the review dialog, which lists each problem and offers to fix what it can.
+  const reviewImport = (title, schema, data, apply) => {
+    const report = checkImport(schema, data);
+    if (report.errors.length === 0) {
+      apply(report.valid);
+    } else {
+      setImportReview({ title, report, apply });
+    }
+  };
+
+  const confirmImportReview = (items) => {
+    const { apply } = importReview;
+    setImportReview(null);
+    try {
+      apply(items);
+    } catch (error) {
+      alert('Import failed: ' + error.message);
+    }
+  };
+
   // Wrapper functions using imported modules
   const exportAllPlans = () => {
-    exportData(plans, 'insurance-plans.json');
+    exportData(versionData('plans', plans), 'insurance-plans.json');
   };
 
   const exportPlan = (plan) => {
     const planToExport = { ...plan };
     delete planToExport.id;
-    exportData(planToExport, plan.name.toLowerCase().replace(/\s+/g, '-') + '-plan.json');
+    exportData(versionData('plans', planToExport), plan.name.toLowerCase().replace(/\s+/g, '-') + '-plan.json');
   };
 
   const exportAllPeople = () => {
-    exportData(people, 'family-members.json');
+    exportData(versionData('people', people), 'family-members.json');
   };
 
   const exportPerson = (person) => {
     const personToExport = { ...person };
     delete personToExport.id;
-    exportData(personToExport, person.name.toLowerCase().replace(/\s+/g, '-') + '-profile.json');
+    exportData(versionData('people', personToExport), person.name.toLowerCase().replace(/\s+/g, '-') + '-profile.json');
   };
 
   const importPeopleData = (event) => {
@@ -235,19 +646,20 @@ const HealthInsuranceCalculator = () => {
     reader.onload = (e) => {
       try {
         const importedData = JSON.parse(e.target.result);
-        const validPeople = importPeople(importedData, people);
+        reviewImport('Family members', personSchema, migrateData('people', importedData).data, (items) => {
+          const validPeople = importPeople(items, people);
 
-        if (validPeople.length > 0) {
-          setPeople([...people, ...validPeople]);
-          alert('Successfully imported ' + validPeople.length + ' family member(s)');
-        } else {
-          alert('No valid family member data found in the file');
-        }
-        
-        event.target.value = '';
+          if (validPeople.length > 0) {
+            setPeople([...people, ...validPeople]);
+            alert('Successfully imported ' + validPeople.length + ' family member(s)');
+          } else {
+            alert('No valid family member data found in the file');
+          }
+        });
       } catch (error) {
         alert('Invalid JSON file: ' + error.message);
       }
+      event.target.value = '';
     };
     
     reader.readAsText(file);
@@ -261,82 +673,149 @@ const HealthInsuranceCalculator = () => {
     reader.onload = (e) => {
       try {
         const importedData = JSON.parse(e.target.result);
-        const validPlans = importPlans(importedData, plans);
+        reviewImport('Plans', planSchema, migrateData('plans', importedData).data, (items) => {
+          const validPlans = importPlans(items, plans);
 
-        if (validPlans.length > 0) {
-          setPlans([...plans, ...validPlans]);
-          alert('Successfully imported ' + validPlans.length + ' plan(s)');
-        } else {
-          alert('No valid plan data found in the file');
-        }
-        
-        event.target.value = '';
+          if (validPlans.length > 0) {
+            setPlans([...plans, ...validPlans]);
+            alert('Successfully imported ' + validPlans.length + ' plan(s)');
+          } else {
+            alert('No valid plan data found in the file');
+          }
+        });
       } catch (error) {
         alert('Invalid JSON file: ' + error.message);
       }
+      event.target.value = '';
     };
     
     reader.readAsText(file);
   };
 
+  // Everything on screen, as exported in a workspace file
+  const getWorkspace = () => ({
+    people,
+    plans,
+    scenarios,
+    costSettings,
+    household,
+    providers,
+    riskSettings,
+    preferences: { scenariosEnabled, theme: isDark ? 'dark' : 'light' }
+  });
+
+  const exportWorkspace = () => {
+    const bundle = createWorkspaceBundle(getWorkspace(), appVersion);
+    exportData(bundle, 'healthcarecompare-workspace-' + bundle.createdAt.slice(0, 10) + '.json');
+  };
+
+  const importWorkspaceData = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const bundle = readWorkspaceBundle(JSON.parse(e.target.result));
+        reviewImport('Workspace', workspaceSchema, bundle, ([checked]) => {
+          setWorkspaceImport({ bundle: checked, mode: 'merge', match: 'name', conflict: 'keepMine' });
+        });
+      } catch (error) {
+        alert('Invalid workspace file: ' + error.message);
+      }
+      event.target.value = '';
+    };
+
+    reader.readAsText(file);
+  };
+
+  const updateWorkspaceImport = (field, value) => {
+    setWorkspaceImport({ ...workspaceImport, [field]: value });
+  };
+
+  const applyWorkspaceImport = () => {
+    const { bundle, mode, match, conflict } = workspaceImport;
+    if (mode === 'replace' && !confirm('Replace everything here with the workspace file? Your current people, plans, scenarios and settings will be overwritten.')) {
+      return;
+    }
+
+    const { workspace } = mergeWorkspace(getWorkspace(), bundle.data, { mode, match, conflict });
+    offerUndo(mode === 'replace' ? 'Replaced the workspace' : 'Merged the workspace file');
+    setPeople(workspace.people.length > 0 ? workspace.people : [createNewPerson(1, 'Person 1')]);
+    setPlans(workspace.plans);
+    setScenarios(workspace.scenarios);
+    setCostSettings(workspace.costSettings);
+    setHousehold({ ...defaultHousehold, ...workspace.household });
+    setProviders(workspace.providers);
+    setRiskSettings({ ...defaultRiskSettings, ...workspace.riskSettings });
+    setScenariosEnabled(!!workspace.preferences?.scenariosEnabled);
+    if (workspace.preferences?.theme && (workspace.preferences.theme === 'dark') !== isDark) toggleDark();
+    setWorkspaceImport(null);
+  };
+
+  const importPlanFormulary = (planId, event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const formulary = parseFormulary(e.target.result, file.name);
+        updatePlan(planId, 'formulary', formulary);
+        alert('Loaded ' + formulary.length + ' drug(s) into the formulary');
+      } catch (error) {
+        alert('Invalid formulary file: ' + error.message);
+      }
+      event.target.value = '';
+    };
+
+    reader.readAsText(file);
+  };
+
   const handleClearAllData = () => {
     if (clearAllData()) {
       // Reset to default state
+      offerUndo('Cleared all data');
       setPeople([createNewPerson(1, 'Person 1')]);
       setPlans([]);
-      setScenarios(createScenarios([createNewPerson(1, 'Person 1')]));
-      alert('All data has been cleared successfully.');
+      setScenarios(createDefaultScenarios());
+      setHousehold(defaultHousehold);
+      setProviders([]);
     }
   };
 
   const addPerson = () => {
     const newId = Math.max(...people.map(p => p.id), 0) + 1;
-    const newPerson = createNewPerson(newId);
-    
-    setPeople([...people, newPerson]);
-    
-    // Add to all scenarios using imported function
-    const personScenarios = createScenarios([newPerson]);
-    setScenarios(prev => ({
-      bestCase: [...prev.bestCase, personScenarios.bestCase[0]],
-      mostLikely: [...prev.mostLikely, personScenarios.mostLikely[0]],
-      worstCase: [...prev.worstCase, personScenarios.worstCase[0]]
-    }));
+    const hasSubscriber = people.some((p, index) => getPersonRelationship(p, index) === 'subscriber');
+    setPeople([...people, { ...createNewPerson(newId), relationship: hasSubscriber ? 'dependent' : 'subscriber' }]);
   };
 
   const removePerson = (id) => {
     if (people.length > 1) {
+      offerUndo(`Removed ${people.find(p => p.id === id)?.name || 'family member'}`);
       setPeople(people.filter(p => p.id !== id));
-      
-      // Remove from all scenarios
-      setScenarios(prev => ({
-        bestCase: prev.bestCase.filter(p => p.id !== id),
-        mostLikely: prev.mostLikely.filter(p => p.id !== id),
-        worstCase: prev.worstCase.filter(p => p.id !== id)
-      }));
-      
-      // Remove collapsed state for this person
-      setCollapsedScenarios(prev => {
-        const newState = { ...prev };
-        delete newState[id];
-        return newState;
-      });
+
+      // Plans offered through this person's employer are no longer tied to anyone here
+      setPlans(prev => prev.map(plan => plan.employeeId === id ? { ...plan, employeeId: null } : plan));
+
+      // Drop scenario rules that only applied to this person
+      setScenarios(prev => prev.map(scenario => ({
+        ...scenario,
+        rules: scenario.rules.filter(rule => rule.personId !== id)
+      })));
     }
   };
 
-  const toggleScenarioCollapse = (personId, scenarioKey) => {
-    setCollapsedScenarios(prev => ({
-      ...prev,
-      [personId]: {
-        ...(prev[personId] || {}),
-        [scenarioKey]: !(prev[personId]?.[scenarioKey] || false)
-      }
-    }));
+  const updatePersonRelationship = (id, relationship) => {
+    setPeople(people.map(p => p.id === id ? { ...p, relationship } : p));
+  };
+
+  const updatePersonDemographic = (id, field, value) => {
+    setPeople(people.map(p => p.id === id ? { ...p, [field]: value } : p));
   };
 
   const updatePersonName = (id, name) => {
     setPeople(people.map(p => p.id === id ? { ...p, name } : p));
-    // Note: mostLikely scenario is automatically synced via useEffect
   };
 
   const updatePersonVisits = (id, visitType, value) => {
@@ -354,71 +833,101 @@ const HealthInsuranceCalculator = () => {
     }));
   };
 
-  const updateScenarioPersonVisits = (id, visitType, value, scenarioKey) => {
-    setScenarios(prev => ({
-      ...prev,
-      [scenarioKey]: prev[scenarioKey].map(p => {
-        if (p.id === id) {
-          return {
-            ...p,
-            visits: {
-              ...p.visits,
-              [visitType]: parseInt(value) || 0
-            }
-          };
-        }
-        return p;
-      })
+  const updatePersonNetwork = (id, serviceType, outOfNetwork) => {
+    setPeople(people.map(p => {
+      if (p.id === id) {
+        return {
+          ...p,
+          outOfNetwork: {
+            ...p.outOfNetwork,
+            [serviceType]: outOfNetwork
+          }
+        };
+      }
+      return p;
     }));
   };
 
-  const addMedication = (personId) => {
+  const updatePersonProvider = (id, serviceType, providerId) => {
     setPeople(people.map(p => {
-      if (p.id === personId) {
-        const newMedId = Math.max(...p.medications.map(m => m.id), 0) + 1;
+      if (p.id === id) {
+        const { [serviceType]: _previous, ...providerLinks } = p.providers || {};
         return {
           ...p,
-          medications: [...p.medications, { id: newMedId, name: '', tier: 1, refillsPerYear: 12, customCost: '' }]
+          providers: providerId == null ? providerLinks : { ...providerLinks, [serviceType]: providerId }
         };
       }
       return p;
     }));
   };
 
-  const addScenarioMedication = (personId, scenarioKey) => {
-    setScenarios(prev => ({
-      ...prev,
-      [scenarioKey]: prev[scenarioKey].map(p => {
-        if (p.id === personId) {
-          const newMedId = Math.max(...p.medications.map(m => m.id), 0) + 1;
-          return {
-            ...p,
-            medications: [...p.medications, { id: newMedId, name: '', tier: 1, refillsPerYear: 12, customCost: '' }]
-          };
-        }
-        return p;
-      })
+  const updatePersonPediatric = (id, serviceType, value) => {
+    setPeople(people.map(p => {
+      if (p.id === id) {
+        return {
+          ...p,
+          pediatric: {
+            ...defaultPerson.pediatric,
+            ...p.pediatric,
+            [serviceType]: parseInt(value) || 0
+          }
+        };
+      }
+      return p;
     }));
   };
 
-  const removeMedication = (personId, medId) => {
+  const updatePersonEvents = (id, eventType, value) => {
+    setPeople(people.map(p => {
+      if (p.id === id) {
+        return {
+          ...p,
+          events: {
+            ...p.events,
+            [eventType]: parseInt(value) || 0
+          }
+        };
+      }
+      return p;
+    }));
+  };
+
+  const updatePersonServiceMonth = (id, serviceKey, value) => {
+    setPeople(people.map(p => {
+      if (p.id === id) {
+        return {
+          ...p,
+          serviceMonths: {
+            ...p.serviceMonths,
+            [serviceKey]: parseInt(value) || null
+          }
+        };
+      }
+      return p;
+    }));
+  };
+
+  const addMedication = (personId) => {
     setPeople(people.map(p => {
       if (p.id === personId) {
-        return { ...p, medications: p.medications.filter(m => m.id !== medId) };
+        const newMedId = Math.max(...p.medications.map(m => m.id), 0) + 1;
+        return {
+          ...p,
+          medications: [...p.medications, { id: newMedId, name: '', tier: 1, refillsPerYear: 12, customCost: '', supply: 'retail30', mailOrderCost: '', outOfNetwork: false }]
+        };
       }
       return p;
     }));
   };
 
-  const removeScenarioMedication = (personId, medId, scenarioKey) => {
-    setScenarios(prev => ({
-      ...prev,
-      [scenarioKey]: prev[scenarioKey].map(p => {
-        if (p.id === personId) {
-          return { ...p, medications: p.medications.filter(m => m.id !== medId) };
-        }
-        return p;
-      })
+  const removeMedication = (personId, medId) => {
+    const med = people.find(p => p.id === personId)?.medications.find(m => m.id === medId);
+    offerUndo(`Removed ${med?.name || 'medication'}`);
+    setPeople(people.map(p => {
+      if (p.id === personId) {
+        return { ...p, medications: p.medications.filter(m => m.id !== medId) };
+      }
+      return p;
     }));
   };
 
@@ -436,121 +945,210 @@ const HealthInsuranceCalculator = () => {
     }));
   };
 
-  const updateScenarioMedication = (personId, medId, field, value, scenarioKey) => {
-    setScenarios(prev => ({
-      ...prev,
-      [scenarioKey]: prev[scenarioKey].map(p => {
-        if (p.id === personId) {
-          return {
-            ...p,
-            medications: p.medications.map(m => 
-              m.id === medId ? { ...m, [field]: value } : m
-            )
-          };
-        }
-        return p;
-      })
-    }));
-  };
-
   const toggleScenarios = () => {
-    if (!scenariosEnabled) {
-      // Enabling scenarios - copy from most likely to create best and worst case
-      const mostLikelyData = scenarios.mostLikely;
-      setScenarios(prev => ({
-        ...prev,
-        bestCase: mostLikelyData.map(person => ({
-          ...person,
-          name: person.name.replace(' (Best Case)', '') + ' (Best Case)',
-          visits: { ...person.visits }
-        })),
-        worstCase: mostLikelyData.map(person => ({
-          ...person,
-          name: person.name.replace(' (Worst Case)', '') + ' (Worst Case)',
-          visits: { ...person.visits }
-        }))
-      }));
-    }
     setScenariosEnabled(!scenariosEnabled);
   };
 
-  const showPlanCalculation = (plan) => {
-    setSelectedPlanForCalculation(plan);
-    setShowCalculationModal(true);
+  const addScenario = () => {
+    const newId = Math.max(...scenarios.map(s => s.id), 0) + 1;
+    setScenarios([...scenarios, createNewScenario(newId)]);
   };
 
-  const addPlan = () => {
-    const newId = Math.max(...plans.map(p => p.id), 0) + 1;
-    setPlans([...plans, {
-      id: newId,
-      name: 'Plan ' + newId,
-      premium: 0,
-      medicalDeductible: { person: 0, family: 0 },
-      rxDeductible: { person: 0, family: 0 },
-      outOfPocketMax: { person: 0, family: 0 },
-      copays: {
-        primaryCare: 0,
-        specialist: 0,
-        urgentCare: 0,
-        emergencyRoom: 0,
-        mentalHealth: 0,
-        diagnosticTest: 0,
-        diagnosticTestLab: 0,
-        imaging: 0,
-        rehabilitationOutpatient: 0,
-        habilitationOutpatient: 0
-      },
-      coinsurance: {
-        hospitalFacility: 0,
-        outpatientSurgeryFacility: 0,
-        outpatientSurgeryASC: 0,
-        physicianSurgeon: 0,
-        childbirth: 0,
-        skilledNursing: 0,
-        homeHealthCare: 0,
-        dme: 0,
-        hospice: 0,
-        childrenGlasses: 0
-      },
-      rxCopays: {
-        tier1: 0,
-        tier2: 0,
-        tier3: 0,
-        tier4: 0,
-        tier5: 0
-      },
-      rxDeductibleWaived: [],
-      childrenDentalCheckup: 0,
-      childrenEyeExam: 0
-    }]);
+  const updateScenario = (id, field, value) => {
+    setScenarios(scenarios.map(s => s.id === id ? { ...s, [field]: value } : s));
   };
 
-  const removePlan = (id) => {
-    setPlans(plans.filter(p => p.id !== id));
+  const moveScenario = (id, direction) => {
+    const index = scenarios.findIndex(s => s.id === id);
+    const target = index + direction;
+    if (index < 0 || target < 0 || target >= scenarios.length) return;
+    const reordered = [...scenarios];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setScenarios(reordered);
   };
 
-  const updatePlan = (planId, field, value) => {
-    setPlans(plans.map(p => p.id === planId ? { ...p, [field]: value } : p));
+  const removeScenario = (id) => {
+    offerUndo(`Removed ${scenarios.find(s => s.id === id)?.name || 'scenario'}`);
+    setScenarios(scenarios.filter(s => s.id !== id));
   };
 
-  const updatePlanNested = (planId, category, field, value) => {
-    setPlans(plans.map(p => {
-      if (p.id === planId) {
+  const addScenarioRule = (scenarioId) => {
+    setScenarios(scenarios.map(s => {
+      if (s.id === scenarioId) {
+        const newRuleId = Math.max(...s.rules.map(r => r.id), 0) + 1;
         return {
-          ...p,
-          [category]: {
-            ...p[category],
-            [field]: value
-          }
+          ...s,
+          rules: [...s.rules, { id: newRuleId, personId: null, type: 'addVisits', service: 'primaryCare', value: 1 }]
         };
       }
-      return p;
+      return s;
     }));
   };
 
-  const updateCostSetting = (field, value) => {
-    setCostSettings({
-      ...costSettings,
+  const updateScenarioRule = (scenarioId, ruleId, field, value) => {
+    setScenarios(scenarios.map(s => {
+      if (s.id === scenarioId) {
+        return {
+          ...s,
+          rules: s.rules.map(r => {
+            if (r.id !== ruleId) return r;
+            const rule = { ...r, [field]: value };
+            // Switching between visit and event rules needs a service of the right kind
+            if (field === 'type') {
+              const isEventRule = value === 'addEvents';
+              if (isEventRule !== (rule.service in plannedEventUnits)) {
+                rule.service = isEventRule ? Object.keys(plannedEventUnits)[0] : '*';
+              }
+            }
+            return rule;
+          })
+        };
+      }
+      return s;
+    }));
+  };
+
+  const removeScenarioRule = (scenarioId, ruleId) => {
+    offerUndo('Removed scenario rule');
+    setScenarios(scenarios.map(s => s.id === scenarioId ? { ...s, rules: s.rules.filter(r => r.id !== ruleId) } : s));
+  };
+
+  const getScenarioPeople = (scenarioId) => {
+    const scenario = scenarios.find(s => s.id === scenarioId);
+    return scenario ? createScenarioPeople(people, scenario) : people;
+  };
+
+  const showPlanCalculation = (plan) => {
+    setSelectedPlanForCalculation(plan);
+    setShowCalculationModal(true);
+  };
+
+  const addPlan = () => {
+    const newId = Math.max(...plans.map(p => p.id), 0) + 1;
+    setPlans([...plans, createNewPlan(newId)]);
+  };
+
+  const removePlan = (id) => {
+    const plan = plans.find(p => p.id === id);
+    if (!confirm(`Remove ${plan?.name || 'this plan'}?`)) return;
+
+    offerUndo(`Removed ${plan?.name || 'plan'}`);
+    setPlans(plans.filter(p => p.id !== id));
+
+    // Forget every provider's network status for the removed plan
+    setProviders(prev => prev.map(provider => {
+      const { [id]: _removed, ...networks } = provider.networks || {};
+      return { ...provider, networks };
+    }));
+  };
+
+  const updatePlan = (planId, field, value) => {
+    setPlans(plans.map(p => p.id === planId ? { ...p, [field]: value } : p));
+  };
+
+  const updatePlanNested = (planId, category, field, value) => {
+    setPlans(plans.map(p => {
+      if (p.id === planId) {
+        return {
+          ...p,
+          [category]: {
+            ...p[category],
+            [field]: value
+          }
+        };
+      }
+      return p;
+    }));
+  };
+
+  const updatePlanAccount = (planId, account, field, value) => {
+    setPlans(plans.map(p => {
+      if (p.id === planId) {
+        const accounts = p.accounts || defaultPlan.accounts;
+        return {
+          ...p,
+          accounts: {
+            ...accounts,
+            [account]: {
+              ...defaultPlan.accounts[account],
+              ...accounts[account],
+              [field]: value
+            }
+          }
+        };
+      }
+      return p;
+    }));
+  };
+
+  const updatePlanOutOfNetwork = (planId, field, value) => {
+    setPlans(plans.map(p => p.id === planId
+      ? { ...p, outOfNetwork: { ...mergeOutOfNetwork(p.outOfNetwork), [field]: value } }
+      : p));
+  };
+
+  const updatePlanOutOfNetworkLimit = (planId, limit, field, value) => {
+    setPlans(plans.map(p => {
+      if (p.id === planId) {
+        const outOfNetwork = mergeOutOfNetwork(p.outOfNetwork);
+        return {
+          ...p,
+          outOfNetwork: {
+            ...outOfNetwork,
+            [limit]: {
+              ...outOfNetwork[limit],
+              [field]: value
+            }
+          }
+        };
+      }
+      return p;
+    }));
+  };
+
+  const updatePlanCostSharing = (planId, category, key, field, value) => {
+    setPlans(plans.map(p => {
+      if (p.id === planId && field === 'type' && value === '') {
+        // Auto reads the type from the amount, which is what a service without a rule does
+        const { [key]: _auto, ...rules } = p.costSharing?.[category] || {};
+        return { ...p, costSharing: { ...p.costSharing, [category]: rules } };
+      }
+      if (p.id === planId) {
+        return {
+          ...p,
+          costSharing: {
+            ...p.costSharing,
+            [category]: {
+              ...p.costSharing?.[category],
+              [key]: {
+                ...p.costSharing?.[category]?.[key],
+                [field]: value
+              }
+            }
+          }
+        };
+      }
+      return p;
+    }));
+  };
+
+  const toggleRxDeductibleWaived = (planId, tier, waived) => {
+    setPlans(plans.map(p => {
+      if (p.id === planId) {
+        // Imported plans may list tiers as strings
+        const waivedTiers = (p.rxDeductibleWaived || []).map(Number).filter(t => t !== Number(tier));
+        return {
+          ...p,
+          rxDeductibleWaived: waived ? [...waivedTiers, Number(tier)].sort((a, b) => a - b) : waivedTiers
+        };
+      }
+      return p;
+    }));
+  };
+
+  const updateCostSetting = (field, value) => {
+    setCostSettings({
+      ...costSettings,
       [field]: parseFloat(value) || 0
     });
   };
@@ -559,34 +1157,187 @@ const HealthInsuranceCalculator = () => {
     setCostSettings(defaultCostSettings);
   };
 
-  const calculatePlanCost = (plan, scenarioKey = null) => {
-    // When scenarioKey is provided, use that scenario's data
-    // When scenarios are enabled but no key is provided, use mostLikely scenario
-    // When scenarios are disabled, use people
-    const scenarioPeople = scenarioKey 
-      ? scenarios[scenarioKey] 
-      : (scenariosEnabled ? scenarios.mostLikely : people);
-    
+  const updateRiskSetting = (field, value) => {
+    setRiskSettings({
+      ...riskSettings,
+      [field]: parseInt(value) || 0
+    });
+  };
+
+  const updateVisitSpread = (visitType, value) => {
+    setRiskSettings({
+      ...riskSettings,
+      visitSpread: {
+        ...riskSettings.visitSpread,
+        [visitType]: Math.max(0, parseFloat(value) || 0)
+      }
+    });
+  };
+
+  const addCatastrophicEvent = () => {
+    const newId = Math.max(...riskSettings.catastrophicEvents.map(e => e.id), 0) + 1;
+    setRiskSettings({
+      ...riskSettings,
+      catastrophicEvents: [
+        ...riskSettings.catastrophicEvents,
+        { id: newId, name: `Event ${newId}`, probability: 0.01, visits: {}, events: {} }
+      ]
+    });
+  };
+
+  const updateCatastrophicEvent = (id, field, value) => {
+    setRiskSettings({
+      ...riskSettings,
+      catastrophicEvents: riskSettings.catastrophicEvents.map(e => e.id === id ? { ...e, [field]: value } : e)
+    });
+  };
+
+  // group is 'visits' or 'events'; a count of 0 removes the service from the event
+  const updateCatastrophicEventService = (id, group, serviceKey, value) => {
+    setRiskSettings({
+      ...riskSettings,
+      catastrophicEvents: riskSettings.catastrophicEvents.map(e => {
+        if (e.id !== id) return e;
+        const services = { ...e[group] };
+        const count = parseInt(value) || 0;
+        if (count > 0) {
+          services[serviceKey] = count;
+        } else {
+          delete services[serviceKey];
+        }
+        return { ...e, [group]: services };
+      })
+    });
+  };
+
+  const removeCatastrophicEvent = (id) => {
+    offerUndo('Removed catastrophic event');
+    setRiskSettings({
+      ...riskSettings,
+      catastrophicEvents: riskSettings.catastrophicEvents.filter(e => e.id !== id)
+    });
+  };
+
+  const resetRiskSettings = () => {
+    offerUndo('Reset risk settings');
+    setRiskSettings(createDefaultRiskSettings());
+  };
+
+  const runRiskAnalysisForPlans = () => {
+    setRiskResults(runRiskAnalysis(plans.map(pricePlan), people, costSettings, riskSettings));
+  };
+
+  const planYear = costSettings.planYear ?? defaultCostSettings.planYear;
+
+  // Marketplace subsidy for the household, applied to marketplace plans before pricing
+  const subsidy = household.enabled
+    ? calculatePremiumTaxCredit({ ...household, size: household.size || people.length }, planYear)
+    : null;
+
+  // Plans as priced: marketplace subsidy applied and provider network statuses attached
+  const pricePlan = (plan) => applyProviderNetworks(applyMarketplaceSubsidy(plan, subsidy), providers);
+
+  // Drug names from every plan's formulary, suggested when entering medications
+  const formularyDrugNames = [...new Set(plans.flatMap(plan => (plan.formulary || []).map(entry => entry.name).filter(Boolean)))].sort();
+
+  const addProvider = (type) => {
+    const newId = Math.max(...providers.map(p => p.id), 0) + 1;
+    setProviders([...providers, createNewProvider(newId, type)]);
+  };
+
+  const updateProvider = (id, field, value) => {
+    setProviders(providers.map(p => p.id === id ? { ...p, [field]: value } : p));
+  };
+
+  const updateProviderNetwork = (id, planId, status) => {
+    setProviders(providers.map(p => {
+      if (p.id === id) {
+        const { [planId]: _previous, ...networks } = p.networks || {};
+        return { ...p, networks: status === 'unknown' ? networks : { ...networks, [planId]: status } };
+      }
+      return p;
+    }));
+  };
+
+  const removeProvider = (id) => {
+    offerUndo(`Removed ${providers.find(p => p.id === id)?.name || 'provider'}`);
+    setProviders(providers.filter(p => p.id !== id));
+
+    // Unlink the provider from every visit and medication
+    setPeople(prev => prev.map(person => ({
+      ...person,
+      providers: Object.fromEntries(Object.entries(person.providers || {}).filter(([, providerId]) => providerId !== id)),
+      medications: person.medications.map(med => med.providerId === id ? { ...med, providerId: null } : med)
+    })));
+  };
+
+  const updateHousehold = (field, value) => {
+    setHousehold({ ...household, [field]: value });
+  };
+
+  const updatePlanCsrVariant = (planId, level, category, field, value) => {
+    setPlans(plans.map(p => {
+      if (p.id === planId) {
+        const variant = p.csrVariants?.[level] || {};
+        return {
+          ...p,
+          csrVariants: {
+            ...p.csrVariants,
+            [level]: {
+              ...variant,
+              [category]: {
+                ...variant[category],
+                [field]: value
+              }
+            }
+          }
+        };
+      }
+      return p;
+    }));
+  };
+
+  const runCoverageOptimizer = () => {
+    try {
+      // Keep simulated rankings quick; every combination is priced in every simulated year
+      const settings = { ...riskSettings, iterations: Math.min(riskSettings.iterations, 500) };
+      setOptimizerResults(optimizeCoverage(plans.map(pricePlan), people, costSettings, { ...optimizerOptions, riskSettings: settings }));
+      setOptimizerError('');
+    } catch (error) {
+      setOptimizerResults(null);
+      setOptimizerError(error.message);
+    }
+  };
+
+  const calculatePlanCost = (plan, scenarioId = null) => {
+    // When scenarioId is provided, use that scenario's people; otherwise the base people
+    const scenarioPeople = scenarioId != null ? getScenarioPeople(scenarioId) : people;
+
     // Use imported calculation function with cost settings
-    return calculatePlanCostImpl(plan, scenarioPeople, costSettings);
+    return calculatePlanCostImpl(pricePlan(plan), scenarioPeople, costSettings);
   };
 
-  const getDetailedCostBreakdown = (plan, scenarioKey = null) => {
-    // When scenarioKey is provided, use that scenario's data
-    // When scenarios are enabled but no key is provided, use mostLikely scenario
-    // When scenarios are disabled, use people
-    const scenarioPeople = scenarioKey 
-      ? scenarios[scenarioKey] 
-      : (scenariosEnabled ? scenarios.mostLikely : people);
-    
+  const getDetailedCostBreakdown = (plan, scenarioId = null) => {
+    const scenarioPeople = scenarioId != null ? getScenarioPeople(scenarioId) : people;
+
     // Use imported calculation function with cost settings
-    const breakdown = getDetailedCostBreakdownImpl(plan, scenarioPeople, costSettings);
-    
-    // Add scenario name for UI
-    return {
-      ...breakdown,
-      scenarioName: scenarioKey || (scenariosEnabled ? 'mostLikely' : 'current')
-    };
+    return getDetailedCostBreakdownImpl(pricePlan(plan), scenarioPeople, costSettings);
+  };
+
+  const getMonthlySimulation = (plan, scenarioId = null) => {
+    const scenarioPeople = scenarioId != null ? getScenarioPeople(scenarioId) : people;
+
+    return simulateClaimsByMonth(pricePlan(plan), scenarioPeople, costSettings);
+  };
+
+  // Each medication's out-of-pocket cost on a plan by supply, for the base people
+  const getFillStrategy = (plan) => {
+    const pricedPlan = pricePlan(plan);
+    return people.flatMap(person => person.medications.map(med => ({
+      person,
+      med,
+      options: compareMedicationSuppliesImpl(pricedPlan, people, person.id, med.id, costSettings)
+    })));
   };
 
   return (
@@ -624,6 +1375,24 @@ const HealthInsuranceCalculator = () => {
                   </svg>
                 )}
               </button>
+              <button
+                onClick={undo}
+                disabled={history.past.length === 0}
+                className="text-gray-800 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors p-2 rounded-full border border-gray-300 dark:border-gray-600 disabled:opacity-40 disabled:cursor-not-allowed"
+                title={`Undo${history.past.at(-1)?.label ? ': ' + history.past.at(-1).label : ''} (Ctrl+Z)`}
+                aria-label="Undo"
+              >
+                <Icon name="undo-2" size={24} />
+              </button>
+              <button
+                onClick={redo}
+                disabled={history.future.length === 0}
+                className="text-gray-800 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors p-2 rounded-full border border-gray-300 dark:border-gray-600 disabled:opacity-40 disabled:cursor-not-allowed"
+                title={`Redo${history.future.at(-1)?.label ? ': ' + history.future.at(-1).label : ''} (Ctrl+Shift+Z)`}
+                aria-label="Redo"
+              >
+                <Icon name="redo-2" size={24} />
+              </button>
             </div>
             <div className="flex gap-2">
               <button
@@ -634,6 +1403,63 @@ const HealthInsuranceCalculator = () => {
                 <Icon name="settings" size={16} />
                 <span>Cost Settings</span>
               </button>
+              <button
+                onClick={() => setShowRiskModal(true)}
+                className="flex items-center gap-1 sm:gap-2 bg-purple-600 text-white px-3 py-2 rounded-lg hover:bg-purple-700 transition text-xs sm:text-sm whitespace-nowrap"
+                title="Simulate thousands of possible years across all plans"
+              >
+                <Icon name="bar-chart-3" size={16} />
+                <span>Risk Analysis</span>
+              </button>
+              <button
+                onClick={() => setShowOptimizerModal(true)}
+                className="flex items-center gap-1 sm:gap-2 bg-teal-600 text-white px-3 py-2 rounded-lg hover:bg-teal-700 transition text-xs sm:text-sm whitespace-nowrap"
+                title="Find the cheapest way to split the family across plans"
+              >
+                <Icon name="split" size={16} />
+                <span>Split Coverage</span>
+              </button>
+              <button
+                onClick={() => setShowSubsidyModal(true)}
+                className="flex items-center gap-1 sm:gap-2 bg-emerald-600 text-white px-3 py-2 rounded-lg hover:bg-emerald-700 transition text-xs sm:text-sm whitespace-nowrap"
+                title="Estimate marketplace premium tax credits and cost-sharing reductions"
+              >
+                <Icon name="landmark" size={16} />
+                <span>Subsidies</span>
+              </button>
+              <button
+                onClick={() => setShowProviderModal(true)}
+                className="flex items-center gap-1 sm:gap-2 bg-cyan-600 text-white px-3 py-2 rounded-lg hover:bg-cyan-700 transition text-xs sm:text-sm whitespace-nowrap"
+                title="Doctors, facilities and pharmacies, and which plans have them in network"
+              >
+                <Icon name="stethoscope" size={16} />
+                <span>Providers</span>
+              </button>
+              <button
+                onClick={exportWorkspace}
+                className="flex items-center gap-1 sm:gap-2 bg-indigo-600 text-white px-3 py-2 rounded-lg hover:bg-indigo-700 transition text-xs sm:text-sm whitespace-nowrap"
+                title="Download people, plans, scenarios and settings as one file"
+              >
+                <Icon name="download" size={16} />
+                <span>Export Workspace</span>
+              </button>
+              <div className="relative">
+                <input
+                  type="file"
+                  accept=".json"
+                  onChange={importWorkspaceData}
+                  className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+                  id="import-workspace"
+                />
+                <label
+                  htmlFor="import-workspace"
+                  className="flex items-center gap-1 sm:gap-2 bg-indigo-600 text-white px-3 py-2 rounded-lg hover:bg-indigo-700 transition text-xs sm:text-sm cursor-pointer whitespace-nowrap h-full"
+                  title="Load a workspace file, replacing or merging with what is here"
+                >
+                  <Icon name="upload" size={16} />
+                  <span>Import Workspace</span>
+                </label>
+              </div>
               <button
                 onClick={handleClearAllData}
                 className="flex items-center gap-1 sm:gap-2 bg-red-600 text-white px-3 py-2 rounded-lg hover:bg-red-700 transition text-xs sm:text-sm whitespace-nowrap"
@@ -649,8 +1475,30 @@ const HealthInsuranceCalculator = () => {
           <h1 className="text-2xl sm:text-4xl font-bold text-gray-800 dark:text-gray-100 text-center">
             Health Care Compare
           </h1>
+          {workspaceSwitcher}
         </div>
 
+        {dataLoadErrors.length > 0 && (
+          <div className="mb-4 sm:mb-6 p-3 bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-700 rounded-lg text-sm text-red-700 dark:text-red-300">
+            <div className="flex items-start justify-between gap-2">
+              <div>
+                <p className="font-semibold mb-1">Some saved data could not be loaded, so defaults are shown instead:</p>
+                <ul className="list-disc list-inside space-y-1">
+                  {dataLoadErrors.map(failure => (
+                    <li key={failure.key}>{failure.message} (the saved copy was kept as {failure.key}-backup)</li>
+                  ))}
+                </ul>
+              </div>
+              <button
+                onClick={() => setDataLoadErrors([])}
+                className="text-red-400 hover:text-red-600 dark:hover:text-red-200 transition flex-shrink-0"
+              >
+                <Icon name="x" size={18} />
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* People Section */}
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-3 sm:p-6 mb-4 sm:mb-6 transition-colors">
           <div className="flex flex-col gap-3 mb-4">
@@ -698,7 +1546,7 @@ const HealthInsuranceCalculator = () => {
           </div>
 
           <div className="space-y-4">
-            {people.map((basePerson, personIndex) => (
+            {people.map(basePerson => (
               <div key={basePerson.id} className="border border-gray-200 dark:border-gray-600 rounded-lg p-3 sm:p-4 bg-white dark:bg-gray-700 transition-colors">
                 <div className="flex items-center justify-between mb-3">
                   <input
@@ -708,6 +1556,16 @@ const HealthInsuranceCalculator = () => {
                     className="text-base sm:text-lg font-medium border-b border-transparent hover:border-gray-300 dark:hover:border-gray-500 focus:border-indigo-600 dark:focus:border-indigo-400 focus:outline-none px-2 py-1 flex-1 bg-transparent text-gray-800 dark:text-gray-100"
                     placeholder="Person Name"
                   />
+                  <select
+                    value={getPersonRelationship(basePerson, people.indexOf(basePerson))}
+                    onChange={(e) => updatePersonRelationship(basePerson.id, e.target.value)}
+                    className="ml-2 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100"
+                    title="Relationship to the subscriber, used to pick each plan's premium tier"
+                  >
+                    {relationshipTypes.map(type => (
+                      <option key={type.key} value={type.key}>{type.label}</option>
+                    ))}
+                  </select>
                   <div className="flex gap-1">
                     <button
                       onClick={() => exportPerson(basePerson)}
@@ -728,227 +1586,477 @@ const HealthInsuranceCalculator = () => {
                   </div>
                 </div>
 
-                {scenariosEnabled ? (
-                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
-                    {[
-                      { key: 'mostLikely', label: 'Most Likely', color: 'blue', icon: 'minus' },
-                      { key: 'bestCase', label: 'Best Case', color: 'green', icon: 'smile' },
-                      { key: 'worstCase', label: 'Worst Case', color: 'red', icon: 'frown' }
-                    ].map(scenario => {
-                      const person = scenarios[scenario.key][personIndex];
-                      if (!person) return null;
-                      
-                      const isCollapsed = collapsedScenarios[basePerson.id]?.[scenario.key] || false;
-
-                      return (
-                        <div key={scenario.key} className={`border-2 border-${scenario.color}-200 dark:border-${scenario.color}-700 rounded-lg p-3 bg-${scenario.color}-50 dark:bg-gray-800`}>
-                          <div className="flex items-center justify-between mb-3">
-                            <div className="flex items-center gap-2">
-                              <Icon name={scenario.icon} size={16} className={`text-${scenario.color}-600`} />
-                              <h3 className={`text-sm font-semibold text-${scenario.color}-800 dark:text-${scenario.color}-300`}>{scenario.label}</h3>
-                            </div>
-                            <button
-                              onClick={() => toggleScenarioCollapse(basePerson.id, scenario.key)}
-                              className={`text-${scenario.color}-600 dark:text-${scenario.color}-400 hover:bg-${scenario.color}-100 dark:hover:bg-gray-700 p-1 rounded transition`}
-                              title={isCollapsed ? 'Expand' : 'Collapse'}
-                            >
-                              <Icon name={isCollapsed ? 'chevron-down' : 'chevron-up'} size={16} />
-                            </button>
-                          </div>
-                          
-                          {!isCollapsed && (
-                            <>
-                              {/* Care Visits */}
-                              <div className="mb-3">
-                                <div className="flex items-center gap-2 mb-2">
-                                  <Icon name="activity" size={14} className="text-indigo-600 dark:text-indigo-400" />
-                                  <span className="text-xs font-semibold text-gray-700 dark:text-gray-300">Annual Care Visits</span>
-                                </div>
-                                <div className="space-y-2">
-                                  {Object.keys(person.visits).map(visitType => (
-                                    <div key={visitType}>
-                                      <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1 capitalize">
-                                        {formatVisitType(visitType)}
-                                      </label>
-                                      <input
-                                        type="number"
-                                        min="0"
-                                        value={person.visits[visitType]}
-                                        onChange={(e) => updateScenarioPersonVisits(person.id, visitType, e.target.value, scenario.key)}
-                                        className="w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-xs focus:ring-2 focus:ring-indigo-600 dark:focus:ring-indigo-400 focus:border-transparent bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
-                                      />
-                                    </div>
-                                  ))}
-                                </div>
-                              </div>
+                {/* Demographics */}
+                {(() => {
+                  const personIndex = people.indexOf(basePerson);
+                  const age = getPersonAge(basePerson, planYear);
+                  return (
+                    <div className="flex flex-wrap items-center gap-3 mb-3 ml-0 sm:ml-6 text-xs sm:text-sm">
+                      <label className="flex items-center gap-2 text-gray-600 dark:text-gray-400">
+                        Birth Date
+                        <input
+                          type="date"
+                          value={basePerson.birthDate || ''}
+                          onChange={(e) => updatePersonDemographic(basePerson.id, 'birthDate', e.target.value)}
+                          className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100"
+                        />
+                      </label>
+                      {age !== null && (
+                        <span className="text-gray-500 dark:text-gray-400">Age {age} on Jan 1, {planYear}</span>
+                      )}
+                      <label className="flex items-center gap-1 text-gray-600 dark:text-gray-400">
+                        <input
+                          type="checkbox"
+                          checked={!!basePerson.tobacco}
+                          onChange={(e) => updatePersonDemographic(basePerson.id, 'tobacco', e.target.checked)}
+                        />
+                        Tobacco user
+                      </label>
+                      {isAgedOutDependent(basePerson, personIndex, planYear) && (
+                        <span className="text-amber-700 dark:text-amber-400">Too old to be a dependent (turns {dependentAgeLimit} before the plan year)</span>
+                      )}
+                    </div>
+                  );
+                })()}
 
-                              {/* Medications */}
-                              <div>
-                                <div className="flex items-center justify-between mb-2">
-                                  <div className="flex items-center gap-2">
-                                    <Icon name="pill-half" size={14} className="text-green-600 dark:text-green-400" />
-                                    <span className="text-xs font-semibold text-gray-700 dark:text-gray-300">Medications</span>
-                                  </div>
-                                  <button
-                                    onClick={() => addScenarioMedication(person.id, scenario.key)}
-                                    className="flex items-center gap-1 bg-green-600 text-white px-2 py-1 rounded text-xs hover:bg-green-700 transition"
-                                  >
-                                    <Icon name="plus" size={12} />
-                                    Add
-                                  </button>
-                                </div>
-                                {person.medications.length > 0 && (
-                                  <div className="space-y-2">
-                                    {person.medications.map(med => (
-                                      <div key={med.id} className="bg-white dark:bg-gray-600 p-2 rounded">
-                                        <input
-                                          type="text"
-                                          placeholder="Med name"
-                                          value={med.name}
-                                          onChange={(e) => updateScenarioMedication(person.id, med.id, 'name', e.target.value, scenario.key)}
-                                          className="w-full mb-1 px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-xs bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
-                                        />
-                                        <div className="flex gap-2 items-center">
-                                          <select
-                                            value={med.tier}
-                                            onChange={(e) => updateScenarioMedication(person.id, med.id, 'tier', parseInt(e.target.value), scenario.key)}
-                                            className="flex-1 px-1 py-1 border border-gray-300 dark:border-gray-500 rounded text-xs bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
-                                          >
-                                            <option value={1}>T1</option>
-                                            <option value={2}>T2</option>
-                                            <option value={3}>T3</option>
-                                            <option value={4}>T4</option>
-                                            <option value={5}>T5</option>
-                                          </select>
-                                          <input
-                                            type="number"
-                                            placeholder="Refills"
-                                            value={med.refillsPerYear}
-                                            onChange={(e) => updateScenarioMedication(person.id, med.id, 'refillsPerYear', parseInt(e.target.value) || 0, scenario.key)}
-                                            className="w-14 px-1 py-1 border border-gray-300 dark:border-gray-500 rounded text-xs bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
-                                          />
-                                          <button
-                                            onClick={() => removeScenarioMedication(person.id, med.id, scenario.key)}
-                                            className="text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 p-1 rounded"
-                                          >
-                                            <Icon name="trash-2" size={14} />
-                                          </button>
-                                        </div>
-                                      </div>
-                                    ))}
-                                  </div>
-                                )}
-                              </div>
-                            </>
-                          )}
-                        </div>
-                      );
-                    })}
+                {/* Care Visits per Person */}
+                <div className="mb-3">
+                  <div className="flex items-center gap-2 mb-2">
+                    <Icon name="activity" size={16} className="text-indigo-600 dark:text-indigo-400" />
+                    <span className="text-xs sm:text-sm font-semibold text-gray-700 dark:text-gray-300">Annual Care Visits</span>
                   </div>
-                ) : (
-                  <>
-                    {/* Care Visits per Person */}
-                    <div className="mb-3">
-                      <div className="flex items-center gap-2 mb-2">
-                        <Icon name="activity" size={16} className="text-indigo-600 dark:text-indigo-400" />
-                        <span className="text-xs sm:text-sm font-semibold text-gray-700 dark:text-gray-300">Annual Care Visits</span>
-                      </div>
-                      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-2 ml-0 sm:ml-6">
-                        {Object.keys(basePerson.visits).map(visitType => (
-                          <div key={visitType}>
-                            <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1 capitalize">
-                              {formatVisitType(visitType)}
-                            </label>
-                            <input
-                              type="number"
-                              min="0"
-                              value={basePerson.visits[visitType]}
-                              onChange={(e) => updatePersonVisits(basePerson.id, visitType, e.target.value)}
-                              className="w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm focus:ring-2 focus:ring-indigo-600 dark:focus:ring-indigo-400 focus:border-transparent bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100"
-                            />
-                          </div>
-                        ))}
+                  <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-2 ml-0 sm:ml-6">
+                    {Object.keys(basePerson.visits).map(visitType => (
+                      <div key={visitType}>
+                        <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1 capitalize">
+                          {formatVisitType(visitType)}
+                        </label>
+                        <div className="flex gap-1">
+                          <input
+                            type="number"
+                            min="0"
+                            value={basePerson.visits[visitType]}
+                            onChange={(e) => updatePersonVisits(basePerson.id, visitType, e.target.value)}
+                            className="flex-1 min-w-0 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm focus:ring-2 focus:ring-indigo-600 dark:focus:ring-indigo-400 focus:border-transparent bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100"
+                          />
+                          <OutOfNetworkToggle
+                            checked={basePerson.outOfNetwork?.[visitType]}
+                            onChange={(checked) => updatePersonNetwork(basePerson.id, visitType, checked)}
+                          />
+                        </div>
                       </div>
-                    </div>
+                    ))}
+                  </div>
+                </div>
 
-                    {/* Medications */}
-                    <div>
-                      <div className="flex items-center justify-between mb-2">
-                        <div className="flex items-center gap-2">
-                          <Icon name="pill-half" size={16} className="text-green-600 dark:text-green-400" />
-                          <span className="text-xs sm:text-sm font-semibold text-gray-700 dark:text-gray-300">Medications</span>
+                {/* Planned Events per Person */}
+                <div className="mb-3">
+                  <div className="flex items-center gap-2 mb-2">
+                    <Icon name="calendar" size={16} className="text-rose-600 dark:text-rose-400" />
+                    <span className="text-xs sm:text-sm font-semibold text-gray-700 dark:text-gray-300">Planned Events</span>
+                  </div>
+                  <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-2 ml-0 sm:ml-6">
+                    {Object.entries(plannedEventUnits).filter(([eventType]) => eventType !== 'childrenGlasses').map(([eventType, unit]) => (
+                      <div key={eventType}>
+                        <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1 capitalize">
+                          {formatVisitType(eventType)} ({unit}s)
+                        </label>
+                        <div className="flex gap-1">
+                          <input
+                            type="number"
+                            min="0"
+                            value={basePerson.events?.[eventType] || 0}
+                            onChange={(e) => updatePersonEvents(basePerson.id, eventType, e.target.value)}
+                            className="flex-1 min-w-0 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm focus:ring-2 focus:ring-indigo-600 dark:focus:ring-indigo-400 focus:border-transparent bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100"
+                          />
+                          <select
+                            value={basePerson.serviceMonths?.[eventType] || ''}
+                            onChange={(e) => updatePersonServiceMonth(basePerson.id, eventType, e.target.value)}
+                            className="w-20 px-1 py-1 border border-gray-300 dark:border-gray-600 rounded text-xs bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100"
+                            title="Month this event happens in"
+                          >
+                            <option value="">Spread</option>
+                            {MONTH_LABELS.map((label, index) => (
+                              <option key={label} value={index + 1}>{label}</option>
+                            ))}
+                          </select>
+                          <OutOfNetworkToggle
+                            checked={basePerson.outOfNetwork?.[eventType]}
+                            onChange={(checked) => updatePersonNetwork(basePerson.id, eventType, checked)}
+                          />
                         </div>
-                        <button
-                          onClick={() => addMedication(basePerson.id)}
-                          className="flex items-center gap-1 bg-green-600 text-white px-2 py-1 rounded text-xs hover:bg-green-700 transition"
-                        >
-                          <Icon name="plus" size={14} />
-                          Add
-                        </button>
                       </div>
+                    ))}
+                  </div>
+                </div>
 
-                      {basePerson.medications.length > 0 && (
-                        <div className="space-y-2 ml-0 sm:ml-6">
-                          {basePerson.medications.map(med => (
-                            <div key={med.id} className="flex flex-col gap-2 bg-gray-50 dark:bg-gray-600 p-2 rounded transition-colors">
-                              <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-2">
-                                <input
-                                  type="text"
-                                  placeholder="Medication name"
-                                  value={med.name}
-                                  onChange={(e) => updateMedication(basePerson.id, med.id, 'name', e.target.value)}
-                                  className="flex-1 px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm min-w-0 bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
-                                />
-                                <div className="flex gap-2">
-                                  <select
-                                    value={med.tier}
-                                    onChange={(e) => updateMedication(basePerson.id, med.id, 'tier', parseInt(e.target.value))}
-                                    className="px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm flex-1 sm:flex-none bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
-                                  >
-                                    <option value={1}>Tier 1</option>
-                                    <option value={2}>Tier 2</option>
-                                    <option value={3}>Tier 3</option>
-                                    <option value={4}>Tier 4</option>
-                                    <option value={5}>Tier 5</option>
-                                  </select>
-                                  <input
-                                    type="number"
-                                    placeholder="Refills/yr"
-                                    value={med.refillsPerYear}
-                                    onChange={(e) => updateMedication(basePerson.id, med.id, 'refillsPerYear', parseInt(e.target.value) || 0)}
-                                    className="w-20 sm:w-20 px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
-                                  />
-                                  <button
-                                    onClick={() => removeMedication(basePerson.id, med.id)}
-                                    className="text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 p-1 rounded transition flex-shrink-0"
-                                  >
-                                    <Icon name="trash-2" size={16} />
-                                  </button>
-                                </div>
-                              </div>
-                              <div className="flex flex-col sm:flex-row sm:items-center gap-2">
-                                <label className="text-xs text-gray-600 dark:text-gray-400 whitespace-nowrap">Custom Cost per Refill ($):</label>
+                {/* Pediatric Dental & Vision */}
+                <div className="mb-3">
+                  <div className="flex items-center gap-2 mb-2">
+                    <Icon name="smile" size={16} className="text-sky-600 dark:text-sky-400" />
+                    <span className="text-xs sm:text-sm font-semibold text-gray-700 dark:text-gray-300">Pediatric Dental & Vision</span>
+                    {!isPediatric(basePerson, planYear) && (
+                      <span className="text-xs text-gray-500 dark:text-gray-400">(not covered at this age)</span>
+                    )}
+                  </div>
+                  <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-2 ml-0 sm:ml-6">
+                    {[...Object.entries(pediatricServiceUnits), ['childrenGlasses', plannedEventUnits.childrenGlasses]].map(([serviceType, unit]) => (
+                      <div key={serviceType}>
+                        <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1 capitalize">
+                          {formatVisitType(serviceType)} ({unit}s)
+                        </label>
+                        <div className="flex gap-1">
+                          <input
+                            type="number"
+                            min="0"
+                            value={(serviceType === 'childrenGlasses' ? basePerson.events?.[serviceType] : basePerson.pediatric?.[serviceType]) || 0}
+                            onChange={(e) => serviceType === 'childrenGlasses'
+                              ? updatePersonEvents(basePerson.id, serviceType, e.target.value)
+                              : updatePersonPediatric(basePerson.id, serviceType, e.target.value)}
+                            className="flex-1 min-w-0 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm focus:ring-2 focus:ring-indigo-600 dark:focus:ring-indigo-400 focus:border-transparent bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100"
+                          />
+                          <select
+                            value={basePerson.serviceMonths?.[serviceType] || ''}
+                            onChange={(e) => updatePersonServiceMonth(basePerson.id, serviceType, e.target.value)}
+                            className="w-20 px-1 py-1 border border-gray-300 dark:border-gray-600 rounded text-xs bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100"
+                            title="Month this happens in"
+                          >
+                            <option value="">Spread</option>
+                            {MONTH_LABELS.map((label, index) => (
+                              <option key={label} value={index + 1}>{label}</option>
+                            ))}
+                          </select>
+                          <OutOfNetworkToggle
+                            checked={basePerson.outOfNetwork?.[serviceType]}
+                            onChange={(checked) => updatePersonNetwork(basePerson.id, serviceType, checked)}
+                          />
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                {/* Care Team: which provider each service is seen by */}
+                {providers.some(provider => provider.type !== 'pharmacy') && (() => {
+                  const services = [
+                    ...Object.keys(basePerson.visits).filter(type => basePerson.visits[type] > 0),
+                    ...Object.keys(plannedEventUnits).filter(type => basePerson.events?.[type] > 0),
+                    ...Object.keys(pediatricServiceUnits).filter(type => basePerson.pediatric?.[type] > 0)
+                  ];
+                  return services.length > 0 && (
+                    <div className="mb-3">
+                      <div className="flex items-center gap-2 mb-2">
+                        <Icon name="stethoscope" size={16} className="text-teal-600 dark:text-teal-400" />
+                        <span className="text-xs sm:text-sm font-semibold text-gray-700 dark:text-gray-300">Care Team</span>
+                      </div>
+                      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-2 ml-0 sm:ml-6">
+                        {services.map(serviceType => (
+                          <div key={serviceType}>
+                            <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1 capitalize">
+                              {formatVisitType(serviceType)}
+                            </label>
+                            <select
+                              value={basePerson.providers?.[serviceType] ?? ''}
+                              onChange={(e) => updatePersonProvider(basePerson.id, serviceType, e.target.value === '' ? null : parseInt(e.target.value))}
+                              className="w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100"
+                              title="A provider's network status for each plan overrides the OON checkbox"
+                            >
+                              <option value="">No provider</option>
+                              {providers.filter(provider => provider.type !== 'pharmacy').map(provider => (
+                                <option key={provider.id} value={provider.id}>{provider.name}{provider.specialty && ` (${provider.specialty})`}</option>
+                              ))}
+                            </select>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  );
+                })()}
+
+                {/* Medications */}
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <div className="flex items-center gap-2">
+                      <Icon name="pill-half" size={16} className="text-green-600 dark:text-green-400" />
+                      <span className="text-xs sm:text-sm font-semibold text-gray-700 dark:text-gray-300">Medications</span>
+                    </div>
+                    <button
+                      onClick={() => addMedication(basePerson.id)}
+                      className="flex items-center gap-1 bg-green-600 text-white px-2 py-1 rounded text-xs hover:bg-green-700 transition"
+                    >
+                      <Icon name="plus" size={14} />
+                      Add
+                    </button>
+                  </div>
+
+                  {basePerson.medications.length > 0 && (
+                    <div className="space-y-2 ml-0 sm:ml-6">
+                      {basePerson.medications.map(med => (
+                        <div key={med.id} className="flex flex-col gap-2 bg-gray-50 dark:bg-gray-600 p-2 rounded transition-colors">
+                          <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-2">
+                            <input
+                              type="text"
+                              placeholder="Medication name"
+                              value={med.name}
+                              onChange={(e) => updateMedication(basePerson.id, med.id, 'name', e.target.value)}
+                              list="formulary-drugs"
+                              className="flex-1 px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm min-w-0 bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                            />
+                            {formularyDrugNames.length > 0 && (
+                              <input
+                                type="text"
+                                placeholder="RxNorm/NDC code"
+                                value={med.code || ''}
+                                onChange={(e) => updateMedication(basePerson.id, med.id, 'code', e.target.value)}
+                                className="w-full sm:w-32 px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                              />
+                            )}
+                            <div className="flex gap-2">
+                              <select
+                                value={med.tier}
+                                onChange={(e) => updateMedication(basePerson.id, med.id, 'tier', parseInt(e.target.value))}
+                                className="px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm flex-1 sm:flex-none bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                                title="Used by plans without a formulary; plans with one take the tier from it"
+                              >
+                                <option value={1}>Tier 1</option>
+                                <option value={2}>Tier 2</option>
+                                <option value={3}>Tier 3</option>
+                                <option value={4}>Tier 4</option>
+                                <option value={5}>Tier 5</option>
+                              </select>
+                              <input
+                                type="number"
+                                placeholder="Refills/yr"
+                                value={med.refillsPerYear}
+                                onChange={(e) => updateMedication(basePerson.id, med.id, 'refillsPerYear', parseInt(e.target.value) || 0)}
+                                className="w-20 sm:w-20 px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                              />
+                              <button
+                                onClick={() => removeMedication(basePerson.id, med.id)}
+                                className="text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 p-1 rounded transition flex-shrink-0"
+                              >
+                                <Icon name="trash-2" size={16} />
+                              </button>
+                            </div>
+                          </div>
+                          <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+                            <label className="text-xs text-gray-600 dark:text-gray-400 whitespace-nowrap">Price per 30-day Refill ($):</label>
+                            <input
+                              type="number"
+                              step="0.01"
+                              placeholder={`Optional - tier list price is ${formatCurrency(costSettings['tier' + med.tier] ?? defaultCostSettings['tier' + med.tier])}`}
+                              value={med.customCost || ''}
+                              onChange={(e) => updateMedication(basePerson.id, med.id, 'customCost', e.target.value)}
+                              className="flex-1 px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                            />
+                            <label className="text-xs text-gray-600 dark:text-gray-400 whitespace-nowrap">First Refill:</label>
+                            <select
+                              value={med.startMonth || 1}
+                              onChange={(e) => updateMedication(basePerson.id, med.id, 'startMonth', parseInt(e.target.value))}
+                              className="px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                            >
+                              {MONTH_LABELS.map((label, index) => (
+                                <option key={label} value={index + 1}>{label}</option>
+                              ))}
+                            </select>
+                            {providers.some(provider => provider.type === 'pharmacy') && (
+                              <select
+                                value={med.providerId ?? ''}
+                                onChange={(e) => updateMedication(basePerson.id, med.id, 'providerId', e.target.value === '' ? null : parseInt(e.target.value))}
+                                className="px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                                title="A pharmacy's network status for each plan overrides the OON checkbox"
+                              >
+                                <option value="">Any pharmacy</option>
+                                {providers.filter(provider => provider.type === 'pharmacy').map(provider => (
+                                  <option key={provider.id} value={provider.id}>{provider.name}</option>
+                                ))}
+                              </select>
+                            )}
+                            <OutOfNetworkToggle
+                              checked={med.outOfNetwork}
+                              onChange={(checked) => updateMedication(basePerson.id, med.id, 'outOfNetwork', checked)}
+                            />
+                          </div>
+                          <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+                            <label className="text-xs text-gray-600 dark:text-gray-400 whitespace-nowrap">Supply:</label>
+                            <select
+                              value={getMedicationSupply(med).key}
+                              onChange={(e) => updateMedication(basePerson.id, med.id, 'supply', e.target.value)}
+                              className="px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                            >
+                              {medicationSupplies.map(supply => (
+                                <option key={supply.key} value={supply.key}>{supply.label}</option>
+                              ))}
+                            </select>
+                            {getMedicationSupply(med).key === 'mail90' && (
+                              <>
+                                <label className="text-xs text-gray-600 dark:text-gray-400 whitespace-nowrap">Price per 90-day Fill ($):</label>
                                 <input
                                   type="number"
                                   step="0.01"
-                                  placeholder="Optional - leave blank to use plan tier"
-                                  value={med.customCost || ''}
-                                  onChange={(e) => updateMedication(basePerson.id, med.id, 'customCost', e.target.value)}
+                                  placeholder="Optional - 3 refills' price"
+                                  value={med.mailOrderCost || ''}
+                                  onChange={(e) => updateMedication(basePerson.id, med.id, 'mailOrderCost', e.target.value)}
                                   className="flex-1 px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
                                 />
-                              </div>
-                            </div>
-                          ))}
+                              </>
+                            )}
+                          </div>
                         </div>
-                      )}
+                      ))}
                     </div>
-                  </>
-                )}
+                  )}
+                </div>
               </div>
             ))}
           </div>
         </div>
 
+        <datalist id="formulary-drugs">
+          {formularyDrugNames.map(name => <option key={name} value={name} />)}
+        </datalist>
+
+        {/* Scenarios Section */}
+        {scenariosEnabled && (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-3 sm:p-6 mb-4 sm:mb-6 transition-colors">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-2">
+              <div className="flex items-center gap-2">
+                <Icon name="layers" className="text-orange-600 dark:text-orange-400" />
+                <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 dark:text-gray-100">Scenarios</h2>
+              </div>
+              <button
+                onClick={addScenario}
+                className="flex items-center justify-center gap-1 sm:gap-2 bg-orange-600 text-white px-3 py-2 rounded-lg hover:bg-orange-700 transition text-xs sm:text-sm whitespace-nowrap"
+              >
+                <Icon name="plus" size={16} />
+                <span>Add Scenario</span>
+              </button>
+            </div>
+            <p className="text-xs sm:text-sm text-gray-600 dark:text-gray-400 mb-4">
+              Each scenario starts from the family members above and applies its rules in order. A scenario with no rules matches the base profile.
+            </p>
+
+            <div className="space-y-4">
+              {scenarios.map((scenario, index) => {
+                const colors = SCENARIO_COLORS[scenario.color] || SCENARIO_COLORS.gray;
+                return (
+                  <div key={scenario.id} className={`border-2 ${colors.border} ${colors.card} rounded-lg p-3`}>
+                    <div className="flex flex-wrap items-center gap-2 mb-3">
+                      <Icon name={scenario.icon || 'layers'} size={16} className={colors.icon} />
+                      <input
+                        type="text"
+                        value={scenario.name}
+                        onChange={(e) => updateScenario(scenario.id, 'name', e.target.value)}
+                        className={`flex-1 min-w-0 font-semibold border-b border-transparent hover:border-gray-300 dark:hover:border-gray-500 focus:outline-none px-1 py-1 bg-transparent ${colors.heading}`}
+                        placeholder="Scenario Name"
+                      />
+                      <select
+                        value={scenario.color}
+                        onChange={(e) => updateScenario(scenario.id, 'color', e.target.value)}
+                        className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-xs bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                        title="Scenario color"
+                      >
+                        {Object.entries(SCENARIO_COLORS).map(([key, color]) => (
+                          <option key={key} value={key}>{color.label}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => moveScenario(scenario.id, -1)}
+                        disabled={index === 0}
+                        className="text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 p-1 rounded disabled:opacity-30"
+                        title="Move up"
+                      >
+                        <Icon name="arrow-up" size={16} />
+                      </button>
+                      <button
+                        onClick={() => moveScenario(scenario.id, 1)}
+                        disabled={index === scenarios.length - 1}
+                        className="text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 p-1 rounded disabled:opacity-30"
+                        title="Move down"
+                      >
+                        <Icon name="arrow-down" size={16} />
+                      </button>
+                      <button
+                        onClick={() => removeScenario(scenario.id)}
+                        className="text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 p-1 rounded"
+                        title="Delete this scenario"
+                      >
+                        <Icon name="trash-2" size={16} />
+                      </button>
+                    </div>
+
+                    <div className="space-y-2">
+                      {scenario.rules.map(rule => (
+                        <div key={rule.id} className="flex flex-wrap items-center gap-2 bg-white dark:bg-gray-700 p-2 rounded">
+                          <select
+                            value={rule.personId ?? ''}
+                            onChange={(e) => updateScenarioRule(scenario.id, rule.id, 'personId', e.target.value ? parseInt(e.target.value) : null)}
+                            className="px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-xs bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100"
+                          >
+                            <option value="">Everyone</option>
+                            {people.map(person => (
+                              <option key={person.id} value={person.id}>{person.name}</option>
+                            ))}
+                          </select>
+                          <select
+                            value={rule.type}
+                            onChange={(e) => updateScenarioRule(scenario.id, rule.id, 'type', e.target.value)}
+                            className="px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-xs bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100"
+                            title={scenarioRuleTypes.find(t => t.key === rule.type)?.description}
+                          >
+                            {scenarioRuleTypes.map(t => (
+                              <option key={t.key} value={t.key}>{t.label}</option>
+                            ))}
+                          </select>
+                          <select
+                            value={rule.service}
+                            onChange={(e) => updateScenarioRule(scenario.id, rule.id, 'service', e.target.value)}
+                            className="flex-1 min-w-0 px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-xs bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100 capitalize"
+                          >
+                            {rule.type === 'addEvents' ? (
+                              Object.entries(plannedEventUnits).map(([eventType, unit]) => (
+                                <option key={eventType} value={eventType}>{formatVisitType(eventType)} ({unit}s)</option>
+                              ))
+                            ) : (
+                              <>
+                                <option value="*">All visit types</option>
+                                {Object.keys(defaultPerson.visits).map(visitType => (
+                                  <option key={visitType} value={visitType}>{formatVisitType(visitType)}</option>
+                                ))}
+                              </>
+                            )}
+                          </select>
+                          <span className="text-xs text-gray-600 dark:text-gray-400">{rule.type === 'multiplyVisits' ? '×' : '+'}</span>
+                          <input
+                            type="number"
+                            step={rule.type === 'multiplyVisits' ? '0.1' : '1'}
+                            value={rule.value}
+                            onChange={(e) => updateScenarioRule(scenario.id, rule.id, 'value', parseFloat(e.target.value) || 0)}
+                            className="w-20 px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-xs bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100"
+                          />
+                          <button
+                            onClick={() => removeScenarioRule(scenario.id, rule.id)}
+                            className="text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 p-1 rounded"
+                          >
+                            <Icon name="x" size={14} />
+                          </button>
+                        </div>
+                      ))}
+                      <button
+                        onClick={() => addScenarioRule(scenario.id)}
+                        className={`flex items-center gap-1 text-xs ${colors.icon} hover:underline`}
+                      >
+                        <Icon name="plus" size={12} />
+                        Add Rule
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
         {/* Plans Comparison */}
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-3 sm:p-6 transition-colors">
           <div className="flex flex-col gap-3 mb-4">
@@ -1057,15 +2165,153 @@ const HealthInsuranceCalculator = () => {
                   {editingPlan === plan.id && (
                     <div className="space-y-2 mb-4 bg-gray-50 dark:bg-gray-600 p-2 sm:p-3 rounded max-h-96 overflow-y-auto text-sm transition-colors">
                       <div className="text-xs font-semibold text-gray-700 dark:text-gray-300">Basic Info</div>
+                      <div className="grid grid-cols-2 gap-2">
+                        <div>
+                          <label className="block text-xs font-medium text-gray-600 dark:text-gray-400">Pay Period</label>
+                          <select
+                            value={plan.premiumFrequency || 'monthly'}
+                            onChange={(e) => updatePlan(plan.id, 'premiumFrequency', e.target.value)}
+                            className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                          >
+                            {payPeriodFrequencies.map(frequency => (
+                              <option key={frequency.key} value={frequency.key}>{frequency.label}</option>
+                            ))}
+                          </select>
+                        </div>
+                        {(plan.premiumRating || 'flat') !== 'tiered' && (
+                          <div>
+                            <label className="block text-xs font-medium text-gray-600 dark:text-gray-400">{plan.premiumRating === 'ageRated' ? 'Age-21 Rate per Pay Period' : 'Premium per Pay Period'}</label>
+                            <input
+                              type="number"
+                              step="0.01"
+                              value={plan.premium}
+                              onChange={(e) => updatePlan(plan.id, 'premium', parseFloat(e.target.value) || 0)}
+                              className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                            />
+                          </div>
+                        )}
+                      </div>
                       <div>
-                        <label className="block text-xs font-medium text-gray-600 dark:text-gray-400">Monthly Premium</label>
-                        <input
-                          type="number"
-                          step="0.01"
-                          value={plan.premium}
-                          onChange={(e) => updatePlan(plan.id, 'premium', parseFloat(e.target.value) || 0)}
+                        <label className="block text-xs font-medium text-gray-600 dark:text-gray-400">Premium Pricing</label>
+                        <select
+                          value={plan.premiumRating || 'flat'}
+                          onChange={(e) => updatePlan(plan.id, 'premiumRating', e.target.value)}
                           className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
-                        />
+                          title={premiumRatingMethods.find(m => m.key === (plan.premiumRating || 'flat'))?.description}
+                        >
+                          {premiumRatingMethods.map(method => (
+                            <option key={method.key} value={method.key}>{method.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                      {plan.premiumRating === 'ageRated' && (
+                        <div>
+                          <label className="block text-xs text-gray-600 dark:text-gray-400">Tobacco Surcharge (%)</label>
+                          <input
+                            type="number"
+                            min="0"
+                            max="50"
+                            value={Math.round((plan.tobaccoSurcharge || 0) * 1000) / 10}
+                            onChange={(e) => updatePlan(plan.id, 'tobaccoSurcharge', Math.min(50, Math.max(0, parseFloat(e.target.value) || 0)) / 100)}
+                            className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                          />
+                        </div>
+                      )}
+                      {plan.premiumRating === 'tiered' && (
+                        <div className="grid grid-cols-2 gap-2">
+                          {premiumTiers.map(tier => (
+                            <div key={tier.key}>
+                              <label className="block text-xs text-gray-600 dark:text-gray-400">{tier.label}</label>
+                              <input
+                                type="number"
+                                step="0.01"
+                                value={plan.premiumTiers?.[tier.key] || 0}
+                                onChange={(e) => updatePlanNested(plan.id, 'premiumTiers', tier.key, parseFloat(e.target.value) || 0)}
+                                className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                              />
+                            </div>
+                          ))}
+                        </div>
+                      )}
+
+                      <div className="flex items-center justify-between gap-2">
+                        <label className="flex items-center gap-2 text-xs font-medium text-gray-600 dark:text-gray-400">
+                          <input
+                            type="checkbox"
+                            checked={!!plan.marketplace}
+                            onChange={(e) => updatePlan(plan.id, 'marketplace', e.target.checked)}
+                          />
+                          Marketplace plan
+                        </label>
+                        {plan.marketplace && (
+                          <select
+                            value={plan.metalLevel || ''}
+                            onChange={(e) => updatePlan(plan.id, 'metalLevel', e.target.value)}
+                            className="px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                          >
+                            {metalLevels.map(level => (
+                              <option key={level.key} value={level.key}>{level.label}</option>
+                            ))}
+                          </select>
+                        )}
+                      </div>
+                      {plan.marketplace && plan.metalLevel === 'silver' && (
+                        <div className="space-y-1">
+                          <div className="text-xs text-gray-600 dark:text-gray-400" title="Used instead of the standard medical deductible and MOOP when the household qualifies for that variant">
+                            CSR variants (medical deductible / MOOP, person)
+                          </div>
+                          {csrLevels.map(level => (
+                            <div key={level.key} className="grid grid-cols-3 gap-2 items-center">
+                              <span className="text-xs text-gray-500 dark:text-gray-400">{level.key}% AV</span>
+                              <input
+                                type="number"
+                                min="0"
+                                value={plan.csrVariants?.[level.key]?.medicalDeductible?.person || 0}
+                                onChange={(e) => updatePlanCsrVariant(plan.id, level.key, 'medicalDeductible', 'person', parseFloat(e.target.value) || 0)}
+                                className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                                title="Deductible (person)"
+                              />
+                              <input
+                                type="number"
+                                min="0"
+                                value={plan.csrVariants?.[level.key]?.outOfPocketMax?.person || 0}
+                                onChange={(e) => updatePlanCsrVariant(plan.id, level.key, 'outOfPocketMax', 'person', parseFloat(e.target.value) || 0)}
+                                className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                                title="Out-of-pocket max (person)"
+                              />
+                            </div>
+                          ))}
+                          <div className="text-xs text-gray-500 dark:text-gray-400">Family amounts are twice the person amounts.</div>
+                        </div>
+                      )}
+
+                      <div>
+                        <label className="block text-xs font-medium text-gray-600 dark:text-gray-400">Offered Through</label>
+                        <select
+                          value={plan.employeeId ?? ''}
+                          onChange={(e) => updatePlan(plan.id, 'employeeId', e.target.value === '' ? null : parseInt(e.target.value))}
+                          className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                          title="Whose employer offers this plan. Others can only join it together with that person."
+                        >
+                          <option value="">Anyone (e.g. marketplace)</option>
+                          {people.map(person => (
+                            <option key={person.id} value={person.id}>{person.name}'s employer</option>
+                          ))}
+                        </select>
+                      </div>
+
+                      <div>
+                        <label className="block text-xs font-medium text-gray-600 dark:text-gray-400">Family Deductible & MOOP</label>
+                        <select
+                          value={plan.familyAccumulation || 'embedded'}
+                          onChange={(e) => updatePlan(plan.id, 'familyAccumulation', e.target.value)}
+                          className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                          title={familyAccumulationModes.find(m => m.key === (plan.familyAccumulation || 'embedded'))?.description}
+                        >
+                          {familyAccumulationModes.map(mode => (
+                            <option key={mode.key} value={mode.key}>{mode.label}</option>
+                          ))}
+                        </select>
                       </div>
 
                       <div className="grid grid-cols-2 gap-2">
@@ -1130,7 +2376,154 @@ const HealthInsuranceCalculator = () => {
                           />
                         </div>
                       </div>
-                      
+
+                      {(() => {
+                        const outOfNetwork = mergeOutOfNetwork(plan.outOfNetwork);
+                        return (
+                          <>
+                            <div className="flex items-center justify-between mt-3">
+                              <span className="text-xs font-semibold text-gray-700 dark:text-gray-300">Out of Network</span>
+                              <label className="flex items-center gap-1 text-xs text-gray-600 dark:text-gray-400">
+                                <input
+                                  type="checkbox"
+                                  checked={outOfNetwork.covered}
+                                  onChange={(e) => updatePlanOutOfNetwork(plan.id, 'covered', e.target.checked)}
+                                />
+                                Covered
+                              </label>
+                            </div>
+                            {outOfNetwork.covered ? (
+                              <div className="grid grid-cols-2 gap-2">
+                                <div>
+                                  <label className="block text-xs text-gray-600 dark:text-gray-400">OON Deductible (Person)</label>
+                                  <input
+                                    type="number"
+                                    value={outOfNetwork.deductible.person}
+                                    onChange={(e) => updatePlanOutOfNetworkLimit(plan.id, 'deductible', 'person', parseFloat(e.target.value) || 0)}
+                                    className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                                  />
+                                </div>
+                                <div>
+                                  <label className="block text-xs text-gray-600 dark:text-gray-400">OON Deductible (Family)</label>
+                                  <input
+                                    type="number"
+                                    value={outOfNetwork.deductible.family}
+                                    onChange={(e) => updatePlanOutOfNetworkLimit(plan.id, 'deductible', 'family', parseFloat(e.target.value) || 0)}
+                                    className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                                  />
+                                </div>
+                                <div>
+                                  <label className="block text-xs text-gray-600 dark:text-gray-400">OON OOP Max (Person)</label>
+                                  <input
+                                    type="number"
+                                    value={outOfNetwork.outOfPocketMax.person}
+                                    onChange={(e) => updatePlanOutOfNetworkLimit(plan.id, 'outOfPocketMax', 'person', parseFloat(e.target.value) || 0)}
+                                    className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                                    title="0 means no out-of-network limit"
+                                  />
+                                </div>
+                                <div>
+                                  <label className="block text-xs text-gray-600 dark:text-gray-400">OON OOP Max (Family)</label>
+                                  <input
+                                    type="number"
+                                    value={outOfNetwork.outOfPocketMax.family}
+                                    onChange={(e) => updatePlanOutOfNetworkLimit(plan.id, 'outOfPocketMax', 'family', parseFloat(e.target.value) || 0)}
+                                    className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                                    title="0 means no out-of-network limit"
+                                  />
+                                </div>
+                                <div>
+                                  <label className="block text-xs text-gray-600 dark:text-gray-400">OON Coinsurance (%)</label>
+                                  <input
+                                    type="number"
+                                    min="0"
+                                    max="100"
+                                    value={Math.round(outOfNetwork.coinsurance * 1000) / 10}
+                                    onChange={(e) => updatePlanOutOfNetwork(plan.id, 'coinsurance', Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) / 100)}
+                                    className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                                  />
+                                </div>
+                                <div>
+                                  <label className="block text-xs text-gray-600 dark:text-gray-400">Balance Billing (%)</label>
+                                  <input
+                                    type="number"
+                                    min="0"
+                                    value={Math.round(outOfNetwork.balanceBilling * 1000) / 10}
+                                    onChange={(e) => updatePlanOutOfNetwork(plan.id, 'balanceBilling', Math.max(0, parseFloat(e.target.value) || 0) / 100)}
+                                    className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                                    title="How much out-of-network providers bill above the plan's allowed amount, as a % of it. Paid in full and not counted towards the MOOP."
+                                  />
+                                </div>
+                              </div>
+                            ) : (
+                              <div className="text-xs text-gray-500 dark:text-gray-400">Out-of-network care is paid in full (except emergencies).</div>
+                            )}
+                          </>
+                        );
+                      })()}
+
+                      <div className="text-xs font-semibold text-gray-700 dark:text-gray-300 mt-3">Accounts (annual)</div>
+                      <div className="grid grid-cols-2 gap-2">
+                        <div>
+                          <label className="block text-xs text-gray-600 dark:text-gray-400">HSA Employer Contribution</label>
+                          <input
+                            type="number"
+                            value={plan.accounts?.hsa?.employer || 0}
+                            onChange={(e) => updatePlanAccount(plan.id, 'hsa', 'employer', parseFloat(e.target.value) || 0)}
+                            className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-xs text-gray-600 dark:text-gray-400">HSA Employee Contribution</label>
+                          <input
+                            type="number"
+                            value={plan.accounts?.hsa?.employee || 0}
+                            onChange={(e) => updatePlanAccount(plan.id, 'hsa', 'employee', parseFloat(e.target.value) || 0)}
+                            className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-xs text-gray-600 dark:text-gray-400">HRA Employer Funding</label>
+                          <input
+                            type="number"
+                            value={plan.accounts?.hra?.employer || 0}
+                            onChange={(e) => updatePlanAccount(plan.id, 'hra', 'employer', parseFloat(e.target.value) || 0)}
+                            className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-xs text-gray-600 dark:text-gray-400">HRA Pays</label>
+                          <select
+                            value={plan.accounts?.hra?.covers || 'deductible'}
+                            onChange={(e) => updatePlanAccount(plan.id, 'hra', 'covers', e.target.value)}
+                            className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                            title={hraCoverageOptions.find(o => o.key === (plan.accounts?.hra?.covers || 'deductible'))?.description}
+                          >
+                            {hraCoverageOptions.map(option => (
+                              <option key={option.key} value={option.key}>{option.label}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div>
+                          <label className="block text-xs text-gray-600 dark:text-gray-400">FSA Employee Election</label>
+                          <input
+                            type="number"
+                            value={plan.accounts?.fsa?.employee || 0}
+                            onChange={(e) => updatePlanAccount(plan.id, 'fsa', 'employee', parseFloat(e.target.value) || 0)}
+                            className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-xs text-gray-600 dark:text-gray-400">FSA Carryover Limit</label>
+                          <input
+                            type="number"
+                            value={plan.accounts?.fsa?.carryover || 0}
+                            onChange={(e) => updatePlanAccount(plan.id, 'fsa', 'carryover', parseFloat(e.target.value) || 0)}
+                            className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                          />
+                        </div>
+                      </div>
+
                       <div className="text-xs font-semibold text-gray-700 dark:text-gray-300 mt-3">Copays</div>
                       {Object.keys(plan.copays).map(key => (
                         <div key={key}>
@@ -1144,6 +2537,7 @@ const HealthInsuranceCalculator = () => {
                             onChange={(e) => updatePlanNested(plan.id, 'copays', key, parseFloat(e.target.value) || 0)}
                             className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
                           />
+                          <CostSharingControls plan={plan} category="copays" serviceKey={key} onChange={updatePlanCostSharing} />
                         </div>
                       ))}
 
@@ -1158,6 +2552,88 @@ const HealthInsuranceCalculator = () => {
                             onChange={(e) => updatePlanNested(plan.id, 'rxCopays', key, parseFloat(e.target.value) || 0)}
                             className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
                           />
+                          <CostSharingControls plan={plan} category="rxCopays" serviceKey={key} onChange={updatePlanCostSharing} />
+                        </div>
+                      ))}
+
+                      <div className="text-xs font-semibold text-gray-700 dark:text-gray-300 mt-3">Rx Deductible Waived Tiers</div>
+                      <div className="flex flex-wrap gap-3">
+                        {[1, 2, 3, 4, 5].map(tier => (
+                          <label key={tier} className="flex items-center gap-1 text-xs text-gray-600 dark:text-gray-400">
+                            <input
+                              type="checkbox"
+                              checked={(plan.rxDeductibleWaived || []).map(Number).includes(tier)}
+                              onChange={(e) => toggleRxDeductibleWaived(plan.id, tier, e.target.checked)}
+                            />
+                            Tier {tier}
+                          </label>
+                        ))}
+                      </div>
+
+                      <div className="text-xs font-semibold text-gray-700 dark:text-gray-300 mt-3">90-Day Copay Multipliers</div>
+                      {medicationSupplies.filter(supply => supply.refills > 1).map(supply => (
+                        <div key={supply.key}>
+                          <label className="block text-xs text-gray-600 dark:text-gray-400">{supply.label} (× 30-day copay)</label>
+                          <input
+                            type="number"
+                            step="0.1"
+                            value={getSupplyCopayMultiplier(plan, supply.key)}
+                            onChange={(e) => updatePlanNested(plan.id, 'supplyCopayMultipliers', supply.key, parseFloat(e.target.value) || 0)}
+                            className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                          />
+                        </div>
+                      ))}
+
+                      <div className="text-xs font-semibold text-gray-700 dark:text-gray-300 mt-3">Formulary</div>
+                      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600 dark:text-gray-400">
+                        <span>
+                          {hasFormulary(plan)
+                            ? `${plan.formulary.length} drug(s); unlisted drugs are not covered`
+                            : 'None - medications use the tier entered on them'}
+                        </span>
+                        <div className="relative">
+                          <input
+                            type="file"
+                            accept=".csv,.json"
+                            onChange={(e) => importPlanFormulary(plan.id, e)}
+                            className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+                            id={`formulary-${plan.id}`}
+                          />
+                          <label
+                            htmlFor={`formulary-${plan.id}`}
+                            className="flex items-center gap-1 bg-blue-600 text-white px-2 py-1 rounded text-xs hover:bg-blue-700 transition cursor-pointer"
+                          >
+                            <Icon name="upload" size={12} />
+                            Load CSV/JSON
+                          </label>
+                        </div>
+                        {hasFormulary(plan) && (
+                          <button
+                            onClick={() => {
+                              offerUndo(`Cleared the ${plan.name} formulary`);
+                              updatePlan(plan.id, 'formulary', []);
+                            }}
+                            className="text-red-600 dark:text-red-400 hover:underline"
+                          >
+                            Clear
+                          </button>
+                        )}
+                      </div>
+
+                      <div className="text-xs font-semibold text-gray-700 dark:text-gray-300 mt-3">Pediatric Dental & Vision</div>
+                      {Object.keys(pediatricServiceUnits).map(key => (
+                        <div key={key}>
+                          <label className="block text-xs text-gray-600 dark:text-gray-400 capitalize">
+                            {formatVisitType(key)}
+                          </label>
+                          <input
+                            type="number"
+                            step="0.01"
+                            value={plan[key] || 0}
+                            onChange={(e) => updatePlan(plan.id, key, parseFloat(e.target.value) || 0)}
+                            className="w-full px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                          />
+                          <CostSharingControls plan={plan} category="pediatric" serviceKey={key} onChange={updatePlanCostSharing} />
                         </div>
                       ))}
 
@@ -1174,58 +2650,107 @@ const HealthInsuranceCalculator = () => {
                             onChange={(e) => updatePlanNested(plan.id, 'coinsurance', key, parseFloat(e.target.value) || 0)}
                             className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
                           />
+                          <CostSharingControls plan={plan} category="coinsurance" serviceKey={key} onChange={updatePlanCostSharing} />
                         </div>
                       ))}
                     </div>
                   )}
 
+                  {(() => {
+                    const warnings = [...calculatePlanCost(plan).warnings, ...getProviderNetworkSummary(plan, people, providers).warnings];
+                    return warnings.length > 0 && (
+                      <div className="mb-3 p-2 bg-amber-50 dark:bg-amber-900/30 border border-amber-200 dark:border-amber-700 rounded text-xs text-amber-800 dark:text-amber-300 space-y-1">
+                        {warnings.map(warning => (
+                          <div key={warning} className="flex items-start gap-1">
+                            <Icon name="alert-triangle" size={12} />
+                            <span>{warning}</span>
+                          </div>
+                        ))}
+                      </div>
+                    );
+                  })()}
+
                   {scenariosEnabled ? (
-                    // Show all three scenarios when enabled
+                    // Show every scenario when enabled
                     <div className="space-y-3">
-                      {[
-                        { key: 'bestCase', label: 'Best Case', color: 'green', icon: 'smile' },
-                        { key: 'mostLikely', label: 'Most Likely', color: 'blue', icon: 'minus' },
-                        { key: 'worstCase', label: 'Worst Case', color: 'red', icon: 'frown' }
-                      ].map(scenario => {
-                        const scenarioCosts = calculatePlanCost(plan, scenario.key);
+                      {scenarios.map(scenario => {
+                        const colors = SCENARIO_COLORS[scenario.color] || SCENARIO_COLORS.gray;
+                        const scenarioCosts = calculatePlanCost(plan, scenario.id);
                         return (
-                          <div key={scenario.key} className={`bg-${scenario.color}-50 border border-${scenario.color}-200 p-3 rounded-lg`}>
+                          <div key={scenario.id} className={`${colors.card} border ${colors.border} p-3 rounded-lg`}>
                             <div className="flex items-center justify-between mb-2">
                               <div className="flex items-center gap-2">
-                                <Icon name={scenario.icon} size={16} className={`text-${scenario.color}-600`} />
-                                <span className={`font-semibold text-${scenario.color}-800`}>{scenario.label}</span>
+                                <Icon name={scenario.icon || 'layers'} size={16} className={colors.icon} />
+                                <span className={`font-semibold ${colors.heading}`}>{scenario.name}</span>
                               </div>
-                              <span className={`font-bold text-lg text-${scenario.color}-700`}>
+                              <span className={`font-bold text-lg ${colors.heading}`}>
                                 {formatCurrency(scenarioCosts.total)}
                               </span>
                             </div>
-                            <div className="flex justify-between text-xs text-gray-600">
+                            <div className="flex justify-between text-xs text-gray-600 dark:text-gray-400">
                               <span>Premium: {formatCurrency(scenarioCosts.premium)}</span>
                               <span>Visits: {formatCurrency(scenarioCosts.visits)}</span>
                               <span>Rx: {formatCurrency(scenarioCosts.medications)}</span>
                             </div>
+                            {scenarioCosts.hasAccounts && (
+                              <div className="flex justify-end text-xs text-green-700 dark:text-green-400 mt-1">
+                                Effective net: {formatCurrency(scenarioCosts.netTotal)}
+                              </div>
+                            )}
                           </div>
                         );
                       })}
-                      <div className="bg-gray-100 p-2 rounded text-center text-sm text-gray-600">
-                        Range: {formatCurrency(calculatePlanCost(plan, 'worstCase').total - calculatePlanCost(plan, 'bestCase').total)}
-                      </div>
+                      {scenarios.length > 1 && (() => {
+                        const totals = scenarios.map(scenario => calculatePlanCost(plan, scenario.id).total);
+                        return (
+                          <div className="bg-gray-100 dark:bg-gray-700 p-2 rounded text-center text-sm text-gray-600 dark:text-gray-300">
+                            Range: {formatCurrency(Math.max(...totals) - Math.min(...totals))}
+                          </div>
+                        );
+                      })()}
                     </div>
                   ) : (
                     // Show single cost when scenarios disabled
                     <div className="space-y-3 bg-indigo-50 dark:bg-gray-800 p-4 rounded-lg">
                       <div className="flex justify-between text-sm">
-                        <span className="text-gray-600 dark:text-gray-400">Annual Premium</span>
+                        <span className="text-gray-600 dark:text-gray-400">Annual Premium ({costs.premiumTier})</span>
                         <span className="font-semibold dark:text-gray-200">{formatCurrency(costs.premium)}</span>
                       </div>
+                      {costs.premiumTaxCredit > 0 && (
+                        <div className="flex justify-between text-xs pl-3" title="Already subtracted from the annual premium">
+                          <span className="text-gray-500 dark:text-gray-400">after premium tax credit</span>
+                          <span className="text-green-700 dark:text-green-400">-{formatCurrency(costs.premiumTaxCredit)}</span>
+                        </div>
+                      )}
+                      {costs.csrVariant && (
+                        <div className="text-xs text-emerald-700 dark:text-emerald-400">Priced as the {costs.csrVariant}</div>
+                      )}
                       <div className="flex justify-between text-sm">
                         <span className="text-gray-600 dark:text-gray-400">Out-of-Pocket Costs</span>
                         <span className="font-semibold dark:text-gray-200">{formatCurrency(costs.visits)}</span>
                       </div>
+                      {costs.pediatric > 0 && (
+                        <div className="flex justify-between text-xs pl-3" title="Included in out-of-pocket costs">
+                          <span className="text-gray-500 dark:text-gray-400">incl. pediatric dental & vision</span>
+                          <span className="text-gray-500 dark:text-gray-400">{formatCurrency(costs.pediatric)}</span>
+                        </div>
+                      )}
+                      {costs.outOfNetwork > 0 && (
+                        <div className="flex justify-between text-xs pl-3" title="Included in out-of-pocket costs: out-of-network cost sharing plus balance billing">
+                          <span className="text-orange-600 dark:text-orange-400">incl. out of network</span>
+                          <span className="text-orange-600 dark:text-orange-400">{formatCurrency(costs.outOfNetwork)}</span>
+                        </div>
+                      )}
                       <div className="border-t-2 border-indigo-300 dark:border-indigo-600 pt-2 flex justify-between">
                         <span className="font-bold text-gray-800 dark:text-gray-100">Total Yearly Cost</span>
                         <span className="font-bold text-2xl text-indigo-600 dark:text-indigo-400">{formatCurrency(costs.total)}</span>
                       </div>
+                      {costs.hasAccounts && (
+                        <div className="flex justify-between text-sm" title="After HSA/HRA funds, tax savings and any forfeited FSA money">
+                          <span className="text-gray-600 dark:text-gray-400">Effective Net Cost</span>
+                          <span className="font-semibold text-green-700 dark:text-green-400">{formatCurrency(costs.netTotal)}</span>
+                        </div>
+                      )}
                     </div>
                   )}
 
@@ -1233,6 +2758,25 @@ const HealthInsuranceCalculator = () => {
                     <div>Med Deductible: ${plan.medicalDeductible.person.toLocaleString()} / ${plan.medicalDeductible.family.toLocaleString()}</div>
                     <div>Rx Deductible: ${plan.rxDeductible.person.toLocaleString()} / ${plan.rxDeductible.family.toLocaleString()}</div>
                     <div>OOP Max: ${plan.outOfPocketMax.person.toLocaleString()} / ${plan.outOfPocketMax.family.toLocaleString()}</div>
+                    {(() => {
+                      const summary = getProviderNetworkSummary(plan, people, providers);
+                      return summary.linked > 0 && (
+                        <div className={summary.outOfNetwork.length > 0 ? 'text-orange-600 dark:text-orange-400' : ''}>
+                          Providers in network: {summary.inNetwork.length} of {summary.linked}
+                          {summary.unknown.length > 0 && ` (${summary.unknown.length} unknown)`}
+                        </div>
+                      );
+                    })()}
+                    {(() => {
+                      const outOfNetwork = mergeOutOfNetwork(plan.outOfNetwork);
+                      return (
+                        <div>
+                          Out of Network: {outOfNetwork.covered
+                            ? `$${outOfNetwork.deductible.person.toLocaleString()} deductible, ${outOfNetwork.outOfPocketMax.person ? `$${outOfNetwork.outOfPocketMax.person.toLocaleString()} OOP max` : 'no OOP max'}`
+                            : 'not covered'}
+                        </div>
+                      );
+                    })()}
                   </div>
                 </div>
               );
@@ -1256,26 +2800,69 @@ const HealthInsuranceCalculator = () => {
             </div>
             
             <div className="p-3 sm:p-6 overflow-y-auto max-h-[calc(95vh-80px)] sm:max-h-[calc(90vh-140px)]">
-              {scenariosEnabled ? (
+              <div className="flex gap-2 mb-4">
+                {[
+                  { key: 'annual', label: 'Annual', icon: 'calculator' },
+                  { key: 'monthly', label: 'Month by Month', icon: 'calendar' },
+                  ...(people.some(person => person.medications.length > 0) ? [{ key: 'supply', label: 'Fill Strategy', icon: 'pill-half' }] : [])
+                ].map(view => (
+                  <button
+                    key={view.key}
+                    onClick={() => setCalculationView(view.key)}
+                    className={`flex items-center gap-1 px-3 py-1 rounded text-sm transition ${calculationView === view.key ? 'bg-indigo-600 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'}`}
+                  >
+                    <Icon name={view.icon} size={14} />
+                    {view.label}
+                  </button>
+                ))}
+              </div>
+
+              {calculationView === 'supply' && people.some(person => person.medications.length > 0) ? (
+                <FillStrategy
+                  rows={getFillStrategy(selectedPlanForCalculation)}
+                  onChoose={(personId, medId, supply) => updateMedication(personId, medId, 'supply', supply)}
+                />
+              ) : calculationView === 'monthly' ? (
+                scenariosEnabled ? (
+                  <div className="space-y-4 sm:space-y-8">
+                    {scenarios.map(scenario => {
+                      const colors = SCENARIO_COLORS[scenario.color] || SCENARIO_COLORS.gray;
+                      return (
+                        <div key={scenario.id} className={`border-2 ${colors.border} rounded-lg p-3 sm:p-4`}>
+                          <h3 className={`text-base sm:text-lg font-semibold ${colors.heading} mb-3 sm:mb-4`}>{scenario.name} Scenario</h3>
+                          <MonthlyCashFlow simulation={getMonthlySimulation(selectedPlanForCalculation, scenario.id)} />
+                        </div>
+                      );
+                    })}
+                  </div>
+                ) : (
+                  <MonthlyCashFlow simulation={getMonthlySimulation(selectedPlanForCalculation)} />
+                )
+              ) : scenariosEnabled ? (
                 // Show all scenarios when enabled
                 <div className="space-y-4 sm:space-y-8">
-                  {[
-                    { key: 'bestCase', label: 'Best Case', color: 'green' },
-                    { key: 'mostLikely', label: 'Most Likely', color: 'blue' },
-                    { key: 'worstCase', label: 'Worst Case', color: 'red' }
-                  ].map(scenario => {
-                    const breakdown = getDetailedCostBreakdown(selectedPlanForCalculation, scenario.key);
+                  {scenarios.map(scenario => {
+                    const colors = SCENARIO_COLORS[scenario.color] || SCENARIO_COLORS.gray;
+                    const breakdown = getDetailedCostBreakdown(selectedPlanForCalculation, scenario.id);
                     return (
-                      <div key={scenario.key} className={`border-2 border-${scenario.color}-200 rounded-lg p-3 sm:p-4`}>
-                        <h3 className={`text-base sm:text-lg font-semibold text-${scenario.color}-800 mb-3 sm:mb-4`}>{scenario.label} Scenario</h3>
+                      <div key={scenario.id} className={`border-2 ${colors.border} rounded-lg p-3 sm:p-4`}>
+                        <h3 className={`text-base sm:text-lg font-semibold ${colors.heading} mb-3 sm:mb-4`}>{scenario.name} Scenario</h3>
                         
                         {/* Premium Section */}
                         <div className="mb-4 sm:mb-6">
                           <h4 className="font-semibold text-gray-800 mb-2 text-sm sm:text-base">Annual Premium</h4>
                           <div className="bg-gray-50 p-2 sm:p-3 rounded">
                             <p className="text-xs sm:text-sm text-gray-600">
-                              {formatCurrency(breakdown.premiumBreakdown?.monthlyPremium || 0)}/month × {breakdown.premiumBreakdown?.monthsPerYear || 12} months = 
-                              <span className="font-semibold"> {formatCurrency(breakdown.premiumBreakdown?.annualPremium || 0)}</span>
+                              {formatCurrency(breakdown.premiumBreakdown.periodPremium)} {breakdown.premiumBreakdown.frequencyLabel.toLowerCase()} × {breakdown.premiumBreakdown.periodsPerYear} pay periods = 
+                              <span className="font-semibold"> {formatCurrency(breakdown.premiumBreakdown.grossAnnualPremium)}</span>
+                            </p>
+                            {breakdown.premiumBreakdown.premiumTaxCredit > 0 && (
+                              <p className="text-xs sm:text-sm text-green-700">
+                                - {formatCurrency(breakdown.premiumBreakdown.premiumTaxCredit)} premium tax credit = <span className="font-semibold">{formatCurrency(breakdown.premiumBreakdown.annualPremium)}</span>
+                              </p>
+                            )}
+                            <p className="text-xs text-gray-500 mt-1">
+                              {breakdown.premiumBreakdown.rating === 'ageRated' ? 'Age rated' : `Coverage tier: ${breakdown.premiumBreakdown.tierLabel}`}
                             </p>
                           </div>
                         </div>
@@ -1299,6 +2886,36 @@ const HealthInsuranceCalculator = () => {
                                     <span>{item.calculation} = {formatCurrency(item.cost)}</span>
                                   </div>
                                 ))}
+                                {person.chargeDetails?.rxDeductible?.map((item, i) => (
+                                  <div key={i} className="flex justify-between">
+                                    <span>{item.name} (Rx deductible):</span>
+                                    <span>{item.calculation} = {formatCurrency(item.cost)}</span>
+                                  </div>
+                                ))}
+                                {person.chargeDetails?.outOfNetwork?.map((item, i) => (
+                                  <div key={i} className="flex justify-between">
+                                    <span>{item.name} (out of network):</span>
+                                    <span>{item.calculation} = {formatCurrency(item.cost)}</span>
+                                  </div>
+                                ))}
+                                {person.chargeDetails?.balanceBilling?.map((item, i) => (
+                                  <div key={i} className="flex justify-between">
+                                    <span>{item.name} (balance billing):</span>
+                                    <span>{item.calculation} = {formatCurrency(item.cost)}</span>
+                                  </div>
+                                ))}
+                                {person.chargeDetails?.notCovered?.map((item, i) => (
+                                  <div key={i} className="flex justify-between">
+                                    <span>{item.name} (not covered):</span>
+                                    <span>{item.calculation} = {formatCurrency(item.cost)}</span>
+                                  </div>
+                                ))}
+                                {person.pediatricPaid > 0 && (
+                                  <div className="flex justify-between text-gray-600">
+                                    <span>Of which pediatric dental & vision:</span>
+                                    <span>{formatCurrency(person.pediatricPaid)}</span>
+                                  </div>
+                                )}
                                 <div className="border-t pt-1 flex justify-between font-medium">
                                   <span>Person Total OOP:</span>
                                   <span>{formatCurrency(person.totalOOP)}</span>
@@ -1323,7 +2940,7 @@ const HealthInsuranceCalculator = () => {
                         {/* Remove old medications section since it's now integrated above */}
 
                         {/* Grand Total */}
-                        <div className={`bg-${scenario.color}-100 p-4 rounded-lg border-2 border-${scenario.color}-300`}>
+                        <div className={`${colors.card} p-4 rounded-lg border-2 ${colors.border}`}>
                           <div className="space-y-2">
                             <div className="flex justify-between">
                               <span>Annual Premium:</span>
@@ -1337,6 +2954,12 @@ const HealthInsuranceCalculator = () => {
                               <span>Grand Total:</span>
                               <span>{formatCurrency(breakdown.grandTotal || 0)}</span>
                             </div>
+                            {breakdown.accounts.hasAccounts && (
+                              <div className="flex justify-between text-sm text-green-700 dark:text-green-400" title={breakdown.accounts.calculations.effectiveNetCost}>
+                                <span>Effective Net Cost (after accounts and taxes):</span>
+                                <span className="font-semibold">{formatCurrency(breakdown.effectiveNetCost)}</span>
+                              </div>
+                            )}
                           </div>
                         </div>
                       </div>
@@ -1354,9 +2977,39 @@ const HealthInsuranceCalculator = () => {
                         <h4 className="font-semibold text-gray-800 dark:text-gray-200 mb-2">Annual Premium</h4>
                         <div className="bg-gray-50 dark:bg-gray-700 p-3 rounded">
                           <p className="text-sm text-gray-600 dark:text-gray-300">
-                            {formatCurrency(breakdown.premiumBreakdown.monthlyPremium)}/month × {breakdown.premiumBreakdown.monthsPerYear} months = 
-                            <span className="font-semibold"> {formatCurrency(breakdown.premiumBreakdown.annualPremium)}</span>
+                            {formatCurrency(breakdown.premiumBreakdown.periodPremium)} {breakdown.premiumBreakdown.frequencyLabel.toLowerCase()} × {breakdown.premiumBreakdown.periodsPerYear} pay periods = 
+                            <span className="font-semibold"> {formatCurrency(breakdown.premiumBreakdown.grossAnnualPremium)}</span>
                           </p>
+                          {breakdown.premiumBreakdown.premiumTaxCredit > 0 && (
+                            <p className="text-sm text-green-700 dark:text-green-400">
+                              - {formatCurrency(breakdown.premiumBreakdown.premiumTaxCredit)} premium tax credit = <span className="font-semibold">{formatCurrency(breakdown.premiumBreakdown.annualPremium)}</span>
+                            </p>
+                          )}
+                          {selectedPlanForCalculation.marketplace && subsidy?.csrLevel && selectedPlanForCalculation.metalLevel === 'silver' && (
+                            <p className="text-xs text-emerald-700 dark:text-emerald-400 mt-1">
+                              {applyMarketplaceSubsidy(selectedPlanForCalculation, subsidy).csrVariant ? `Deductible and MOOP from the ${subsidy.csrLabel}` : `Household qualifies for the ${subsidy.csrLabel}; enter its deductible and MOOP in the plan to use them`}
+                            </p>
+                          )}
+                          {breakdown.premiumBreakdown.rating === 'ageRated' ? (
+                            <div className="mt-2 space-y-1">
+                              {breakdown.premiumBreakdown.members.map(member => (
+                                <div key={member.personId} className="flex justify-between text-xs text-gray-500 dark:text-gray-400">
+                                  <span>
+                                    {member.name}: age {member.age ?? '21 (no birth date)'} × {member.factor}{member.tobacco && ' + tobacco surcharge'}
+                                    {!member.charged && ' (not charged, only the 3 oldest children under 21 pay)'}
+                                  </span>
+                                  <span>{formatCurrency(member.premium)}</span>
+                                </div>
+                              ))}
+                            </div>
+                          ) : (
+                            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                              Coverage tier: {breakdown.premiumBreakdown.tierLabel}{!breakdown.premiumBreakdown.tiered && ' (same premium for every tier)'}
+                            </p>
+                          )}
+                          {breakdown.eligibilityWarnings.map(warning => (
+                            <p key={warning} className="text-xs text-amber-700 dark:text-amber-400 mt-1">{warning}</p>
+                          ))}
                         </div>
                       </div>
 
@@ -1367,11 +3020,18 @@ const HealthInsuranceCalculator = () => {
                         {/* Plan Limits */}
                         <div className="mb-4 p-3 bg-blue-50 dark:bg-blue-900/30 rounded-lg border border-blue-200 dark:border-blue-700">
                           <h5 className="font-semibold text-blue-800 dark:text-blue-200 mb-2">Plan Limits</h5>
+                          <p className="text-xs text-blue-700 dark:text-blue-300 mb-2">{breakdown.familyAccumulationExplanation}</p>
                           <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
                             <div className="flex justify-between"><span>Ind. Deductible:</span> <span className="font-medium">{formatCurrency(breakdown.individualDeductibleLimit)}</span></div>
                             <div className="flex justify-between"><span>Fam. Deductible:</span> <span className="font-medium">{formatCurrency(breakdown.familyDeductibleLimit)}</span></div>
                             <div className="flex justify-between"><span>Ind. MOOP:</span> <span className="font-medium">{formatCurrency(breakdown.individualMOOPLimit)}</span></div>
                             <div className="flex justify-between"><span>Fam. MOOP:</span> <span className="font-medium">{formatCurrency(breakdown.familyMOOPLimit)}</span></div>
+                            {breakdown.hasSeparateRxDeductible && (
+                              <>
+                                <div className="flex justify-between"><span>Ind. Rx Deductible:</span> <span className="font-medium">{formatCurrency(breakdown.individualRxDeductibleLimit)}</span></div>
+                                <div className="flex justify-between"><span>Fam. Rx Deductible:</span> <span className="font-medium">{formatCurrency(breakdown.familyRxDeductibleLimit)}</span></div>
+                              </>
+                            )}
                           </div>
                         </div>
 
@@ -1390,15 +3050,16 @@ const HealthInsuranceCalculator = () => {
                               {/* Detailed Charges Breakdown */}
                               <div className="space-y-3 text-sm">
                                 {/* Exempt Copays */}
-                                {person.chargeDetails.exempt.length > 0 && (
+                                {person.chargeDetails.exempt.some(isGeneralCharge) && (
                                   <div>
-                                    <p className="text-xs font-medium text-gray-500 dark:text-gray-400">Copays (Not subject to deductible)</p>
+                                    <p className="text-xs font-medium text-gray-500 dark:text-gray-400">Not Subject to Deductible</p>
                                     <div className="pl-2 mt-1 space-y-1 border-l-2 border-gray-200 dark:border-gray-600">
-                                      {person.chargeDetails.exempt.map((item, i) => (
+                                      {person.chargeDetails.exempt.filter(isGeneralCharge).map((item, i) => (
                                         <div key={i} className="flex justify-between items-center">
                                           <div>
                                             <span className="text-gray-600 dark:text-gray-300 capitalize">{item.name}</span>
                                             <p className="text-xs text-gray-400 dark:text-gray-500">{item.calculation}</p>
+                                            <p className="text-xs text-indigo-500 dark:text-indigo-300">{item.costSharingLabel}</p>
                                           </div>
                                           <span className="font-medium">{formatCurrency(item.cost)}</span>
                                         </div>
@@ -1408,15 +3069,18 @@ const HealthInsuranceCalculator = () => {
                                 )}
 
                                 {/* Deductible Applicable Charges */}
-                                {person.chargeDetails.deductible.length > 0 && (
+                                {person.chargeDetails.deductible.some(isGeneralCharge) && (
                                   <div>
                                     <p className="text-xs font-medium text-gray-500 dark:text-gray-400">Deductible Applicable Charges</p>
                                     <div className="pl-2 mt-1 space-y-1 border-l-2 border-gray-200 dark:border-gray-600">
-                                      {person.chargeDetails.deductible.map((item, i) => (
+                                      {person.chargeDetails.deductible.filter(isGeneralCharge).map((item, i) => (
                                         <div key={i} className="flex justify-between items-center">
                                           <div>
                                             <span className="text-gray-600 dark:text-gray-300 capitalize">{item.name}</span>
                                             <p className="text-xs text-gray-400 dark:text-gray-500">{item.calculation}</p>
+                                            <p className="text-xs text-indigo-500 dark:text-indigo-300">
+                                              {item.costSharingLabel}: {formatCurrency(item.deductibleApplied)} to deductible + {formatCurrency(item.afterDeductible)} after
+                                            </p>
                                           </div>
                                           <span className="font-medium">{formatCurrency(item.cost)}</span>
                                         </div>
@@ -1424,6 +3088,111 @@ const HealthInsuranceCalculator = () => {
                                     </div>
                                   </div>
                                 )}
+
+                                {/* Not Covered Charges */}
+                                {person.chargeDetails.notCovered.some(isGeneralCharge) && (
+                                  <div>
+                                    <p className="text-xs font-medium text-gray-500 dark:text-gray-400">Not Covered (Outside Deductible and MOOP)</p>
+                                    <div className="pl-2 mt-1 space-y-1 border-l-2 border-gray-200 dark:border-gray-600">
+                                      {person.chargeDetails.notCovered.filter(isGeneralCharge).map((item, i) => (
+                                        <div key={i} className="flex justify-between items-center">
+                                          <div>
+                                            <span className="text-gray-600 dark:text-gray-300 capitalize">{item.name}</span>
+                                            <p className="text-xs text-gray-400 dark:text-gray-500">{item.calculation}</p>
+                                          </div>
+                                          <span className="font-medium">{formatCurrency(item.cost)}</span>
+                                        </div>
+                                      ))}
+                                    </div>
+                                  </div>
+                                )}
+
+                                {/* Rx Deductible Applicable Charges */}
+                                {person.chargeDetails.rxDeductible.some(isGeneralCharge) && (
+                                  <div>
+                                    <p className="text-xs font-medium text-gray-500 dark:text-gray-400">Rx Deductible Applicable Charges</p>
+                                    <div className="pl-2 mt-1 space-y-1 border-l-2 border-gray-200 dark:border-gray-600">
+                                      {person.chargeDetails.rxDeductible.filter(isGeneralCharge).map((item, i) => (
+                                        <div key={i} className="flex justify-between items-center">
+                                          <div>
+                                            <span className="text-gray-600 dark:text-gray-300 capitalize">{item.name}</span>
+                                            <p className="text-xs text-gray-400 dark:text-gray-500">{item.calculation}</p>
+                                            <p className="text-xs text-indigo-500 dark:text-indigo-300">
+                                              {item.costSharingLabel}: {formatCurrency(item.deductibleApplied)} to deductible + {formatCurrency(item.afterDeductible)} after
+                                            </p>
+                                          </div>
+                                          <span className="font-medium">{formatCurrency(item.cost)}</span>
+                                        </div>
+                                      ))}
+                                    </div>
+                                  </div>
+                                )}
+
+                                {/* Out-of-Network Charges */}
+                                {person.chargeDetails.outOfNetwork.some(isGeneralCharge) && (
+                                  <div>
+                                    <p className="text-xs font-medium text-orange-600 dark:text-orange-400">Out of Network (Own Deductible and MOOP)</p>
+                                    <div className="pl-2 mt-1 space-y-1 border-l-2 border-orange-200 dark:border-orange-700">
+                                      {person.chargeDetails.outOfNetwork.filter(isGeneralCharge).map((item, i) => (
+                                        <div key={i} className="flex justify-between items-center">
+                                          <div>
+                                            <span className="text-gray-600 dark:text-gray-300 capitalize">{item.name}</span>
+                                            <p className="text-xs text-gray-400 dark:text-gray-500">{item.calculation}</p>
+                                            <p className="text-xs text-indigo-500 dark:text-indigo-300">
+                                              {item.costSharingLabel}: {formatCurrency(item.deductibleApplied)} to deductible + {formatCurrency(item.afterDeductible)} after
+                                            </p>
+                                          </div>
+                                          <span className="font-medium">{formatCurrency(item.cost)}</span>
+                                        </div>
+                                      ))}
+                                    </div>
+                                  </div>
+                                )}
+
+                                {/* Balance Billing */}
+                                {person.chargeDetails.balanceBilling.some(isGeneralCharge) && (
+                                  <div>
+                                    <p className="text-xs font-medium text-orange-600 dark:text-orange-400">Balance Billing (Outside Deductible and MOOP)</p>
+                                    <div className="pl-2 mt-1 space-y-1 border-l-2 border-orange-200 dark:border-orange-700">
+                                      {person.chargeDetails.balanceBilling.filter(isGeneralCharge).map((item, i) => (
+                                        <div key={i} className="flex justify-between items-center">
+                                          <div>
+                                            <span className="text-gray-600 dark:text-gray-300 capitalize">{item.name}</span>
+                                            <p className="text-xs text-gray-400 dark:text-gray-500">{item.calculation}</p>
+                                          </div>
+                                          <span className="font-medium">{formatCurrency(item.cost)}</span>
+                                        </div>
+                                      ))}
+                                    </div>
+                                  </div>
+                                )}
+
+                                {/* Pediatric Dental & Vision */}
+                                {['exempt', 'deductible', 'outOfNetwork', 'balanceBilling', 'notCovered'].some(bucket => person.chargeDetails[bucket].some(item => !isGeneralCharge(item))) ? (
+                                  <div>
+                                    <p className="text-xs font-medium text-gray-500 dark:text-gray-400">Pediatric Dental & Vision</p>
+                                    <div className="pl-2 mt-1 space-y-1 border-l-2 border-sky-200 dark:border-sky-700">
+                                      {['exempt', 'deductible', 'outOfNetwork', 'balanceBilling', 'notCovered'].flatMap(bucket => person.chargeDetails[bucket].filter(item => !isGeneralCharge(item))).map((item, i) => (
+                                        <div key={i} className="flex justify-between items-center">
+                                          <div>
+                                            <span className="text-gray-600 dark:text-gray-300 capitalize">{item.name}</span>
+                                            <p className="text-xs text-gray-400 dark:text-gray-500">{item.calculation}</p>
+                                            <p className="text-xs text-indigo-500 dark:text-indigo-300">
+                                              {item.path === 'balanceBilling' ? 'Billed above the allowed amount' : item.costSharingLabel}
+                                              {item.path === 'outOfNetwork' && ' (out of network)'}
+                                              {(item.path === 'deductible' || item.path === 'outOfNetwork') && `: ${formatCurrency(item.deductibleApplied)} to deductible + ${formatCurrency(item.afterDeductible)} after`}
+                                            </p>
+                                          </div>
+                                          <span className="font-medium">{formatCurrency(item.cost)}</span>
+                                        </div>
+                                      ))}
+                                      <div className="flex justify-between text-xs text-gray-600 dark:text-gray-300">
+                                        <span>You pay (before any MOOP cap)</span>
+                                        <span className="font-medium">{formatCurrency(person.pediatricPaid)}</span>
+                                      </div>
+                                    </div>
+                                  </div>
+                                ) : null}
                               </div>
 
                               {/* Summary Calculations */}
@@ -1449,6 +3218,33 @@ const HealthInsuranceCalculator = () => {
                                   </div>
                                   <span className="font-medium">{formatCurrency(person.coinsurancePaid)}</span>
                                 </div>
+                                {person.postDeductibleCopays > 0 && (
+                                  <div className="flex justify-between items-center">
+                                    <div>
+                                      <span className="text-gray-600 dark:text-gray-400">Copays After Deductible:</span>
+                                      <p className="text-xs text-gray-500 dark:text-gray-500">{person.calculations.postDeductibleCopays}</p>
+                                    </div>
+                                    <span className="font-medium">{formatCurrency(person.postDeductibleCopays)}</span>
+                                  </div>
+                                )}
+                                {breakdown.hasSeparateRxDeductible && (
+                                  <>
+                                    <div className="flex justify-between items-center">
+                                      <div>
+                                        <span className="text-gray-600 dark:text-gray-400">Paid to Rx Deductible:</span>
+                                        <p className="text-xs text-gray-500 dark:text-gray-500">{person.calculations.rxDeductiblePaid}</p>
+                                      </div>
+                                      <span className="font-medium">{formatCurrency(person.rxDeductiblePaid)}</span>
+                                    </div>
+                                    <div className="flex justify-between items-center">
+                                      <div>
+                                        <span className="text-gray-600 dark:text-gray-400">Paid in Rx Coinsurance:</span>
+                                        <p className="text-xs text-gray-500 dark:text-gray-500">{person.calculations.rxCoinsurancePaid}</p>
+                                      </div>
+                                      <span className="font-medium">{formatCurrency(person.rxCoinsurancePaid)}</span>
+                                    </div>
+                                  </>
+                                )}
                                 <div className="flex justify-between items-center font-semibold border-t border-gray-300 dark:border-gray-500 mt-2 pt-2">
                                   <div>
                                     <span className="text-gray-800 dark:text-gray-200">Total Out-of-Pocket:</span>
@@ -1456,6 +3252,42 @@ const HealthInsuranceCalculator = () => {
                                   </div>
                                   <span className="font-bold">{formatCurrency(person.totalOOP)}</span>
                                 </div>
+                                {person.chargeDetails.outOfNetwork.length > 0 && (
+                                  <>
+                                    <div className="flex justify-between items-center">
+                                      <div>
+                                        <span className="text-gray-600 dark:text-gray-400">Plus Out-of-Network Deductible:</span>
+                                        <p className="text-xs text-gray-500 dark:text-gray-500">{person.calculations.outOfNetworkDeductiblePaid}</p>
+                                      </div>
+                                      <span className="font-medium">{formatCurrency(person.outOfNetworkDeductiblePaid)}</span>
+                                    </div>
+                                    <div className="flex justify-between items-center">
+                                      <div>
+                                        <span className="text-gray-600 dark:text-gray-400">Plus Out-of-Network Coinsurance:</span>
+                                        <p className="text-xs text-gray-500 dark:text-gray-500">{person.calculations.outOfNetworkCoinsurancePaid}</p>
+                                      </div>
+                                      <span className="font-medium">{formatCurrency(person.outOfNetworkCoinsurancePaid)}</span>
+                                    </div>
+                                  </>
+                                )}
+                                {person.balanceBillingPaid > 0 && (
+                                  <div className="flex justify-between items-center">
+                                    <div>
+                                      <span className="text-gray-600 dark:text-gray-400">Plus Balance Billing:</span>
+                                      <p className="text-xs text-gray-500 dark:text-gray-500">{person.calculations.balanceBillingPaid}</p>
+                                    </div>
+                                    <span className="font-medium">{formatCurrency(person.balanceBillingPaid)}</span>
+                                  </div>
+                                )}
+                                {person.notCoveredPaid > 0 && (
+                                  <div className="flex justify-between items-center">
+                                    <div>
+                                      <span className="text-gray-600 dark:text-gray-400">Plus Not Covered:</span>
+                                      <p className="text-xs text-gray-500 dark:text-gray-500">{person.calculations.notCoveredPaid}</p>
+                                    </div>
+                                    <span className="font-medium">{formatCurrency(person.notCoveredPaid)}</span>
+                                  </div>
+                                )}
                               </div>
                             </div>
                           ))}
@@ -1468,10 +3300,43 @@ const HealthInsuranceCalculator = () => {
                                 <span className="text-gray-600 dark:text-gray-400">Total Family Deductible Paid:</span>
                                 <span>{formatCurrency(breakdown.familyDeductiblePaid)} (Limit: {formatCurrency(breakdown.familyDeductibleLimit)})</span>
                             </div>
+                            {breakdown.hasSeparateRxDeductible && (
+                              <div className="flex justify-between text-sm pl-4">
+                                  <span className="text-gray-600 dark:text-gray-400">Total Family Rx Deductible Paid:</span>
+                                  <span>{formatCurrency(breakdown.familyRxDeductiblePaid)} (Limit: {formatCurrency(breakdown.familyRxDeductibleLimit)})</span>
+                              </div>
+                            )}
                             <div className="flex justify-between text-sm pl-4">
                                 <span className="text-gray-600 dark:text-gray-400">Total Family OOP (before final MOOP check):</span>
                                 <span>{formatCurrency(breakdown.familyOOPTotal)}</span>
                             </div>
+                            {breakdown.outOfNetwork.hasCharges && breakdown.outOfNetwork.covered && (
+                              <>
+                                <div className="flex justify-between text-sm pl-4">
+                                    <span className="text-gray-600 dark:text-gray-400">Total Family Out-of-Network Deductible Paid:</span>
+                                    <span>{formatCurrency(breakdown.outOfNetwork.deductiblePaid)} (Limit: {formatCurrency(breakdown.outOfNetwork.familyDeductibleLimit)})</span>
+                                </div>
+                                <div className="flex justify-between text-sm pl-4">
+                                    <span className="text-gray-600 dark:text-gray-400">Family Out-of-Network OOP (separate MOOP):</span>
+                                    <span>
+                                      {formatCurrency(breakdown.outOfNetwork.oopTotal)} → {formatCurrency(breakdown.outOfNetwork.paid)}
+                                      {' '}(Limit: {breakdown.outOfNetwork.familyMOOPLimit > 0 ? formatCurrency(breakdown.outOfNetwork.familyMOOPLimit) : 'none'})
+                                    </span>
+                                </div>
+                              </>
+                            )}
+                            {breakdown.outOfNetwork.balanceBillingPaid > 0 && (
+                              <div className="flex justify-between text-sm pl-4">
+                                  <span className="text-gray-600 dark:text-gray-400">Balance Billing (not capped by MOOP):</span>
+                                  <span>{formatCurrency(breakdown.outOfNetwork.balanceBillingPaid)}</span>
+                              </div>
+                            )}
+                            {breakdown.familyNotCoveredPaid > 0 && (
+                              <div className="flex justify-between text-sm pl-4">
+                                  <span className="text-gray-600 dark:text-gray-400">Not Covered Charges (not capped by MOOP):</span>
+                                  <span>{formatCurrency(breakdown.familyNotCoveredPaid)}</span>
+                              </div>
+                            )}
                             <div className="flex justify-between text-sm pl-4 font-semibold border-t border-gray-300 dark:border-gray-600 pt-1">
                                 <span className="text-gray-800 dark:text-gray-200">Final Family OOP (capped by Family MOOP):</span>
                                 <span className="text-green-600 dark:text-green-400">{formatCurrency(breakdown.finalFamilyOOP)}</span>
@@ -1480,53 +3345,727 @@ const HealthInsuranceCalculator = () => {
                       </div>
 
 
-                      {/* Grand Total */}
-                      <div className="bg-indigo-100 dark:bg-indigo-900 p-4 rounded-lg border-2 border-indigo-300 dark:border-indigo-700">
-                        <div className="space-y-2">
-                          <div className="flex justify-between">
-                            <span className="dark:text-gray-200">Annual Premium:</span>
-                            <span className="dark:text-gray-200">{formatCurrency(breakdown.premiumBreakdown.annualPremium)}</span>
-                          </div>
-                          <div className="flex justify-between">
-                            <span className="dark:text-gray-200">Total Estimated Out-of-Pocket:</span>
-                            <span className="dark:text-gray-200">{formatCurrency(breakdown.finalFamilyOOP)}</span>
-                          </div>
-                          <div className="border-t-2 border-gray-400 dark:border-gray-500 pt-2 flex justify-between font-bold text-lg">
-                            <span className="dark:text-gray-100">Grand Total:</span>
-                            <span className="dark:text-gray-100">{formatCurrency(breakdown.grandTotal)}</span>
-                          </div>
-                        </div>
-                      </div>
+                      {/* Grand Total */}
+                      <div className="bg-indigo-100 dark:bg-indigo-900 p-4 rounded-lg border-2 border-indigo-300 dark:border-indigo-700">
+                        <div className="space-y-2">
+                          <div className="flex justify-between">
+                            <span className="dark:text-gray-200">Annual Premium:</span>
+                            <span className="dark:text-gray-200">{formatCurrency(breakdown.premiumBreakdown.annualPremium)}</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="dark:text-gray-200">Total Estimated Out-of-Pocket:</span>
+                            <span className="dark:text-gray-200">{formatCurrency(breakdown.finalFamilyOOP)}</span>
+                          </div>
+                          <div className="border-t-2 border-gray-400 dark:border-gray-500 pt-2 flex justify-between font-bold text-lg">
+                            <span className="dark:text-gray-100">Grand Total:</span>
+                            <span className="dark:text-gray-100">{formatCurrency(breakdown.grandTotal)}</span>
+                          </div>
+                        </div>
+                      </div>
+
+                      {/* Accounts & Taxes */}
+                      {breakdown.accounts.hasAccounts && (
+                        <div className="mt-4 bg-green-50 dark:bg-green-900/30 p-4 rounded-lg border border-green-200 dark:border-green-700">
+                          <h5 className="font-semibold text-green-800 dark:text-green-200 mb-2">Accounts & Taxes</h5>
+                          <div className="space-y-2 text-sm text-gray-700 dark:text-gray-300">
+                            {breakdown.accounts.hraAvailable > 0 && (
+                              <div>
+                                <div className="flex justify-between"><span>HRA Pays:</span><span>-{formatCurrency(breakdown.accounts.hraUsed)}</span></div>
+                                <div className="text-xs text-gray-500 dark:text-gray-400">{breakdown.accounts.calculations.hraUsed}</div>
+                              </div>
+                            )}
+                            {breakdown.accounts.hsaEmployer > 0 && (
+                              <div className="flex justify-between"><span>Employer HSA Contribution:</span><span>-{formatCurrency(breakdown.accounts.hsaEmployer)}</span></div>
+                            )}
+                            {breakdown.accounts.taxSavings > 0 && (
+                              <div>
+                                <div className="flex justify-between"><span>Tax Savings on Contributions:</span><span>-{formatCurrency(breakdown.accounts.taxSavings)}</span></div>
+                                <div className="text-xs text-gray-500 dark:text-gray-400">{breakdown.accounts.calculations.taxSavings}</div>
+                              </div>
+                            )}
+                            {breakdown.accounts.fsaElection > 0 && (
+                              <div>
+                                <div className="flex justify-between"><span>FSA Spent on Out-of-Pocket:</span><span>{formatCurrency(breakdown.accounts.fsaUsed)}</span></div>
+                                <div className="text-xs text-gray-500 dark:text-gray-400">{breakdown.accounts.calculations.fsaUsed}</div>
+                                <div className="flex justify-between"><span>FSA Forfeited:</span><span>+{formatCurrency(breakdown.accounts.fsaForfeited)}</span></div>
+                                <div className="text-xs text-gray-500 dark:text-gray-400">{breakdown.accounts.calculations.fsaForfeited}</div>
+                              </div>
+                            )}
+                            <div className="border-t border-green-300 dark:border-green-700 pt-2 flex justify-between font-bold">
+                              <span>Effective Net Cost:</span>
+                              <span>{formatCurrency(breakdown.effectiveNetCost)}</span>
+                            </div>
+                            <div className="text-xs text-gray-500 dark:text-gray-400">{breakdown.accounts.calculations.effectiveNetCost}</div>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })()
+              )}
+              
+              {/* Calculation Notes */}
+              <div className="mt-4 sm:mt-8 bg-yellow-50 dark:bg-yellow-800 border border-yellow-200 dark:border-yellow-700 rounded-lg p-3 sm:p-4">
+                <h4 className="font-semibold text-yellow-800 dark:text-yellow-200 mb-2 text-sm sm:text-base">Calculation Notes & Assumptions:</h4>
+                <ul className="text-xs sm:text-sm text-yellow-700 dark:text-yellow-300 space-y-1 list-disc list-inside">
+                  <li>Calculations process costs for each person individually. With embedded limits, their individual deductible and MOOP apply first; with aggregate limits, only the family amounts apply.</li>
+                  <li>Each person's out-of-pocket spending contributes to the family-level deductible and MOOP.</li>
+                  <li>The final family out-of-pocket cost is capped by the family's maximum-out-of-pocket (MOOP) limit.</li>
+                  <li>After the deductible is met, each service uses the cost-sharing type the plan declares for it (copay, coinsurance, copay after deductible, coinsurance with a cap, or not covered). Services without a declared type treat amounts above 1 as dollars and the rest as coinsurance rates.</li>
+                  <li>Charges for services a plan does not cover are paid in full and do not count towards the deductible or MOOP.</li>
+                  <li>Whether a service's charges go to the deductible first depends on its cost-sharing type: a copay is paid from the first visit and does not count towards the deductible (it does count towards the MOOP), while copay after deductible, coinsurance and coinsurance with a cap charge the full cost until the deductible is met. Primary care, specialist, urgent care and mental health visits without a declared type are priced as copays.</li>
+                  <li>Planned events (hospital stays, surgery, childbirth, etc.) are priced from Cost Settings, applied to the deductible first, then to the plan's coinsurance for that service.</li>
+                  <li>When a plan lists its own Rx deductible, drug charges are applied to that deductible instead of the medical deductible.</li>
+                  <li>Medications on a tier where the Rx deductible is waived pay the tier copay or coinsurance from the first fill; other tiers pay the drug price until the deductible is met, then the tier copay or coinsurance.</li>
+                  <li>Month by Month spreads each visit type and planned event evenly over the year (or into the month set for it) and refills monthly from each medication's first refill month. Claims from everyone in the family are then applied to the deductible and MOOP in date order.</li>
+                  <li>The premium tier comes from who is enrolled: the subscriber alone is employee only, adding a spouse and/or dependents moves to employee + spouse, employee + child(ren) or family. The per-pay-period premium is multiplied by 52 (weekly), 26 (biweekly), 24 (semimonthly) or 12 (monthly) pay periods.</li>
+                  <li>Pediatric dental checkups and eye exams are priced with the plan's children's dental checkup and eye exam values (read as copays unless a cost-sharing type is set), and children's glasses with its coinsurance. They are listed in their own group for each person.</li>
+                  <li>Ages are taken on January 1 of the plan year. Pediatric benefits (dental checkups, eye exams and glasses) end at 19 and are priced as not covered after that; dependents aged 26 or over are flagged because they can no longer be covered as dependents. People without a birth date are treated as eligible.</li>
+                  <li>Age-rated premiums charge each member the age-21 rate times the federal default age factor (0.765 for children up to 14, rising to 3.0 at 64), plus the plan's tobacco surcharge for tobacco users. Only the three oldest children under 21 are charged.</li>
+                  <li>Visits, planned events and medications marked OON (out of network) are charged the plan's out-of-network coinsurance on the allowed amount after a separate out-of-network deductible, and count towards a separate out-of-network MOOP (none when left at 0). Balance billing — what the provider charges above the allowed amount — is paid in full and never counts towards either MOOP. Plans that don't cover out-of-network care charge the full price. Emergency room visits always use in-network cost sharing and can't be balance billed.</li>
+                  <li>Visits and medications linked to a provider or pharmacy in the directory use that provider's network status for each plan, overriding the OON checkbox; plans that have a linked provider out of network show a warning (except for emergency room visits, which keep in-network cost sharing). Links to providers with an unknown status fall back to the checkbox.</li>
+                  <li>Drug coinsurance and deductible charges use the formulary's negotiated price, else the price entered on the medication, else the tier's list price from Cost Settings. Medications on a 90-day supply (retail or mail order) are filled four times a year at three refills' price (or the mail-order price entered), paying the tier copay times the plan's multiplier for that supply. Fill Strategy reprices the whole family with each medication filled each way, so it includes how the fills meet the deductible and MOOP.</li>
+                  <li>Plans with a formulary look each medication up by code, then by name, and use the formulary's tier (and negotiated price, when given) instead of the tier entered on the medication. Drugs not on a plan's formulary are priced as not covered on that plan; prior authorization and quantity limits are flagged but do not change the cost.</li>
+                  <li>Marketplace subsidies are estimated offline from bundled poverty guidelines and applicable percentage tables for the plan year. The premium tax credit is the benchmark silver premium minus the household's expected contribution; it is computed once for the whole household and subtracted from each marketplace plan's premium (never below zero, and not for catastrophic plans), including when Split Coverage puts only some people on the plan. Silver plans use the CSR variant's medical deductible and MOOP when the household's income qualifies and the variant is entered.</li>
+                  <li>Split Coverage prices every way of putting people on different plans (or waiving coverage). Each plan charges the premium tier for the people on it and applies its own deductible and MOOP to them; people who waive pay the full cost of their care.</li>
+                  <li>Effective net cost subtracts HRA payments (deductible only or all covered cost sharing), employer HSA deposits and tax saved on employee HSA/FSA contributions at your marginal tax rate, and adds back FSA money forfeited beyond the carryover limit. Premiums are treated the same for every plan.</li>
+                </ul>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Cost Settings Modal */}
+      {showSettingsModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 dark:bg-opacity-70 flex items-center justify-center p-2 sm:p-4 z-50" onClick={() => setShowSettingsModal(false)}>
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-hidden transition-colors" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-center justify-between p-4 sm:p-6 border-b border-gray-200 dark:border-gray-600">
+              <h2 className="text-lg sm:text-2xl font-semibold text-gray-800 dark:text-gray-100">Cost Settings</h2>
+              <button
+                onClick={() => setShowSettingsModal(false)}
+                className="text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300 transition"
+              >
+                <Icon name="x" size={24} />
+              </button>
+            </div>
+            <div className="p-4 sm:p-6 overflow-y-auto max-h-[calc(90vh-120px)]">
+              <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+                Configure typical costs for healthcare services that use coinsurance. These values are used to calculate how much you'll pay after meeting your deductible.
+              </p>
+              
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Emergency Room Visit
+                  </label>
+                  <div className="flex items-center">
+                    <span className="text-gray-500 dark:text-gray-400 mr-2">$</span>
+                    <input
+                      type="number"
+                      value={costSettings.emergencyRoom}
+                      onChange={(e) => updateCostSetting('emergencyRoom', e.target.value)}
+                      className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Diagnostic Test
+                  </label>
+                  <div className="flex items-center">
+                    <span className="text-gray-500 dark:text-gray-400 mr-2">$</span>
+                    <input
+                      type="number"
+                      value={costSettings.diagnosticTest}
+                      onChange={(e) => updateCostSetting('diagnosticTest', e.target.value)}
+                      className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Imaging (X-ray, MRI, etc.)
+                  </label>
+                  <div className="flex items-center">
+                    <span className="text-gray-500 dark:text-gray-400 mr-2">$</span>
+                    <input
+                      type="number"
+                      value={costSettings.imaging}
+                      onChange={(e) => updateCostSetting('imaging', e.target.value)}
+                      className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Rehabilitation (Outpatient)
+                  </label>
+                  <div className="flex items-center">
+                    <span className="text-gray-500 dark:text-gray-400 mr-2">$</span>
+                    <input
+                      type="number"
+                      value={costSettings.rehabilitationOutpatient}
+                      onChange={(e) => updateCostSetting('rehabilitationOutpatient', e.target.value)}
+                      className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Habilitation (Outpatient)
+                  </label>
+                  <div className="flex items-center">
+                    <span className="text-gray-500 dark:text-gray-400 mr-2">$</span>
+                    <input
+                      type="number"
+                      value={costSettings.habilitationOutpatient}
+                      onChange={(e) => updateCostSetting('habilitationOutpatient', e.target.value)}
+                      className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                    />
+                  </div>
+                </div>
+              </div>
+
+              <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mt-6 mb-1">Office Visits</h3>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">Used when a plan charges coinsurance or the full cost for these visits instead of a flat copay.</p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {['primaryCare', 'specialist', 'urgentCare', 'mentalHealth'].map(visitType => (
+                  <div key={visitType}>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1 capitalize">
+                      {formatVisitType(visitType)} Visit
+                    </label>
+                    <div className="flex items-center">
+                      <span className="text-gray-500 dark:text-gray-400 mr-2">$</span>
+                      <input
+                        type="number"
+                        value={costSettings[visitType] ?? defaultCostSettings[visitType]}
+                        onChange={(e) => updateCostSetting(visitType, e.target.value)}
+                        className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                      />
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mt-6 mb-3">Planned Events</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {Object.entries(plannedEventUnits).map(([eventType, unit]) => (
+                  <div key={eventType}>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1 capitalize">
+                      {formatVisitType(eventType)} (per {unit})
+                    </label>
+                    <div className="flex items-center">
+                      <span className="text-gray-500 dark:text-gray-400 mr-2">$</span>
+                      <input
+                        type="number"
+                        value={costSettings[eventType] ?? defaultCostSettings[eventType]}
+                        onChange={(e) => updateCostSetting(eventType, e.target.value)}
+                        className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                      />
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mt-6 mb-3">Pediatric Dental & Vision</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {Object.entries(pediatricServiceUnits).map(([serviceType, unit]) => (
+                  <div key={serviceType}>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1 capitalize">
+                      {formatVisitType(serviceType)} (per {unit})
+                    </label>
+                    <div className="flex items-center">
+                      <span className="text-gray-500 dark:text-gray-400 mr-2">$</span>
+                      <input
+                        type="number"
+                        value={costSettings[serviceType] ?? defaultCostSettings[serviceType]}
+                        onChange={(e) => updateCostSetting(serviceType, e.target.value)}
+                        className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                      />
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mt-6 mb-1">Drug List Prices</h3>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">Price of a 30-day refill by tier, used for medications without a price of their own or a formulary price. Mail-order fills default to three refills' worth.</p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {[1, 2, 3, 4, 5].map(tier => (
+                  <div key={tier}>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Tier {tier} (per refill)
+                    </label>
+                    <div className="flex items-center">
+                      <span className="text-gray-500 dark:text-gray-400 mr-2">$</span>
+                      <input
+                        type="number"
+                        value={costSettings['tier' + tier] ?? defaultCostSettings['tier' + tier]}
+                        onChange={(e) => updateCostSetting('tier' + tier, e.target.value)}
+                        className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                      />
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mt-6 mb-3">Plan Year</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Year
+                  </label>
+                  <input
+                    type="number"
+                    value={planYear}
+                    onChange={(e) => updateCostSetting('planYear', parseInt(e.target.value) || defaultCostSettings.planYear)}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                  />
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Ages are taken on January 1 of this year for pediatric benefits, dependent eligibility and age-rated premiums.</p>
+                </div>
+              </div>
+
+              <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mt-6 mb-3">Taxes</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Marginal Tax Rate (federal + state + payroll)
+                  </label>
+                  <div className="flex items-center">
+                    <input
+                      type="number"
+                      step="0.1"
+                      value={Math.round((costSettings.taxRate ?? defaultCostSettings.taxRate) * 1000) / 10}
+                      onChange={(e) => updateCostSetting('taxRate', (parseFloat(e.target.value) || 0) / 100)}
+                      className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                    />
+                    <span className="text-gray-500 dark:text-gray-400 ml-2">%</span>
+                  </div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Used to value pre-tax HSA and FSA contributions.</p>
+                </div>
+              </div>
+
+              <div className="mt-6 flex justify-between items-center">
+                <button
+                  onClick={resetCostSettings}
+                  className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition text-sm"
+                >
+                  Reset to Defaults
+                </button>
+                <button
+                  onClick={() => setShowSettingsModal(false)}
+                  className="px-6 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition text-sm"
+                >
+                  Done
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Split Coverage Modal */}
+      {showOptimizerModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 dark:bg-opacity-70 flex items-center justify-center p-2 sm:p-4 z-50" onClick={() => setShowOptimizerModal(false)}>
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-hidden transition-colors" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-center justify-between p-4 sm:p-6 border-b border-gray-200 dark:border-gray-600">
+              <h2 className="text-lg sm:text-2xl font-semibold text-gray-800 dark:text-gray-100">Split Coverage</h2>
+              <button
+                onClick={() => setShowOptimizerModal(false)}
+                className="text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300 transition"
+              >
+                <Icon name="x" size={24} />
+              </button>
+            </div>
+            <div className="p-4 sm:p-6 overflow-y-auto max-h-[calc(90vh-120px)]">
+              <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+                Tries every way of putting each person on a plan (or waiving coverage) and ranks the combinations. Each plan is priced with its own deductible and MOOP and the premium tier for the people on it. A plan offered through someone's employer can only be joined together with that person. People who waive pay for all of their care.
+              </p>
+
+              <div className="flex flex-wrap items-end gap-4 mb-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Rank By</label>
+                  <select
+                    value={optimizerOptions.metric}
+                    onChange={(e) => setOptimizerOptions({ ...optimizerOptions, metric: e.target.value })}
+                    className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                    title={coverageRankingMetrics.find(m => m.key === optimizerOptions.metric)?.description}
+                  >
+                    {coverageRankingMetrics.map(metric => (
+                      <option key={metric.key} value={metric.key}>{metric.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 py-2">
+                  <input
+                    type="checkbox"
+                    checked={optimizerOptions.allowWaive}
+                    onChange={(e) => setOptimizerOptions({ ...optimizerOptions, allowWaive: e.target.checked })}
+                  />
+                  Include waiving coverage
+                </label>
+                <button
+                  onClick={runCoverageOptimizer}
+                  disabled={plans.length === 0}
+                  className="flex items-center gap-2 px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition text-sm disabled:opacity-50"
+                >
+                  <Icon name="play" size={16} />
+                  Find Best Split
+                </button>
+              </div>
+
+              {optimizerError && (
+                <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-700 rounded text-sm text-red-700 dark:text-red-300">
+                  {optimizerError}
+                </div>
+              )}
+
+              {optimizerResults && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-3">
+                    Top {optimizerResults.results.length} of {optimizerResults.combinations.toLocaleString()} combinations
+                    {optimizerResults.iterations && ` (${optimizerResults.iterations.toLocaleString()} simulated years)`}
+                  </h3>
+                  <div className="space-y-2">
+                    {optimizerResults.results.map((result, index) => (
+                      <div key={result.groups.map(g => g.key).join('|')} className="flex flex-wrap items-start gap-3 p-3 bg-gray-50 dark:bg-gray-700 rounded">
+                        <span className="font-bold text-gray-500 dark:text-gray-400 w-6">{index + 1}</span>
+                        <div className="flex-1 min-w-0 space-y-1">
+                          {result.groups.map(group => (
+                            <div key={group.key} className="text-sm text-gray-700 dark:text-gray-300">
+                              <span className={`font-medium ${group.planId === null ? 'text-red-600 dark:text-red-400' : ''}`}>{group.planName}</span>
+                              {group.tierLabel && <span className="text-xs text-gray-500 dark:text-gray-400"> ({group.tierLabel})</span>}
+                              : {group.names.join(', ')}
+                              <span className="text-xs text-gray-500 dark:text-gray-400"> · {formatCurrency(group.total)}</span>
+                            </div>
+                          ))}
+                        </div>
+                        <div className="text-right">
+                          <div className="font-semibold text-gray-800 dark:text-gray-100">{formatCurrency(result[optimizerResults.metric])}</div>
+                          {optimizerResults.bestSinglePlan && !result.singlePlan && (
+                            <div className={`text-xs ${result.savings >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                              {result.savings >= 0 ? 'Saves' : 'Costs'} {formatCurrency(Math.abs(result.savings))} vs. best single plan
+                            </div>
+                          )}
+                          {result.singlePlan && (
+                            <div className="text-xs text-gray-500 dark:text-gray-400">Everyone on one plan</div>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                    Simulated rankings use the visit variability, catastrophic events and seed from Risk Analysis, with up to 500 simulated years.
+                  </p>
+                </div>
+              )}
+
+              <div className="mt-6 flex justify-end">
+                <button
+                  onClick={() => setShowOptimizerModal(false)}
+                  className="px-6 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition text-sm"
+                >
+                  Done
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Providers Modal */}
+      {showProviderModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 dark:bg-opacity-70 flex items-center justify-center p-2 sm:p-4 z-50" onClick={() => setShowProviderModal(false)}>
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-5xl w-full max-h-[90vh] overflow-hidden transition-colors" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-center justify-between p-4 sm:p-6 border-b border-gray-200 dark:border-gray-600">
+              <h2 className="text-lg sm:text-2xl font-semibold text-gray-800 dark:text-gray-100">Providers & Pharmacies</h2>
+              <button
+                onClick={() => setShowProviderModal(false)}
+                className="text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300 transition"
+              >
+                <Icon name="x" size={24} />
+              </button>
+            </div>
+            <div className="p-4 sm:p-6 overflow-y-auto max-h-[calc(90vh-120px)]">
+              <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+                Add the doctors, facilities and pharmacies your family uses and whether each plan has them in network. Link them to visits in each person's Care Team and to medications. A provider's network status for a plan decides whether the linked care is priced in or out of network; when it's unknown, the OON checkbox is used.
+              </p>
+
+              <div className="flex flex-wrap gap-2 mb-4">
+                {providerTypes.map(type => (
+                  <button
+                    key={type.key}
+                    onClick={() => addProvider(type.key)}
+                    className="flex items-center gap-1 bg-cyan-600 text-white px-3 py-1 rounded text-sm hover:bg-cyan-700 transition"
+                  >
+                    <Icon name="plus" size={14} />
+                    {type.label}
+                  </button>
+                ))}
+              </div>
+
+              {providers.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No providers yet.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-600">
+                        <th className="py-2 pr-2">Name</th>
+                        <th className="py-2 pr-2">Type</th>
+                        <th className="py-2 pr-2">Specialty</th>
+                        {plans.map(plan => (
+                          <th key={plan.id} className="py-2 pr-2">{plan.name}</th>
+                        ))}
+                        <th className="py-2"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {providers.map(provider => (
+                        <tr key={provider.id} className="border-b border-gray-100 dark:border-gray-700">
+                          <td className="py-2 pr-2 min-w-[10rem]">
+                            <input
+                              type="text"
+                              value={provider.name}
+                              onChange={(e) => updateProvider(provider.id, 'name', e.target.value)}
+                              className="w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm dark:bg-gray-700 dark:text-gray-100"
+                            />
+                          </td>
+                          <td className="py-2 pr-2">
+                            <select
+                              value={provider.type}
+                              onChange={(e) => updateProvider(provider.id, 'type', e.target.value)}
+                              className="w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm dark:bg-gray-700 dark:text-gray-100"
+                            >
+                              {providerTypes.map(type => (
+                                <option key={type.key} value={type.key}>{type.label}</option>
+                              ))}
+                            </select>
+                          </td>
+                          <td className="py-2 pr-2 min-w-[8rem]">
+                            <input
+                              type="text"
+                              value={provider.specialty || ''}
+                              placeholder={provider.type === 'pharmacy' ? 'e.g. Mail order' : 'e.g. Cardiology'}
+                              onChange={(e) => updateProvider(provider.id, 'specialty', e.target.value)}
+                              className="w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm dark:bg-gray-700 dark:text-gray-100"
+                            />
+                          </td>
+                          {plans.map(plan => {
+                            const status = provider.networks?.[plan.id] || 'unknown';
+                            return (
+                              <td key={plan.id} className="py-2 pr-2">
+                                <select
+                                  value={status}
+                                  onChange={(e) => updateProviderNetwork(provider.id, plan.id, e.target.value)}
+                                  className={`w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm dark:bg-gray-700 ${status === 'outOfNetwork' ? 'text-orange-600 dark:text-orange-400' : status === 'inNetwork' ? 'text-green-700 dark:text-green-400' : 'text-gray-500 dark:text-gray-400'}`}
+                                >
+                                  {providerNetworkStatuses.map(option => (
+                                    <option key={option.key} value={option.key}>{option.label}</option>
+                                  ))}
+                                </select>
+                              </td>
+                            );
+                          })}
+                          <td className="py-2 text-right">
+                            <button
+                              onClick={() => removeProvider(provider.id)}
+                              className="text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 p-1 rounded transition"
+                              title="Remove provider and unlink it from visits and medications"
+                            >
+                              <Icon name="trash-2" size={16} />
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {plans.length > 0 && providers.length > 0 && (
+                <div className="mt-6">
+                  <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Your Providers by Plan</h3>
+                  <div className="space-y-2">
+                    {plans.map(plan => {
+                      const summary = getProviderNetworkSummary(plan, people, providers);
+                      return (
+                        <div key={plan.id} className="p-3 bg-gray-50 dark:bg-gray-700 rounded text-sm text-gray-700 dark:text-gray-300">
+                          <div className="flex justify-between">
+                            <span className="font-medium">{plan.name}</span>
+                            <span>
+                              {summary.linked === 0
+                                ? 'No linked providers'
+                                : `${summary.inNetwork.length} of ${summary.linked} linked providers in network`}
+                            </span>
+                          </div>
+                          {summary.warnings.map(warning => (
+                            <div key={warning} className="text-xs text-orange-600 dark:text-orange-400 mt-1">{warning}</div>
+                          ))}
+                          {summary.unknown.length > 0 && (
+                            <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                              Unknown: {summary.unknown.map(provider => provider.name).join(', ')}
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+
+              <div className="mt-6 flex justify-end">
+                <button
+                  onClick={() => setShowProviderModal(false)}
+                  className="px-6 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition text-sm"
+                >
+                  Done
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Subsidies Modal */}
+      {showSubsidyModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 dark:bg-opacity-70 flex items-center justify-center p-2 sm:p-4 z-50" onClick={() => setShowSubsidyModal(false)}>
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-hidden transition-colors" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-center justify-between p-4 sm:p-6 border-b border-gray-200 dark:border-gray-600">
+              <h2 className="text-lg sm:text-2xl font-semibold text-gray-800 dark:text-gray-100">Marketplace Subsidies</h2>
+              <button
+                onClick={() => setShowSubsidyModal(false)}
+                className="text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300 transition"
+              >
+                <Icon name="x" size={24} />
+              </button>
+            </div>
+            <div className="p-4 sm:p-6 overflow-y-auto max-h-[calc(90vh-120px)]">
+              <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+                Estimates the advance premium tax credit (APTC) and cost-sharing reduction (CSR) level from bundled federal tables for the plan year ({planYear}). The credit is subtracted from the premium of every plan marked as a marketplace plan (except catastrophic plans), and silver plans use their CSR variant when one is entered.
+              </p>
+
+              <label className="flex items-center gap-2 text-sm font-medium text-gray-700 dark:text-gray-300 mb-4">
+                <input
+                  type="checkbox"
+                  checked={household.enabled}
+                  onChange={(e) => updateHousehold('enabled', e.target.checked)}
+                />
+                Apply subsidies to marketplace plans
+              </label>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Household Income (MAGI, $/year)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={household.income}
+                    onChange={(e) => updateHousehold('income', Math.max(0, parseFloat(e.target.value) || 0))}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Tax Household Size</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={household.size ?? ''}
+                    placeholder={`${people.length} (everyone entered)`}
+                    onChange={(e) => updateHousehold('size', e.target.value === '' ? null : Math.max(1, parseInt(e.target.value) || 1))}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Region</label>
+                  <select
+                    value={household.region}
+                    onChange={(e) => updateHousehold('region', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                  >
+                    <option value="contiguous">48 contiguous states & DC</option>
+                    <option value="alaska">Alaska</option>
+                    <option value="hawaii">Hawaii</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Benchmark Silver Premium ($/month)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={household.benchmarkPremium}
+                    onChange={(e) => updateHousehold('benchmarkPremium', Math.max(0, parseFloat(e.target.value) || 0))}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                    title="The second-lowest-cost silver plan for the household, before any credit"
+                  />
+                </div>
+              </div>
+
+              {subsidy && (
+                <div className="bg-gray-50 dark:bg-gray-700 p-4 rounded space-y-1 text-sm text-gray-700 dark:text-gray-300">
+                  <div className="flex justify-between">
+                    <span>Federal poverty level ({household.size || people.length} people)</span>
+                    <span>{formatCurrency(subsidy.fpl)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Income as % of poverty level</span>
+                    <span>{Math.round(subsidy.fplPercent)}%</span>
+                  </div>
+                  {subsidy.applicablePercentage !== null && (
+                    <div className="flex justify-between">
+                      <span>Applicable percentage</span>
+                      <span>{(subsidy.applicablePercentage * 100).toFixed(2)}%</span>
                     </div>
-                  );
-                })()
+                  )}
+                  {subsidy.expectedContribution !== null && (
+                    <div className="flex justify-between">
+                      <span>Expected contribution</span>
+                      <span>{formatCurrency(subsidy.expectedContribution)} / year</span>
+                    </div>
+                  )}
+                  <div className="flex justify-between font-semibold border-t border-gray-200 dark:border-gray-600 pt-1">
+                    <span>Premium tax credit</span>
+                    <span className="text-green-700 dark:text-green-400">{formatCurrency(subsidy.annualCredit)} / year ({formatCurrency(subsidy.monthlyCredit)} / month)</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Cost-sharing reduction</span>
+                    <span>{subsidy.csrLabel || 'None'}</span>
+                  </div>
+                  {subsidy.reason && (
+                    <p className="text-xs text-amber-700 dark:text-amber-400 pt-1">{subsidy.reason}</p>
+                  )}
+                  <p className="text-xs text-gray-500 dark:text-gray-400 pt-1">
+                    Table {subsidy.tableVersion}: {subsidy.source}
+                    {subsidy.tableYear !== planYear && ` (no table for ${planYear}, using ${subsidy.tableYear})`}
+                  </p>
+                </div>
               )}
-              
-              {/* Calculation Notes */}
-              <div className="mt-4 sm:mt-8 bg-yellow-50 dark:bg-yellow-800 border border-yellow-200 dark:border-yellow-700 rounded-lg p-3 sm:p-4">
-                <h4 className="font-semibold text-yellow-800 dark:text-yellow-200 mb-2 text-sm sm:text-base">Calculation Notes & Assumptions:</h4>
-                <ul className="text-xs sm:text-sm text-yellow-700 dark:text-yellow-300 space-y-1 list-disc list-inside">
-                  <li>Calculations process costs for each person individually, applying their individual deductible and MOOP limits first.</li>
-                  <li>Each person's out-of-pocket spending contributes to the family-level deductible and MOOP.</li>
-                  <li>The final family out-of-pocket cost is capped by the family's maximum-out-of-pocket (MOOP) limit.</li>
-                  <li>A single coinsurance rate is assumed for simplicity after the deductible is met.</li>
-                  <li>Copays for office visits are assumed to not count towards the deductible, but do count towards the MOOP.</li>
-                  <li>Costs for services like ER, imaging, and medications are applied to the deductible first.</li>
-                </ul>
+
+              <div className="mt-6 flex justify-end">
+                <button
+                  onClick={() => setShowSubsidyModal(false)}
+                  className="px-6 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition text-sm"
+                >
+                  Done
+                </button>
               </div>
             </div>
           </div>
         </div>
       )}
 
-      {/* Cost Settings Modal */}
-      {showSettingsModal && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 dark:bg-opacity-70 flex items-center justify-center p-2 sm:p-4 z-50" onClick={() => setShowSettingsModal(false)}>
-          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-hidden transition-colors" onClick={(e) => e.stopPropagation()}>
+      {/* Risk Analysis Modal */}
+      {showRiskModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 dark:bg-opacity-70 flex items-center justify-center p-2 sm:p-4 z-50" onClick={() => setShowRiskModal(false)}>
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-hidden transition-colors" onClick={(e) => e.stopPropagation()}>
             <div className="flex items-center justify-between p-4 sm:p-6 border-b border-gray-200 dark:border-gray-600">
-              <h2 className="text-lg sm:text-2xl font-semibold text-gray-800 dark:text-gray-100">Cost Settings</h2>
+              <h2 className="text-lg sm:text-2xl font-semibold text-gray-800 dark:text-gray-100">Risk Analysis</h2>
               <button
-                onClick={() => setShowSettingsModal(false)}
+                onClick={() => setShowRiskModal(false)}
                 className="text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300 transition"
               >
                 <Icon name="x" size={24} />
@@ -1534,95 +4073,200 @@ const HealthInsuranceCalculator = () => {
             </div>
             <div className="p-4 sm:p-6 overflow-y-auto max-h-[calc(90vh-120px)]">
               <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
-                Configure typical costs for healthcare services that use coinsurance. These values are used to calculate how much you'll pay after meeting your deductible.
+                Simulates many possible years of healthcare use. Each person's visit counts vary around the numbers you entered, catastrophic events strike with their yearly probability, and every plan is priced against the same simulated years. The same seed always gives the same results.
               </p>
-              
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+
+              <div className="flex flex-wrap items-end gap-4 mb-6">
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                    Emergency Room Visit
-                  </label>
-                  <div className="flex items-center">
-                    <span className="text-gray-500 dark:text-gray-400 mr-2">$</span>
-                    <input
-                      type="number"
-                      value={costSettings.emergencyRoom}
-                      onChange={(e) => updateCostSetting('emergencyRoom', e.target.value)}
-                      className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
-                    />
-                  </div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Iterations</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={riskSettings.iterations}
+                    onChange={(e) => updateRiskSetting('iterations', e.target.value)}
+                    className="w-28 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                  />
                 </div>
-
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                    Diagnostic Test
-                  </label>
-                  <div className="flex items-center">
-                    <span className="text-gray-500 dark:text-gray-400 mr-2">$</span>
-                    <input
-                      type="number"
-                      value={costSettings.diagnosticTest}
-                      onChange={(e) => updateCostSetting('diagnosticTest', e.target.value)}
-                      className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
-                    />
-                  </div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Seed</label>
+                  <input
+                    type="number"
+                    value={riskSettings.seed}
+                    onChange={(e) => updateRiskSetting('seed', e.target.value)}
+                    className="w-28 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                  />
                 </div>
+                <button
+                  onClick={runRiskAnalysisForPlans}
+                  disabled={plans.length === 0}
+                  className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition text-sm disabled:opacity-50"
+                >
+                  <Icon name="play" size={16} />
+                  Run Analysis
+                </button>
+              </div>
 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                    Imaging (X-ray, MRI, etc.)
-                  </label>
-                  <div className="flex items-center">
-                    <span className="text-gray-500 dark:text-gray-400 mr-2">$</span>
-                    <input
-                      type="number"
-                      value={costSettings.imaging}
-                      onChange={(e) => updateCostSetting('imaging', e.target.value)}
-                      className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
-                    />
+              {/* Results */}
+              {riskResults && (() => {
+                const maxCost = Math.max(...riskResults.plans.map(p => p.p90), 1);
+                return (
+                  <div className="mb-6">
+                    <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-3">
+                      Results ({riskResults.iterations.toLocaleString()} simulated years, seed {riskResults.seed})
+                    </h3>
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-xs sm:text-sm">
+                        <thead>
+                          <tr className="border-b border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-400">
+                            <th className="text-left py-1 pr-2">Plan</th>
+                            <th className="text-right py-1 px-2">Expected</th>
+                            <th className="text-right py-1 px-2">P10</th>
+                            <th className="text-right py-1 px-2">P50</th>
+                            <th className="text-right py-1 px-2">P90</th>
+                            <th className="text-right py-1 px-2">Cheapest</th>
+                            <th className="py-1 pl-2 w-1/3">P10 – P90 Range</th>
+                          </tr>
+                        </thead>
+                        <tbody className="text-gray-700 dark:text-gray-300">
+                          {riskResults.plans.map(result => (
+                            <tr key={result.planId} className="border-b border-gray-100 dark:border-gray-700">
+                              <td className="py-2 pr-2 font-medium">{result.name}</td>
+                              <td className="text-right py-2 px-2 font-semibold">{formatCurrency(result.expected)}</td>
+                              <td className="text-right py-2 px-2">{formatCurrency(result.p10)}</td>
+                              <td className="text-right py-2 px-2">{formatCurrency(result.p50)}</td>
+                              <td className="text-right py-2 px-2">{formatCurrency(result.p90)}</td>
+                              <td className="text-right py-2 px-2">{Math.round(result.probabilityCheapest * 1000) / 10}%</td>
+                              <td className="py-2 pl-2">
+                                <div className="relative h-3 bg-gray-100 dark:bg-gray-700 rounded">
+                                  <div
+                                    className="absolute h-3 bg-purple-300 dark:bg-purple-700 rounded"
+                                    style={{ left: `${(result.p10 / maxCost) * 100}%`, width: `${Math.max(0.5, ((result.p90 - result.p10) / maxCost) * 100)}%` }}
+                                  />
+                                  <div
+                                    className="absolute h-3 w-0.5 bg-purple-800 dark:bg-purple-200"
+                                    style={{ left: `${(result.p50 / maxCost) * 100}%` }}
+                                    title={`Median ${formatCurrency(result.p50)}`}
+                                  />
+                                </div>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                      P10/P50/P90: 10% of simulated years cost less than P10, half less than P50 and 90% less than P90. Cheapest is the share of years in which the plan had the lowest total cost.
+                    </p>
                   </div>
-                </div>
+                );
+              })()}
 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                    Rehabilitation (Outpatient)
-                  </label>
-                  <div className="flex items-center">
-                    <span className="text-gray-500 dark:text-gray-400 mr-2">$</span>
+              {/* Visit variability */}
+              <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-1">Visit Variability</h3>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+                Each visit type is drawn around the count entered for each person. Spread is how much the yearly rate varies (0 keeps the count fixed, 1 means it typically varies by about as much as the count itself).
+              </p>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mb-6">
+                {Object.keys(defaultPerson.visits).map(visitType => (
+                  <div key={visitType}>
+                    <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1 capitalize">{formatVisitType(visitType)}</label>
                     <input
                       type="number"
-                      value={costSettings.rehabilitationOutpatient}
-                      onChange={(e) => updateCostSetting('rehabilitationOutpatient', e.target.value)}
-                      className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                      min="0"
+                      step="0.1"
+                      value={riskSettings.visitSpread?.[visitType] ?? 0}
+                      onChange={(e) => updateVisitSpread(visitType, e.target.value)}
+                      className="w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm dark:bg-gray-700 dark:text-gray-100"
                     />
                   </div>
-                </div>
+                ))}
+              </div>
 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                    Habilitation (Outpatient)
-                  </label>
-                  <div className="flex items-center">
-                    <span className="text-gray-500 dark:text-gray-400 mr-2">$</span>
-                    <input
-                      type="number"
-                      value={costSettings.habilitationOutpatient}
-                      onChange={(e) => updateCostSetting('habilitationOutpatient', e.target.value)}
-                      className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
-                    />
+              {/* Catastrophic events */}
+              <div className="flex items-center justify-between mb-1">
+                <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300">Catastrophic Events</h3>
+                <button
+                  onClick={addCatastrophicEvent}
+                  className="flex items-center gap-1 bg-purple-600 text-white px-2 py-1 rounded text-xs hover:bg-purple-700 transition"
+                >
+                  <Icon name="plus" size={12} />
+                  Add
+                </button>
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+                Each event can happen to each person independently in a simulated year, adding its visits and planned events on top of their usual care.
+              </p>
+              <div className="space-y-3">
+                {riskSettings.catastrophicEvents.map(event => (
+                  <div key={event.id} className="bg-gray-50 dark:bg-gray-700 p-3 rounded">
+                    <div className="flex flex-wrap items-center gap-2 mb-2">
+                      <input
+                        type="text"
+                        value={event.name}
+                        onChange={(e) => updateCatastrophicEvent(event.id, 'name', e.target.value)}
+                        className="flex-1 min-w-0 px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.1"
+                        value={Math.round((event.probability || 0) * 1000) / 10}
+                        onChange={(e) => updateCatastrophicEvent(event.id, 'probability', Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) / 100)}
+                        className="w-20 px-2 py-1 border border-gray-300 dark:border-gray-500 rounded text-sm bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100"
+                        title="Chance per person per year"
+                      />
+                      <span className="text-xs text-gray-600 dark:text-gray-400">% / person / year</span>
+                      <button
+                        onClick={() => removeCatastrophicEvent(event.id)}
+                        className="text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 p-1 rounded"
+                      >
+                        <Icon name="trash-2" size={14} />
+                      </button>
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                      {['visits', 'events'].flatMap(group => Object.entries(event[group] || {}).map(([serviceKey, count]) => (
+                        <div key={`${group}-${serviceKey}`} className="flex items-center gap-1 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-600 rounded px-2 py-1">
+                          <span className="text-xs text-gray-600 dark:text-gray-400 capitalize">{formatVisitType(serviceKey)}</span>
+                          <input
+                            type="number"
+                            min="0"
+                            value={count}
+                            onChange={(e) => updateCatastrophicEventService(event.id, group, serviceKey, e.target.value)}
+                            className="w-14 px-1 py-0.5 border border-gray-300 dark:border-gray-500 rounded text-xs bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100"
+                          />
+                        </div>
+                      )))}
+                      <select
+                        value=""
+                        onChange={(e) => {
+                          const [group, serviceKey] = e.target.value.split(':');
+                          if (serviceKey) updateCatastrophicEventService(event.id, group, serviceKey, 1);
+                        }}
+                        className="px-1 py-1 border border-gray-300 dark:border-gray-500 rounded text-xs bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100"
+                      >
+                        <option value="">+ Add service</option>
+                        {Object.keys(defaultPerson.visits).filter(key => !event.visits?.[key]).map(key => (
+                          <option key={key} value={`visits:${key}`}>{formatVisitType(key)}</option>
+                        ))}
+                        {Object.entries(plannedEventUnits).filter(([key]) => !event.events?.[key]).map(([key, unit]) => (
+                          <option key={key} value={`events:${key}`}>{formatVisitType(key)} ({unit}s)</option>
+                        ))}
+                      </select>
+                    </div>
                   </div>
-                </div>
+                ))}
               </div>
 
               <div className="mt-6 flex justify-between items-center">
                 <button
-                  onClick={resetCostSettings}
+                  onClick={resetRiskSettings}
                   className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition text-sm"
                 >
                   Reset to Defaults
                 </button>
                 <button
-                  onClick={() => setShowSettingsModal(false)}
+                  onClick={() => setShowRiskModal(false)}
                   className="px-6 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition text-sm"
                 >
                   Done
@@ -1656,70 +4300,7 @@ const HealthInsuranceCalculator = () => {
                 <div className="relative mb-3 sm:mb-4">
                   <textarea
                     readOnly
-                    value={`Please analyze the attached Summary of Benefits and Coverage (SBC) document and extract the insurance plan information into the following JSON format. Pay close attention to copays, coinsurance percentages, and deductibles.
-
-JSON Format Required:
-{
-  "name": "Plan Name (e.g., Bronze 6900, Silver 3000)",
-  "medicalDeductible": {
-    "person": 0,
-    "family": 0
-  },
-  "rxDeductible": {
-    "person": 0,
-    "family": 0
-  },
-  "outOfPocketMax": {
-    "person": 0,
-    "family": 0
-  },
-  "copays": {
-    "primaryCare": 0,
-    "specialist": 0,
-    "urgentCare": 0,
-    "emergencyRoom": 0,
-    "mentalHealth": 0,
-    "diagnosticTest": 0,
-    "diagnosticTestLab": 0,
-    "imaging": 0.50,
-    "rehabilitationOutpatient": 0,
-    "habilitationOutpatient": 0
-  },
-  "coinsurance": {
-    "hospitalFacility": 0.50,
-    "outpatientSurgeryFacility": 0.50,
-    "outpatientSurgeryASC": 0.25,
-    "physicianSurgeon": 0.50,
-    "childbirth": 0.50,
-    "skilledNursing": 0.50,
-    "homeHealthCare": 0.50,
-    "dme": 0.50,
-    "hospice": 0.50,
-    "childrenGlasses": 0.50
-  },
-  "rxCopays": {
-    "tier1": 15,
-    "tier2": 30,
-    "tier3": 0.30,
-    "tier4": 0.50,
-    "tier5": 0.50
-  },
-  "rxDeductibleWaived": [1, 2],
-  "childrenDentalCheckup": 95,
-  "childrenEyeExam": 0
-}
-
-Important Notes:
-- For copays: Use dollar amounts (e.g., 45 for $45 copay)
-- For coinsurance: Use decimal values (e.g., 0.50 for 50% coinsurance, 0.25 for 25%)
-- For rxCopays: Tiers 1-2 are typically dollar amounts, Tiers 3-5 are typically coinsurance percentages (decimals)
-- rxDeductibleWaived: Array of tier numbers where prescription deductible is waived
-- If a service shows "No charge" or "$0", use 0
-- If a service shows percentage coinsurance, convert to decimal (50% = 0.50)
-- Look for separate prescription drug benefits section for rxCopays and rxDeductible
-- Dental and vision benefits may be in separate sections
-
-Please provide only the JSON object as your response, with accurate values extracted from the document.`}
+                    value={LLM_PROMPT}
                     className="w-full h-48 sm:h-80 px-2 sm:px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg font-mono text-xs bg-gray-50 dark:bg-gray-900 text-gray-800 dark:text-gray-200 resize-none"
                   />
                 </div>
@@ -1793,6 +4374,197 @@ Please provide only the JSON object as your response, with accurate values extra
         </div>
       )}
 
+      {/* Undo toast after a removal or other destructive change */}
+      {undoToast && (
+        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-[60] flex items-center gap-4 bg-gray-800 dark:bg-gray-700 text-white text-sm px-4 py-3 rounded-lg shadow-xl">
+          <span>{undoToast.label}</span>
+          <button
+            onClick={undo}
+            className="font-semibold text-indigo-300 hover:text-indigo-200 transition"
+          >
+            Undo
+          </button>
+          <button
+            onClick={() => setUndoToast(null)}
+            className="text-gray-400 hover:text-gray-200 transition"
+            aria-label="Dismiss"
+          >
+            <Icon name="x" size={16} />
+          </button>
+        </div>
+      )}
+
+      {/* Workspace Import Modal */}
+      {workspaceImport && (() => {
+        const { bundle, mode, match, conflict } = workspaceImport;
+        const { summary } = mergeWorkspace(getWorkspace(), bundle.data, { mode, match, conflict });
+        const collectionLabels = { people: 'Family members', plans: 'Plans', scenarios: 'Scenarios', providers: 'Providers' };
+        return (
+          <div className="fixed inset-0 bg-black bg-opacity-50 dark:bg-opacity-70 flex items-center justify-center p-2 sm:p-4 z-50" onClick={() => setWorkspaceImport(null)}>
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-hidden transition-colors" onClick={(e) => e.stopPropagation()}>
+              <div className="flex items-center justify-between p-4 sm:p-6 border-b border-gray-200 dark:border-gray-600">
+                <h2 className="text-lg sm:text-2xl font-semibold text-gray-800 dark:text-gray-100">Import Workspace</h2>
+                <button
+                  onClick={() => setWorkspaceImport(null)}
+                  className="text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300 transition"
+                >
+                  <Icon name="x" size={24} />
+                </button>
+              </div>
+              <div className="p-4 sm:p-6 overflow-y-auto max-h-[calc(90vh-120px)]">
+                <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+                  Saved {bundle.createdAt ? new Date(bundle.createdAt).toLocaleString() : 'at an unknown time'}
+                  {bundle.appVersion && ` by version ${bundle.appVersion}`}.
+                </p>
+
+                <div className="space-y-3 mb-4">
+                  {[
+                    { key: 'merge', label: 'Merge', description: 'Add the file\'s people, plans, scenarios and providers to what is here' },
+                    { key: 'replace', label: 'Replace', description: 'Show exactly what the file holds, including settings and preferences' }
+                  ].map(option => (
+                    <label key={option.key} className="flex items-start gap-2 text-sm text-gray-700 dark:text-gray-300">
+                      <input
+                        type="radio"
+                        name="workspace-import-mode"
+                        checked={mode === option.key}
+                        onChange={() => updateWorkspaceImport('mode', option.key)}
+                        className="mt-1"
+                      />
+                      <span><span className="font-medium">{option.label}</span> - {option.description}</span>
+                    </label>
+                  ))}
+                </div>
+
+                {mode === 'merge' && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Match items</label>
+                      <select
+                        value={match}
+                        onChange={(e) => updateWorkspaceImport('match', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                      >
+                        {workspaceMatchModes.map(option => (
+                          <option key={option.key} value={option.key}>{option.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">When an item matches</label>
+                      <select
+                        value={conflict}
+                        onChange={(e) => updateWorkspaceImport('conflict', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-gray-100"
+                      >
+                        {workspaceConflictModes.map(option => (
+                          <option key={option.key} value={option.key}>{option.label}</option>
+                        ))}
+                      </select>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{workspaceConflictModes.find(option => option.key === conflict)?.description}</p>
+                    </div>
+                  </div>
+                )}
+
+                <table className="w-full text-sm mb-4">
+                  <thead>
+                    <tr className="border-b border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-400">
+                      <th className="text-left py-1">In the file</th>
+                      <th className="text-right py-1">Added</th>
+                      <th className="text-right py-1">Overwritten</th>
+                      <th className="text-right py-1">Skipped</th>
+                    </tr>
+                  </thead>
+                  <tbody className="text-gray-700 dark:text-gray-300">
+                    {Object.entries(summary).map(([key, counts]) => (
+                      <tr key={key} className="border-b border-gray-100 dark:border-gray-700">
+                        <td className="py-1">{collectionLabels[key]}</td>
+                        <td className="text-right py-1">{counts.added}</td>
+                        <td className="text-right py-1">{counts.replaced}</td>
+                        <td className="text-right py-1">{counts.skipped}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <div className="flex justify-end gap-2">
+                  <button
+                    onClick={() => setWorkspaceImport(null)}
+                    className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition text-sm"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={applyWorkspaceImport}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition text-sm"
+                  >
+                    {mode === 'replace' ? 'Replace Workspace' : 'Merge Workspace'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* Import Review Modal */}
+      {importReview && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 dark:bg-opacity-70 flex items-center justify-center p-2 sm:p-4 z-50" onClick={() => setImportReview(null)}>
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-hidden transition-colors" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-center justify-between p-4 sm:p-6 border-b border-gray-200 dark:border-gray-600">
+              <h2 className="text-lg sm:text-2xl font-semibold text-gray-800 dark:text-gray-100">Review Import - {importReview.title}</h2>
+              <button
+                onClick={() => setImportReview(null)}
+                className="text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300 transition"
+              >
+                <Icon name="x" size={24} />
+              </button>
+            </div>
+            <div className="p-4 sm:p-6 overflow-y-auto max-h-[calc(90vh-120px)]">
+              <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+                {importReview.report.errors.length} problem(s) found. Values marked "can fix" are numbers, percentages, yes/no values or options written as text, and can be converted.
+              </p>
+              <ul className="mb-4 space-y-1 text-sm font-mono">
+                {importReview.report.errors.map((error, index) => (
+                  <li key={index} className={`flex items-start justify-between gap-2 p-1 rounded ${error.fixable ? 'bg-amber-50 dark:bg-amber-900/30 text-amber-800 dark:text-amber-300' : 'bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300'}`}>
+                    <span className="break-all">{formatValidationError(error)}</span>
+                    <span className="font-sans text-xs whitespace-nowrap">{error.fixable ? 'can fix' : "can't fix"}</span>
+                  </li>
+                ))}
+              </ul>
+              {importReview.report.fixed.length < importReview.report.total && (
+                <p className="text-sm text-red-700 dark:text-red-300 mb-3">
+                  {importReview.report.total - importReview.report.fixed.length} of {importReview.report.total} item(s) have problems that can't be fixed and won't be imported.
+                </p>
+              )}
+              <div className="flex flex-wrap justify-end gap-2">
+                <button
+                  onClick={() => setImportReview(null)}
+                  className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition text-sm"
+                >
+                  Cancel
+                </button>
+                {importReview.report.valid.length > 0 && (
+                  <button
+                    onClick={() => confirmImportReview(importReview.report.valid)}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition text-sm"
+                  >
+                    Import {importReview.report.valid.length} item(s) without problems
+                  </button>
+                )}
+                {importReview.report.fixable > 0 && importReview.report.fixed.length > 0 && (
+                  <button
+                    onClick={() => confirmImportReview(importReview.report.fixed)}
+                    className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition text-sm"
+                  >
+                    Fix {importReview.report.fixable} value(s) and import {importReview.report.fixed.length} item(s)
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Disclaimer Modal */}
       {showDisclaimerModal && (
         <div className="fixed inset-0 bg-black bg-opacity-75 dark:bg-opacity-85 flex items-center justify-center p-4 z-50">
@@ -1852,6 +4624,84 @@ Please provide only the JSON object as your response, with accurate values extra
   );
 };
 
-export default HealthInsuranceCalculator;
+// Opens the workspace store and shows the open workspace; switching remounts the calculator with its data
+const App = () => {
+  const [session, setSession] = useState(null);
+
+  const openWorkspace = async (id, workspaces, failures = []) => {
+    const loadErrors = [...failures];
+    let workspace = {};
+    try {
+      workspace = await loadWorkspace(id);
+    } catch (error) {
+      console.warn('Failed to load workspace:', error);
+      loadErrors.push({ key: `workspace-${id}`, message: error.message });
+    }
+    await setActiveWorkspace(id);
+    setSession(prev => ({ ...prev, workspaces, activeId: id, workspace, loadErrors }));
+  };
+
+  useEffect(() => {
+    openWorkspaces()
+      .then(({ workspaces, activeId, backend, failures }) => {
+        setSession(prev => ({ ...prev, backend }));
+        return openWorkspace(activeId, workspaces, failures);
+      })
+      .catch(error => {
+        console.warn('Failed to open workspaces:', error);
+        setSession({ workspaces: [], activeId: null, workspace: {}, loadErrors: [{ key: 'workspaces', message: error.message }] });
+      });
+  }, []);
+
+  // Report a failed workspace action without leaving the one that is open
+  const withAlert = action => (...args) => action(...args).catch(error => alert(error.message));
+
+  const actions = {
+    switchTo: withAlert(id => openWorkspace(id, session.workspaces)),
+    create: withAlert(async name => {
+      const entry = await createWorkspace(name);
+      await openWorkspace(entry.id, await listWorkspaces());
+    }),
+    rename: withAlert(async name => {
+      const workspaces = await renameWorkspace(session.activeId, name);
+      setSession(prev => ({ ...prev, workspaces }));
+    }),
+    duplicate: withAlert(async name => {
+      const entry = await duplicateWorkspace(session.activeId, name);
+      await openWorkspace(entry.id, await listWorkspaces());
+    }),
+    remove: withAlert(async () => {
+      const workspaces = await deleteWorkspace(session.activeId);
+      await openWorkspace(workspaces[0].id, workspaces);
+    })
+  };
+
+  if (!session?.workspace) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-gray-900 dark:to-gray-800 flex items-center justify-center text-gray-600 dark:text-gray-400">
+        Loading...
+      </div>
+    );
+  }
+
+  return (
+    <HealthInsuranceCalculator
+      key={session.activeId}
+      workspaceId={session.activeId}
+      initialWorkspace={session.workspace}
+      loadErrors={session.loadErrors}
+      workspaceSwitcher={session.workspaces.length > 0 && (
+        <WorkspaceSwitcher
+          workspaces={session.workspaces}
+          activeId={session.activeId}
+          backend={session.backend}
+          actions={actions}
+        />
+      )}
+    />
+  );
+};
+
+export default App;
 
 
@@ -3,7 +3,17 @@
  */
 
 export * from './js/calculations.js';
+export * from './js/simulation.js';
+export * from './js/riskAnalysis.js';
+export * from './js/coverageOptimizer.js';
+export * from './js/subsidies.js';
+export * from './js/providers.js';
+export * from './js/formulary.js';
 export * from './js/storage.js';
+export * from './js/migrations.js';
+export * from './js/schemas.js';
+export * from './js/workspace.js';
+export * from './js/history.js';
 export * from './js/data.js';
 export * from './js/ui.js';
 export * from './js/formatters.js';
@@ -23,12 +23,15 @@ window.HealthCareCompare = {
   // Data functions
   createNewPerson: Data.createNewPerson,
   createNewPlan: Data.createNewPlan,
-  createScenarios: Data.createScenarios,
+  createDefaultScenarios: Data.createDefaultScenarios,
+  createNewScenario: Data.createNewScenario,
+  createScenarioPeople: Data.createScenarioPeople,
   importPeople: Data.importPeople,
   importPlanFromJSON: Data.importPlanFromJSON,
   defaultPerson: Data.defaultPerson,
   defaultPlan: Data.defaultPlan,
-  createPersonScenarios: Data.createPersonScenarios,
+  applyScenario: Data.applyScenario,
+  migrateScenarios: Data.migrateScenarios,
   
   // UI functions and components
   Icon: UI.Icon,
@@ -36,7 +39,7 @@ window.HealthCareCompare = {
   LLM_PROMPT: UI.LLM_PROMPT,
   copyToClipboard: UI.copyToClipboard,
   formatVisitType: UI.formatVisitType,
-  SCENARIOS: UI.SCENARIOS,
+  SCENARIO_COLORS: UI.SCENARIO_COLORS,
   useDarkMode: UI.useDarkMode,
   initializeDarkMode: UI.initializeDarkMode,
   toggleDarkMode: UI.toggleDarkMode,
@@ -1,5 +1,25 @@
-import { formatCurrency } from './formatters.js';
+import { formatCurrency, formatPercent } from './formatters.js';
 import { formatVisitType } from './ui.js';
+import {
+  defaultCostSettings,
+  defaultPerson,
+  medicationSupplies,
+  getMedicationSupply,
+  getSupplyCopayMultiplier,
+  plannedEventUnits,
+  pediatricServiceUnits,
+  premiumTiers,
+  payPeriodFrequencies,
+  federalAgeCurve,
+  getPersonRelationship,
+  getPersonAge,
+  isPediatric,
+  pediatricAgeLimit,
+  isAgedOutDependent,
+  mergeOutOfNetwork,
+  inNetworkEmergencyServices
+} from './data.js';
+import { findFormularyEntry, getFormularyWarnings, hasFormulary } from './formulary.js';
 
 /**
  * Cost Calculation Functions
@@ -13,26 +33,596 @@ import { formatVisitType } from './ui.js';
  * @param {Object} plan - The insurance plan
  * @param {Array} people - Array of people with visits and medications
  * @param {Object} costSettings - Settings for typical costs of services
- * @returns {Object} Breakdown of costs (premium, visits, medications, total, deductible, coinsurance)
+ * @returns {Object} Breakdown of costs (premium, visits, medications, total, net total after accounts)
  */
 export function calculatePlanCost(plan, people, costSettings = null) {
   const breakdown = getDetailedCostBreakdown(plan, people, costSettings);
 
   return {
     premium: breakdown.premiumBreakdown.annualPremium,
+    premiumTier: breakdown.premiumBreakdown.rating === 'ageRated' ? 'Age rated' : breakdown.premiumBreakdown.tierLabel,
     visits: breakdown.finalFamilyOOP,
     medications: 0, // Included in 'visits'
-    total: breakdown.grandTotal
+    total: breakdown.grandTotal,
+    netTotal: breakdown.effectiveNetCost,
+    hasAccounts: breakdown.accounts.hasAccounts,
+    premiumTaxCredit: breakdown.premiumBreakdown.premiumTaxCredit,
+    csrVariant: plan.csrVariant || null,
+    pediatric: breakdown.familyPediatricPaid,
+    outOfNetwork: breakdown.outOfNetwork.paid + breakdown.outOfNetwork.balanceBillingPaid,
+    warnings: [...breakdown.eligibilityWarnings, ...breakdown.formularyWarnings]
   };
 }
 
+// Planned events that are only covered for children
+const PEDIATRIC_EVENTS = ['childrenGlasses'];
+
+// Office visits priced as flat copays on plans saved before cost-sharing types existed
+const LEGACY_COPAY_SERVICES = ['primaryCare', 'specialist', 'urgentCare', 'mentalHealth'];
+
 /**
- * Get detailed cost breakdown with per-person calculations
+ * Resolve the cost-sharing rule a plan declares for one service or drug tier
+ * The amount lives in plan[category][key]; its type (and cap) in plan.costSharing[category][key].
+ * Pediatric dental and vision amounts sit at the top of the plan (plan.childrenDentalCheckup).
+ * Plans without a declared type fall back to reading the amount: above 1 is a dollar copay
+ * after the deductible, 1 or below a coinsurance rate.
  * @param {Object} plan - The insurance plan
- * @param {Array} people - Array of people with visits and medications
+ * @param {string} category - 'copays', 'coinsurance', 'rxCopays' or 'pediatric'
+ * @param {string} key - Service or tier key within the category
+ * @param {string} legacyType - Type to assume when the plan declares none
+ * @returns {Object} Cost-sharing rule ({ type, copay } or { type, rate, cap })
+ */
+function resolveCostSharing(plan, category, key, legacyType = null) {
+  const amount = (category === 'pediatric' ? plan[key] : plan[category]?.[key]) || 0;
+  const declared = plan.costSharing?.[category]?.[key];
+  const type = declared?.type || legacyType || (amount > 1 ? 'copayAfterDeductible' : 'coinsurance');
+
+  switch (type) {
+    case 'copay':
+    case 'copayAfterDeductible':
+      return { type, copay: amount };
+    case 'coinsuranceWithCap':
+      return { type, rate: amount, cap: declared?.cap || 0 };
+    case 'notCovered':
+      return { type };
+    default:
+      return { type: 'coinsurance', rate: amount };
+  }
+}
+
+/**
+ * Scale a per-fill cost-sharing rule for a fill covering several refills
+ * Copays and coinsurance caps are multiplied; coinsurance rates apply to the fill's price.
+ * @param {Object} costSharing - Cost-sharing rule for a 30-day fill
+ * @param {number} multiplier - Plan's copay multiplier for the fill
+ * @returns {Object} Cost-sharing rule for the fill
+ */
+function scaleCostSharing(costSharing, multiplier) {
+  if (costSharing.copay !== undefined) return { ...costSharing, copay: costSharing.copay * multiplier };
+  if (costSharing.cap) return { ...costSharing, cap: costSharing.cap * multiplier };
+  return costSharing;
+}
+
+/**
+ * Member's coinsurance share of one unit, honoring a per-unit cap
+ * @param {Object} costSharing - Coinsurance rule
+ * @param {number} unitCost - Cost of one visit, refill, day, ...
+ * @returns {number} Amount owed per unit
+ */
+function coinsurancePerUnit(costSharing, unitCost) {
+  const owed = unitCost * (costSharing.rate || 0);
+  return costSharing.type === 'coinsuranceWithCap' && costSharing.cap > 0 ? Math.min(owed, costSharing.cap) : owed;
+}
+
+/**
+ * Describe a cost-sharing rule for display next to a charge line
+ * @param {Object} costSharing - Cost-sharing rule
+ * @param {string} unit - Unit a copay is charged per (visit, refill, ...)
+ * @returns {string} Description such as "20% coinsurance" or "$30/refill after deductible"
+ */
+function describeCostSharing(costSharing, unit) {
+  switch (costSharing.type) {
+    case 'copay':
+      return `${formatCurrency(costSharing.copay)}/${unit} copay`;
+    case 'copayAfterDeductible':
+      return `${formatCurrency(costSharing.copay)}/${unit} after deductible`;
+    case 'coinsuranceWithCap':
+      return `${formatPercent(costSharing.rate)} coinsurance (max ${formatCurrency(costSharing.cap)}/${unit})`;
+    case 'notCovered':
+      return 'Not covered';
+    default:
+      return `${formatPercent(costSharing.rate)} coinsurance`;
+  }
+}
+
+/**
+ * Spread a deductible payment across charge lines in order and price what is left
+ * of each line with that line's own cost-sharing rule
+ * Records deductibleApplied and afterDeductible on every line
+ * @param {Array} charges - Deductible applicable charge lines
+ * @param {number} deductiblePaid - Portion of the charges paid as deductible
+ * @returns {Object} Coinsurance owed with its calculation, and copays owed
+ */
+export function priceChargesAfterDeductible(charges, deductiblePaid) {
+  let deductibleRemaining = deductiblePaid;
+  let coinsurance = 0;
+  let copays = 0;
+  const coinsuranceCalcs = [];
+
+  charges.forEach(charge => {
+    const appliedToDeductible = Math.min(charge.cost, deductibleRemaining);
+    deductibleRemaining -= appliedToDeductible;
+    const remaining = charge.cost - appliedToDeductible;
+    charge.deductibleApplied = appliedToDeductible;
+
+    if (charge.costSharing.type === 'copayAfterDeductible') {
+      const unitsRemaining = charge.unitCost > 0 ? remaining / charge.unitCost : 0;
+      charge.afterDeductible = Math.min(remaining, unitsRemaining * charge.costSharing.copay);
+      copays += charge.afterDeductible;
+    } else {
+      const unitsRemaining = charge.unitCost > 0 ? remaining / charge.unitCost : 0;
+      charge.afterDeductible = unitsRemaining * coinsurancePerUnit(charge.costSharing, charge.unitCost);
+      coinsurance += charge.afterDeductible;
+      if (remaining > 0) {
+        coinsuranceCalcs.push(`(${formatCurrency(remaining)} ${charge.name} × ${charge.costSharingLabel})`);
+      }
+    }
+  });
+
+  return { coinsurance, coinsuranceCalc: coinsuranceCalcs.join(' + ') || formatCurrency(0), copays };
+}
+
+/**
+ * Explain how a plan's family deductible and MOOP accumulate
+ * @param {string} mode - 'embedded', 'aggregate' or 'aggregateDeductible'
+ * @param {boolean} isFamilyPlan - Whether more than one person is covered
+ * @param {Object} limits - Individual and family deductible and MOOP limits
+ * @returns {string} Explanation for the breakdown
+ */
+function describeFamilyAccumulation(mode, isFamilyPlan, limits) {
+  const { individualDeductibleLimit, familyDeductibleLimit, individualMOOPLimit, familyMOOPLimit } = limits;
+  if (!isFamilyPlan) {
+    return `Single coverage: benefits start after the ${formatCurrency(individualDeductibleLimit)} deductible and costs stop at the ${formatCurrency(individualMOOPLimit)} MOOP.`;
+  }
+
+  switch (mode) {
+    case 'aggregate':
+      return `Aggregate (non-embedded): no one gets benefits until the family has paid ${formatCurrency(familyDeductibleLimit)} combined towards the deductible, and costs only stop once the family reaches the ${formatCurrency(familyMOOPLimit)} MOOP.`;
+    case 'aggregateDeductible':
+      return `Aggregate deductible with embedded MOOP: no one gets benefits until the family has paid ${formatCurrency(familyDeductibleLimit)} combined towards the deductible, but each person's costs stop at ${formatCurrency(individualMOOPLimit)} and the family's at ${formatCurrency(familyMOOPLimit)}.`;
+    default:
+      return `Embedded: each person gets benefits after paying ${formatCurrency(individualDeductibleLimit)} towards the deductible, or once the family has paid ${formatCurrency(familyDeductibleLimit)} combined. Each person's costs stop at ${formatCurrency(individualMOOPLimit)} and the family's at ${formatCurrency(familyMOOPLimit)}.`;
+  }
+}
+
+/**
+ * Pick the coverage tier for the people enrolled in a plan
+ * The plan's employee (or the subscriber, or else the first person) holds the coverage;
+ * a partner and any dependents on top of them move the plan up a tier.
+ * @param {Array} people - Enrolled people
+ * @param {number|null} employeeId - Person the plan is offered through, if any
+ * @returns {string} Premium tier key
+ */
+export function getCoverageTier(people, employeeId = null) {
+  const relationships = people.map(getPersonRelationship);
+  const employeeById = people.findIndex(person => person.id === employeeId);
+  const employeeIndex = employeeById >= 0 ? employeeById : Math.max(relationships.indexOf('subscriber'), 0);
+  const others = relationships.filter((_, index) => index !== employeeIndex);
+  // On a spouse's employer plan the subscriber is the partner
+  const hasSpouse = others.includes('spouse') || others.includes('subscriber');
+  const hasChildren = others.includes('dependent');
+
+  if (hasSpouse && hasChildren) return 'family';
+  if (hasSpouse) return 'employeeSpouse';
+  if (hasChildren) return 'employeeChildren';
+  return 'employee';
+}
+
+// Age-rated plans charge at most this many children under 21 per family (ACA)
+const MAX_CHARGED_CHILDREN = 3;
+
+/**
+ * Price each member of an age-rated plan
+ * Members pay the age-21 rate times the federal age factor for their age, plus the
+ * tobacco surcharge. Only the three oldest children under 21 are charged.
+ * @param {Object} plan - The insurance plan
+ * @param {Array} people - Enrolled people
+ * @param {number} planYear - Plan year ages are taken in
+ * @returns {Array} Per-member age, factor and pay-period premium
+ */
+function getAgeRatedPremiums(plan, people, planYear) {
+  const members = people.map(person => {
+    const age = getPersonAge(person, planYear);
+    // Without a birth date the member is priced at the age-21 base rate
+    const factor = federalAgeCurve[Math.min(age ?? 21, federalAgeCurve.length - 1)];
+    const surcharge = person.tobacco ? (plan.tobaccoSurcharge || 0) : 0;
+    return {
+      personId: person.id,
+      name: person.name,
+      age,
+      factor,
+      tobacco: !!person.tobacco,
+      premium: (plan.premium || 0) * factor * (1 + surcharge),
+      charged: true
+    };
+  });
+
+  members
+    .filter(member => member.age !== null && member.age < 21)
+    .sort((a, b) => b.age - a.age)
+    .slice(MAX_CHARGED_CHILDREN)
+    .forEach(member => {
+      member.charged = false;
+      member.premium = 0;
+    });
+
+  return members;
+}
+
+/**
+ * Annualize a plan's premium for the people enrolled in it
+ * @param {Object} plan - The insurance plan
+ * @param {Array} people - Enrolled people
+ * @param {number} planYear - Plan year ages are taken in
+ * @returns {Object} Rating method, tier, pay-period premium and annual premium
+ */
+export function getPlanPremium(plan, people, planYear = defaultCostSettings.planYear) {
+  // Plans saved before age rating only had a tiered on/off switch
+  const rating = plan.premiumRating || (plan.premiumTiered ? 'tiered' : 'flat');
+  const tier = getCoverageTier(people, plan.employeeId ?? null);
+  const frequency = payPeriodFrequencies.find(f => f.key === plan.premiumFrequency) || payPeriodFrequencies.find(f => f.key === 'monthly');
+  const members = rating === 'ageRated' ? getAgeRatedPremiums(plan, people, planYear) : [];
+
+  let periodPremium = plan.premium || 0;
+  if (rating === 'tiered') periodPremium = plan.premiumTiers?.[tier] || 0;
+  if (rating === 'ageRated') periodPremium = members.reduce((sum, member) => sum + member.premium, 0);
+  const grossAnnualPremium = periodPremium * frequency.periodsPerYear;
+
+  // A marketplace premium tax credit (set by applyMarketplaceSubsidy) can't exceed the premium
+  const premiumTaxCredit = Math.min(plan.premiumTaxCredit || 0, grossAnnualPremium);
+  const annualPremium = grossAnnualPremium - premiumTaxCredit;
+
+  return {
+    rating,
+    tier,
+    tierLabel: premiumTiers.find(t => t.key === tier).label,
+    tiered: rating === 'tiered',
+    members,
+    frequency: frequency.key,
+    frequencyLabel: frequency.label,
+    periodPremium,
+    periodsPerYear: frequency.periodsPerYear,
+    grossAnnualPremium,
+    premiumTaxCredit,
+    annualPremium,
+    monthlyPremium: annualPremium / 12
+  };
+}
+
+/**
+ * List enrollment problems caused by the people's ages and relationships
+ * @param {Array} people - Enrolled people
+ * @param {number} planYear - Plan year ages are taken in
+ * @returns {Array} Warning messages
+ */
+function getEligibilityWarnings(people, planYear) {
+  const warnings = [];
+  people.forEach((person, index) => {
+    if (isAgedOutDependent(person, index, planYear)) {
+      warnings.push(`${person.name} is ${getPersonAge(person, planYear)} in ${planYear} and too old to be covered as a dependent`);
+    }
+  });
+  return warnings;
+}
+
+/**
+ * Resolve a plan's deductible and MOOP limits for the people it covers
+ * @param {Object} plan - The insurance plan
+ * @param {boolean} isFamilyPlan - Whether more than one person is covered
+ * @returns {Object} Individual and family limits, plus the limits each person accumulates towards
+ */
+export function getPlanLimits(plan, isFamilyPlan) {
+  // Determine which limits to use, ensuring they are numbers
+  const individualDeductibleLimit = plan.medicalDeductible?.person || 0;
+  const familyDeductibleLimit = isFamilyPlan ? (plan.medicalDeductible?.family || individualDeductibleLimit) : individualDeductibleLimit;
+  const individualMOOPLimit = plan.outOfPocketMax?.person || 0;
+  const familyMOOPLimit = isFamilyPlan ? (plan.outOfPocketMax?.family || individualMOOPLimit) : individualMOOPLimit;
+  const individualRxDeductibleLimit = plan.rxDeductible?.person || 0;
+  const familyRxDeductibleLimit = isFamilyPlan ? (plan.rxDeductible?.family || individualRxDeductibleLimit) : individualRxDeductibleLimit;
+
+  // Plans without their own Rx deductible run drug charges through the medical deductible
+  const hasSeparateRxDeductible = individualRxDeductibleLimit > 0;
+
+  // Embedded limits stop each person at their individual amount; aggregate limits only
+  // stop once the whole family has reached the family amount
+  const familyAccumulation = plan.familyAccumulation || 'embedded';
+  const deductibleEmbedded = familyAccumulation === 'embedded';
+  const moopEmbedded = familyAccumulation !== 'aggregate';
+  const personDeductibleLimit = isFamilyPlan && !deductibleEmbedded ? familyDeductibleLimit : individualDeductibleLimit;
+  const personRxDeductibleLimit = isFamilyPlan && !deductibleEmbedded ? familyRxDeductibleLimit : individualRxDeductibleLimit;
+
+  // Out-of-network care accumulates towards its own deductible and MOOP the same way
+  const network = mergeOutOfNetwork(plan.outOfNetwork);
+  const outOfNetworkDeductibleLimit = network.deductible.person || 0;
+  const outOfNetworkFamilyDeductibleLimit = isFamilyPlan ? (network.deductible.family || outOfNetworkDeductibleLimit) : outOfNetworkDeductibleLimit;
+  const outOfNetworkMOOPLimit = network.outOfPocketMax.person || 0;
+  const outOfNetworkFamilyMOOPLimit = isFamilyPlan ? (network.outOfPocketMax.family || outOfNetworkMOOPLimit) : outOfNetworkMOOPLimit;
+
+  return {
+    individualDeductibleLimit,
+    familyDeductibleLimit,
+    individualMOOPLimit,
+    familyMOOPLimit,
+    individualRxDeductibleLimit,
+    familyRxDeductibleLimit,
+    hasSeparateRxDeductible,
+    familyAccumulation,
+    deductibleEmbedded,
+    moopEmbedded,
+    personDeductibleLimit,
+    personRxDeductibleLimit,
+    outOfNetwork: {
+      covered: network.covered !== false,
+      coinsurance: network.coinsurance || 0,
+      balanceBilling: network.balanceBilling || 0,
+      individualDeductibleLimit: outOfNetworkDeductibleLimit,
+      familyDeductibleLimit: outOfNetworkFamilyDeductibleLimit,
+      // 0 means the plan has no out-of-network MOOP
+      individualMOOPLimit: outOfNetworkMOOPLimit,
+      familyMOOPLimit: outOfNetworkFamilyMOOPLimit,
+      personDeductibleLimit: isFamilyPlan && !deductibleEmbedded ? outOfNetworkFamilyDeductibleLimit : outOfNetworkDeductibleLimit
+    }
+  };
+}
+
+/**
+ * Cap an amount at an out-of-network MOOP, where 0 means there is no limit
+ * @param {number} amount - Amount paid
+ * @param {number} limit - MOOP limit
+ * @returns {number} Amount after the cap
+ */
+export function capAtOutOfNetworkMOOP(amount, limit) {
+  return limit > 0 ? Math.min(amount, limit) : amount;
+}
+
+/**
+ * Gather every charge line for one person, routed to the bucket its cost sharing calls for
+ * Each line records its units, unit cost and cost-sharing rule so it can be priced in total
+ * or claim by claim
+ * @param {Object} plan - The insurance plan
+ * @param {Object} person - Person with visits, planned events and medications
  * @param {Object} costSettings - Settings for typical costs of services
- * @returns {Object} Detailed breakdown of all costs
+ * @returns {Object} Charge lines by bucket: exempt, deductible, rxDeductible, outOfNetwork,
+ *   balanceBilling, notCovered
  */
+export function gatherPersonCharges(plan, person, costSettings = null) {
+  const costs = { ...defaultCostSettings, ...costSettings };
+  const hasSeparateRxDeductible = (plan.rxDeductible?.person || 0) > 0;
+  const waivedRxTiers = (plan.rxDeductibleWaived || []).map(Number);
+  const network = mergeOutOfNetwork(plan.outOfNetwork);
+
+  // A linked provider's network status for this plan (set by applyProviderNetworks)
+  // wins over the OON flag entered on the person
+  const isOutOfNetwork = (providerId, flagged) => {
+      const status = providerId != null ? plan.providerNetworks?.[providerId] : undefined;
+      return status ? status === 'outOfNetwork' : !!flagged;
+  };
+
+  const chargeDetails = {
+    exempt: [],
+    deductible: [],
+    rxDeductible: [],
+    outOfNetwork: [],
+    balanceBilling: [],
+    notCovered: []
+  };
+  const { exempt, notCovered } = chargeDetails;
+
+  // Route one charge to the bucket its cost-sharing rule calls for: flat copays (and
+  // anything with the deductible waived) are owed outright, not covered charges are paid
+  // in full outside the MOOP, and everything else goes through the deductible first.
+  // Out-of-network care pays the out-of-network coinsurance after its own deductible,
+  // plus whatever the provider bills above the allowed amount.
+  const addCharge = ({ name, serviceKey, medicationId, group = null, units, unit, unitCost, costSharing, deductibleCharges, deductibleWaived = false, outOfNetwork = false, notes = {} }) => {
+      if (outOfNetwork && inNetworkEmergencyServices.includes(serviceKey)) {
+          outOfNetwork = false;
+          notes = { ...notes, exempt: ' (emergency, in-network cost sharing)', deductible: ' (emergency, in-network cost sharing)' };
+      }
+
+      const covered = costSharing.type !== 'notCovered' && (!outOfNetwork || network.covered !== false);
+      let sharing = deductibleWaived && costSharing.type === 'copayAfterDeductible'
+        ? { type: 'copay', copay: costSharing.copay }
+        : costSharing;
+      if (!covered) sharing = { type: 'notCovered' };
+      else if (outOfNetwork) sharing = { type: 'coinsurance', rate: network.coinsurance || 0 };
+      const line = { name, serviceKey, medicationId, group, units, unit, unitCost, outOfNetwork, costSharing: sharing, costSharingLabel: describeCostSharing(sharing, unit) };
+
+      if (outOfNetwork && network.balanceBilling > 0) {
+          const billedAbove = unitCost * network.balanceBilling;
+          chargeDetails.balanceBilling.push({ ...line, path: 'balanceBilling', calculation: `${units} ${unit}(s) × ${formatCurrency(billedAbove)}/${unit} billed above the allowed amount`, cost: units * billedAbove });
+      }
+
+      if (sharing.type === 'notCovered') {
+          const note = outOfNetwork && costSharing.type !== 'notCovered' ? ' (out of network)' : notes.notCovered || '';
+          notCovered.push({ ...line, path: 'notCovered', calculation: `${units} ${unit}(s) × ${formatCurrency(unitCost)}/${unit}${note}`, cost: units * unitCost });
+      } else if (outOfNetwork) {
+          chargeDetails.outOfNetwork.push({ ...line, path: 'outOfNetwork', calculation: `${units} ${unit}(s) × ${formatCurrency(unitCost)}/${unit} (out of network)`, cost: units * unitCost });
+      } else if (sharing.type === 'copay') {
+          exempt.push({ ...line, path: 'exempt', calculation: `${units} ${unit}(s) × ${formatCurrency(sharing.copay)}/${unit}${notes.exempt || ''}`, cost: units * sharing.copay });
+      } else if (deductibleWaived) {
+          exempt.push({ ...line, path: 'exempt', calculation: `${units} ${unit}(s) × ${formatCurrency(unitCost)}/${unit} × ${line.costSharingLabel}${notes.exempt || ''}`, cost: units * coinsurancePerUnit(sharing, unitCost) });
+      } else {
+          deductibleCharges.push({ ...line, path: 'deductible', calculation: `${units} ${unit}(s) × ${formatCurrency(unitCost)}/${unit}${notes.deductible || ''}`, cost: units * unitCost });
+      }
+  };
+
+  // 1. Office visits and outpatient services
+  Object.keys(defaultPerson.visits).forEach(type => {
+      const visits = person.visits?.[type] || 0;
+      if (visits > 0) {
+          addCharge({
+            name: formatVisitType(type),
+            serviceKey: type,
+            units: visits,
+            unit: 'visit',
+            unitCost: costs[type] || 0,
+            costSharing: resolveCostSharing(plan, 'copays', type, LEGACY_COPAY_SERVICES.includes(type) ? 'copay' : null),
+            deductibleCharges: chargeDetails.deductible,
+            outOfNetwork: isOutOfNetwork(person.providers?.[type], person.outOfNetwork?.[type])
+          });
+      }
+  });
+
+  // 2. Planned events (hospital stays, surgery, childbirth, ...) use the plan's coinsurance table.
+  // Pediatric benefits are not covered once a person is too old for them.
+  const events = person.events || {};
+  const pediatric = isPediatric(person, costs.planYear);
+  Object.entries(plannedEventUnits).forEach(([type, unit]) => {
+      const count = events[type] || 0;
+      if (count > 0) {
+          addCharge({
+            name: formatVisitType(type),
+            serviceKey: type,
+            group: PEDIATRIC_EVENTS.includes(type) ? 'pediatric' : null,
+            units: count,
+            unit,
+            unitCost: costs[type] || 0,
+            costSharing: PEDIATRIC_EVENTS.includes(type) && !pediatric ? { type: 'notCovered' } : resolveCostSharing(plan, 'coinsurance', type),
+            deductibleCharges: chargeDetails.deductible,
+            outOfNetwork: isOutOfNetwork(person.providers?.[type], person.outOfNetwork?.[type]),
+            notes: { notCovered: PEDIATRIC_EVENTS.includes(type) && !pediatric ? ` (pediatric benefit, ends at ${pediatricAgeLimit})` : '' }
+          });
+      }
+  });
+
+  // 3. Pediatric dental checkups and eye exams use the plan's children's benefits.
+  // Amounts without a declared type are read as copays unless they look like a rate.
+  Object.entries(pediatricServiceUnits).forEach(([type, unit]) => {
+      const count = person.pediatric?.[type] || 0;
+      if (count > 0) {
+          const amount = plan[type] || 0;
+          addCharge({
+            name: formatVisitType(type),
+            serviceKey: type,
+            group: 'pediatric',
+            units: count,
+            unit,
+            unitCost: costs[type] || 0,
+            costSharing: pediatric ? resolveCostSharing(plan, 'pediatric', type, amount > 0 && amount <= 1 ? 'coinsurance' : 'copay') : { type: 'notCovered' },
+            deductibleCharges: chargeDetails.deductible,
+            outOfNetwork: isOutOfNetwork(person.providers?.[type], person.outOfNetwork?.[type]),
+            notes: { notCovered: pediatric ? '' : ` (pediatric benefit, ends at ${pediatricAgeLimit})` }
+          });
+      }
+  });
+
+  // 4. Price medications. Waived tiers pay the tier copay or coinsurance from the
+  // first fill; every other tier pays the drug price until the deductible is met.
+  // Plans with a formulary take the tier (and any negotiated price) from it, and do not
+  // cover drugs it does not list. A refill costs the formulary price, then the price
+  // entered on the medication, then the tier's list price from the cost settings.
+  // 90-day supplies are priced per fill at 3 refills' worth (or the mail-order price
+  // entered) and pay the plan's copay multiplier for the supply.
+  const rxCharges = hasSeparateRxDeductible ? chargeDetails.rxDeductible : chargeDetails.deductible;
+  const formulary = hasFormulary(plan) ? plan.formulary : null;
+  person.medications.forEach(med => {
+      const entry = formulary ? findFormularyEntry(formulary, med) : null;
+      const tier = entry ? entry.tier : Number(med.tier);
+      const customCost = parseFloat(med.customCost) || null;
+      const price = entry?.price || customCost;
+      const refillCost = price || costs['tier' + tier] || 0;
+      const refills = med.refillsPerYear || 12;
+      const supply = getMedicationSupply(med);
+      const fillCost = supply.key === 'mail90' && parseFloat(med.mailOrderCost) || refillCost * supply.refills;
+      const deductibleWaived = waivedRxTiers.includes(tier);
+      const restrictions = entry ? [entry.priorAuth && 'prior auth', entry.quantityLimit && 'quantity limit'].filter(Boolean) : [];
+      const restrictionNote = restrictions.length > 0 ? ` (${restrictions.join(', ')})` : '';
+      const drugName = med.name || med.code;
+      addCharge({
+        name: drugName ? (entry ? `${drugName} (Tier ${tier})` : drugName) : (price ? `Tier ${tier} Rx` : `Tier ${tier} Rx (est.)`),
+        serviceKey: 'tier' + tier,
+        medicationId: med.id,
+        units: refills / supply.refills,
+        unit: supply.refills > 1 ? (supply.key === 'mail90' ? '90-day mail fill' : '90-day fill') : 'refill',
+        unitCost: fillCost,
+        costSharing: formulary && !entry
+          ? { type: 'notCovered' }
+          : scaleCostSharing(resolveCostSharing(plan, 'rxCopays', 'tier' + tier), getSupplyCopayMultiplier(plan, supply.key)),
+        deductibleCharges: rxCharges,
+        deductibleWaived,
+        outOfNetwork: isOutOfNetwork(med.providerId, med.outOfNetwork),
+        notes: {
+          exempt: (deductibleWaived ? ' (Rx deductible waived)' : '') + restrictionNote,
+          deductible: ' (deductible first)' + restrictionNote,
+          notCovered: formulary && !entry ? ' (not on the plan formulary)' : ' (not covered)'
+        }
+      });
+  });
+
+  return chargeDetails;
+}
+
+/**
+ * Apply a plan's HSA, HRA and FSA to the family's costs for the year
+ * HRA money pays eligible costs first and anything left stays with the employer. HSA money
+ * belongs to the family, so employer deposits count in full whether spent or not. Employee
+ * HSA and FSA contributions are pre-tax; FSA money left after the carryover is forfeited.
+ * @param {Object} plan - The insurance plan
+ * @param {Object} totals - grandTotal, finalFamilyOOP, deductible paid and not covered paid
+ * @param {number} taxRate - Marginal tax rate saved on pre-tax contributions
+ * @returns {Object} Account amounts used, tax savings and the effective net cost
+ */
+function applySpendingAccounts(plan, totals, taxRate) {
+  const { grandTotal, finalFamilyOOP, deductiblePaid, notCoveredPaid } = totals;
+  const hsa = plan.accounts?.hsa || {};
+  const hra = plan.accounts?.hra || {};
+  const fsa = plan.accounts?.fsa || {};
+
+  const hsaEmployer = hsa.employer || 0;
+  const hsaEmployee = hsa.employee || 0;
+  const hraAvailable = hra.employer || 0;
+  const hraCovers = hra.covers || 'deductible';
+  const fsaElection = fsa.employee || 0;
+  const fsaCarryoverLimit = fsa.carryover || 0;
+
+  // HRAs reimburse the plan's cost sharing, not services the plan does not cover
+  const coveredCostSharing = Math.max(0, finalFamilyOOP - notCoveredPaid);
+  const hraEligible = hraCovers === 'all' ? coveredCostSharing : Math.min(deductiblePaid, coveredCostSharing);
+  const hraUsed = Math.min(hraAvailable, hraEligible);
+
+  const fsaUsed = Math.min(fsaElection, finalFamilyOOP - hraUsed);
+  const fsaUnused = fsaElection - fsaUsed;
+  const fsaCarryover = Math.min(fsaUnused, fsaCarryoverLimit);
+  const fsaForfeited = fsaUnused - fsaCarryover;
+
+  const taxSavings = (hsaEmployee + fsaElection) * taxRate;
+  const effectiveNetCost = grandTotal - hraUsed - hsaEmployer - taxSavings + fsaForfeited;
+
+  return {
+    hasAccounts: hsaEmployer + hsaEmployee + hraAvailable + fsaElection > 0,
+    taxRate,
+    hsaEmployer,
+    hsaEmployee,
+    hraAvailable,
+    hraCovers,
+    hraEligible,
+    hraUsed,
+    fsaElection,
+    fsaUsed,
+    fsaCarryover,
+    fsaForfeited,
+    taxSavings,
+    calculations: {
+      hraUsed: `min(${formatCurrency(hraAvailable)} HRA, ${formatCurrency(hraEligible)} ${hraCovers === 'all' ? 'covered out-of-pocket costs' : 'paid towards the deductible'}) = ${formatCurrency(hraUsed)}`,
+      fsaUsed: `min(${formatCurrency(fsaElection)} FSA, ${formatCurrency(finalFamilyOOP - hraUsed)} left after HRA) = ${formatCurrency(fsaUsed)}`,
+      fsaForfeited: `${formatCurrency(fsaUnused)} unused - ${formatCurrency(fsaCarryover)} carried over = ${formatCurrency(fsaForfeited)}`,
+      taxSavings: `(${formatCurrency(hsaEmployee)} HSA + ${formatCurrency(fsaElection)} FSA) × ${formatPercent(taxRate)} = ${formatCurrency(taxSavings)}`,
+      effectiveNetCost: `${formatCurrency(grandTotal)} - ${formatCurrency(hraUsed)} HRA - ${formatCurrency(hsaEmployer)} employer HSA - ${formatCurrency(taxSavings)} tax savings + ${formatCurrency(fsaForfeited)} FSA forfeited = ${formatCurrency(effectiveNetCost)}`
+    },
+    effectiveNetCost
+  };
+}
+
 /**
  * Get detailed cost breakdown with per-person calculations
  * @param {Object} plan - The insurance plan
@@ -41,26 +631,36 @@ export function calculatePlanCost(plan, people, costSettings = null) {
  * @returns {Object} Detailed breakdown of all costs
  */
 export function getDetailedCostBreakdown(plan, people, costSettings = null) {
-  const costs = costSettings || {
-    emergencyRoom: 1500,
-    diagnosticTest: 300,
-    imaging: 200,
-    rehabilitationOutpatient: 150,
-    habilitationOutpatient: 150,
-  };
+  // Fall back to defaults for any cost saved before that setting existed
+  const costs = { ...defaultCostSettings, ...costSettings };
 
-  const annualPremium = (plan.premium || 0) * 12;
+  const premium = getPlanPremium(plan, people, costs.planYear);
+  const annualPremium = premium.annualPremium;
 
-  // Determine which limits to use, ensuring they are numbers
   const isFamilyPlan = people.length > 1;
-  const individualDeductibleLimit = plan.medicalDeductible?.person || 0;
-  const familyDeductibleLimit = isFamilyPlan ? (plan.medicalDeductible?.family || individualDeductibleLimit) : individualDeductibleLimit;
-  const individualMOOPLimit = plan.outOfPocketMax?.person || 0;
-  const familyMOOPLimit = isFamilyPlan ? (plan.outOfPocketMax?.family || individualMOOPLimit) : individualMOOPLimit;
+  const {
+    individualDeductibleLimit,
+    familyDeductibleLimit,
+    individualMOOPLimit,
+    familyMOOPLimit,
+    individualRxDeductibleLimit,
+    familyRxDeductibleLimit,
+    hasSeparateRxDeductible,
+    familyAccumulation,
+    moopEmbedded,
+    personDeductibleLimit,
+    personRxDeductibleLimit,
+    outOfNetwork: outOfNetworkLimits
+  } = getPlanLimits(plan, isFamilyPlan);
 
   let familyDeductiblePaid = 0;
+  let familyRxDeductiblePaid = 0;
   let familyOOPPaid = 0;
-  let coinsuranceRate = 0; // Simplified
+  let familyNotCoveredPaid = 0;
+  let familyPediatricPaid = 0;
+  let familyOutOfNetworkDeductiblePaid = 0;
+  let familyOutOfNetworkPaid = 0;
+  let familyBalanceBillingPaid = 0;
 
   const personBreakdowns = [];
 
@@ -72,100 +672,45 @@ export function getDetailedCostBreakdown(plan, people, costSettings = null) {
       totalCharges: 0,
       deductiblePaid: 0,
       coinsurancePaid: 0,
+      rxDeductiblePaid: 0,
+      rxCoinsurancePaid: 0,
+      postDeductibleCopays: 0,
+      notCoveredPaid: 0,
+      pediatricPaid: 0,
+      outOfNetworkDeductiblePaid: 0,
+      outOfNetworkCoinsurancePaid: 0,
+      outOfNetworkOOP: 0,
+      balanceBillingPaid: 0,
       totalOOP: 0,
       note: null,
       calculations: {},
-      chargeDetails: {
-        exempt: [],
-        deductible: []
-      }
-    };
-
-    // 1. Gather Exempt Copays (services that don't count towards deductible)
-    const exemptServices = {
-        primaryCare: { visits: person.visits.primaryCare, copay: plan.copays?.primaryCare || 0 },
-        specialist: { visits: person.visits.specialist, copay: plan.copays?.specialist || 0 },
-        urgentCare: { visits: person.visits.urgentCare, copay: plan.copays?.urgentCare || 0 },
-        mentalHealth: { visits: person.visits.mentalHealth, copay: plan.copays?.mentalHealth || 0 },
+      chargeDetails: gatherPersonCharges(plan, person, costs)
     };
-    Object.entries(exemptServices).forEach(([type, data]) => {
-        if (data.visits > 0) {
-            const cost = data.visits * data.copay;
-            personBreakdown.chargeDetails.exempt.push({
-              name: formatVisitType(type),
-              calculation: `${data.visits} visit(s) × ${formatCurrency(data.copay)}/visit`,
-              cost: cost
-            });
-        }
-    });
-    person.medications.forEach(med => {
-        const refills = med.refillsPerYear || 12;
-        if (!med.customCost) {
-            const rxCopay = plan.rxCopays ? (plan.rxCopays['tier' + med.tier] || 0) : 0;
-            if (rxCopay > 1) { // Treat as a flat copay
-                const cost = rxCopay * refills;
-                personBreakdown.chargeDetails.exempt.push({
-                  name: med.name || `Tier ${med.tier} Rx`,
-                  calculation: `${refills} refill(s) × ${formatCurrency(rxCopay)}/refill`,
-                  cost: cost
-                });
-            }
-        }
-    });
 
-    // 2. Gather Deductible Applicable Charges
-    const deductibleServices = [
-      { type: 'emergencyRoom', visits: person.visits.emergencyRoom, cost: costs.emergencyRoom, planRate: plan.copays?.emergencyRoom || 0 },
-      { type: 'diagnosticTest', visits: person.visits.diagnosticTest, cost: costs.diagnosticTest, planRate: plan.copays?.diagnosticTest || 0 },
-      { type: 'imaging', visits: person.visits.imaging, cost: costs.imaging, planRate: plan.copays?.imaging || 0 },
-      { type: 'rehabilitationOutpatient', visits: person.visits.rehabilitationOutpatient, cost: costs.rehabilitationOutpatient, planRate: plan.copays?.rehabilitationOutpatient || 0 },
-      { type: 'habilitationOutpatient', visits: person.visits.habilitationOutpatient, cost: costs.habilitationOutpatient, planRate: plan.copays?.habilitationOutpatient || 0 },
-    ];
-    deductibleServices.forEach(service => {
-        if (service.visits > 0) {
-            const charge = service.visits * service.cost;
-            personBreakdown.chargeDetails.deductible.push({
-              name: formatVisitType(service.type),
-              calculation: `${service.visits} visit(s) × ${formatCurrency(service.cost)}/visit`,
-              cost: charge
-            });
-            if (service.planRate > 0 && service.planRate < 1) coinsuranceRate = service.planRate;
-        }
-    });
-    person.medications.forEach(med => {
-        const refills = med.refillsPerYear || 12;
-        const customCost = parseFloat(med.customCost) || null;
-        if (customCost) {
-            const charge = customCost * refills;
-            personBreakdown.chargeDetails.deductible.push({
-              name: med.name || `Tier ${med.tier} Rx`,
-              calculation: `${refills} refill(s) × ${formatCurrency(customCost)}/refill`,
-              cost: charge
-            });
-        } else {
-            const rxCopay = plan.rxCopays ? (plan.rxCopays['tier' + med.tier] || 0) : 0;
-            if (rxCopay <= 1 && rxCopay > 0) { // Treat as coinsurance
-                const estimatedDrugCost = 100; // Simplified assumption
-                const charge = estimatedDrugCost * refills;
-                personBreakdown.chargeDetails.deductible.push({
-                  name: med.name || `Tier ${med.tier} Rx (est.)`,
-                  calculation: `${refills} refill(s) × ${formatCurrency(estimatedDrugCost)}/refill`,
-                  cost: charge
-                });
-                if (coinsuranceRate === 0) coinsuranceRate = rxCopay;
-            }
-        }
-    });
-    
     const totalExemptCopays = personBreakdown.chargeDetails.exempt.reduce((sum, item) => sum + item.cost, 0);
+    const totalNotCoveredCharges = personBreakdown.chargeDetails.notCovered.reduce((sum, item) => sum + item.cost, 0);
     const deductibleChargesCalc = personBreakdown.chargeDetails.deductible.map(c => formatCurrency(c.cost)).join(' + ') || formatCurrency(0);
     const totalDeductibleApplicableCharges = personBreakdown.chargeDetails.deductible.reduce((sum, item) => sum + item.cost, 0);
+    const rxDeductibleChargesCalc = personBreakdown.chargeDetails.rxDeductible.map(c => formatCurrency(c.cost)).join(' + ') || formatCurrency(0);
+    const totalRxDeductibleApplicableCharges = personBreakdown.chargeDetails.rxDeductible.reduce((sum, item) => sum + item.cost, 0);
+    const outOfNetworkChargesCalc = personBreakdown.chargeDetails.outOfNetwork.map(c => formatCurrency(c.cost)).join(' + ') || formatCurrency(0);
+    const totalOutOfNetworkCharges = personBreakdown.chargeDetails.outOfNetwork.reduce((sum, item) => sum + item.cost, 0);
+    const totalBalanceBilling = personBreakdown.chargeDetails.balanceBilling.reduce((sum, item) => sum + item.cost, 0);
 
-    personBreakdown.totalCharges = totalExemptCopays + totalDeductibleApplicableCharges;
+    personBreakdown.totalCharges = totalExemptCopays + totalDeductibleApplicableCharges + totalRxDeductibleApplicableCharges + totalOutOfNetworkCharges + totalBalanceBilling + totalNotCoveredCharges;
     personBreakdown.calculations.totalCharges = `${formatCurrency(totalExemptCopays)} (copays) + ${formatCurrency(totalDeductibleApplicableCharges)} (charges)`;
+    if (hasSeparateRxDeductible) {
+      personBreakdown.calculations.totalCharges += ` + ${formatCurrency(totalRxDeductibleApplicableCharges)} (Rx charges)`;
+    }
+    if (totalOutOfNetworkCharges + totalBalanceBilling > 0) {
+      personBreakdown.calculations.totalCharges += ` + ${formatCurrency(totalOutOfNetworkCharges)} (out-of-network charges) + ${formatCurrency(totalBalanceBilling)} (balance billing)`;
+    }
+    if (totalNotCoveredCharges > 0) {
+      personBreakdown.calculations.totalCharges += ` + ${formatCurrency(totalNotCoveredCharges)} (not covered)`;
+    }
 
     // Now, process the charges for this person
-    let personDeductibleRemaining = individualDeductibleLimit;
+    let personDeductibleRemaining = personDeductibleLimit;
     
     // Amount person pays towards their own deductible from applicable charges
     const contributionToDeductible = Math.min(totalDeductibleApplicableCharges, personDeductibleRemaining);
@@ -177,48 +722,176 @@ export function getDetailedCostBreakdown(plan, people, costSettings = null) {
     const familyDeductibleRemaining = Math.max(0, familyDeductibleLimit - familyDeductiblePaid);
     const effectiveDeductiblePaid = Math.min(personBreakdown.deductiblePaid, familyDeductibleRemaining);
     
-    // Amount subject to coinsurance
-    const chargesAfterDeductible = Math.max(0, totalDeductibleApplicableCharges - effectiveDeductiblePaid);
-    personBreakdown.coinsurancePaid = chargesAfterDeductible * coinsuranceRate;
-    personBreakdown.calculations.coinsurancePaid = `((${deductibleChargesCalc}) - ${formatCurrency(effectiveDeductiblePaid)} (from Deductible)) × ${coinsuranceRate * 100}%`;
+    // Price what is left of each line after the deductible with that line's own rate
+    const afterDeductible = priceChargesAfterDeductible(personBreakdown.chargeDetails.deductible, effectiveDeductiblePaid);
+    personBreakdown.coinsurancePaid = afterDeductible.coinsurance;
+    personBreakdown.calculations.coinsurancePaid = afterDeductible.coinsuranceCalc;
+
+    // Drug charges run through the separate Rx deductible the same way
+    const rxContributionToDeductible = Math.min(totalRxDeductibleApplicableCharges, personRxDeductibleLimit);
+    personBreakdown.rxDeductiblePaid = rxContributionToDeductible;
+    personBreakdown.calculations.rxDeductiblePaid = `min((${rxDeductibleChargesCalc}) (from Rx Charges), ${formatCurrency(personRxDeductibleLimit)} (Plan Rx Deductible))`;
+
+    const familyRxDeductibleRemaining = Math.max(0, familyRxDeductibleLimit - familyRxDeductiblePaid);
+    const effectiveRxDeductiblePaid = Math.min(personBreakdown.rxDeductiblePaid, familyRxDeductibleRemaining);
+
+    const rxAfterDeductible = priceChargesAfterDeductible(personBreakdown.chargeDetails.rxDeductible, effectiveRxDeductiblePaid);
+    personBreakdown.rxCoinsurancePaid = rxAfterDeductible.coinsurance;
+    personBreakdown.calculations.rxCoinsurancePaid = rxAfterDeductible.coinsuranceCalc;
+
+    personBreakdown.postDeductibleCopays = afterDeductible.copays + rxAfterDeductible.copays;
+    personBreakdown.calculations.postDeductibleCopays = `${formatCurrency(afterDeductible.copays + rxAfterDeductible.copays)} (copays on services and fills after the deductible is met)`;
 
     // Person's total OOP is sum of what they paid
-    personBreakdown.totalOOP = totalExemptCopays + effectiveDeductiblePaid + personBreakdown.coinsurancePaid;
+    personBreakdown.totalOOP = totalExemptCopays + effectiveDeductiblePaid + personBreakdown.coinsurancePaid + effectiveRxDeductiblePaid + personBreakdown.rxCoinsurancePaid + personBreakdown.postDeductibleCopays;
     personBreakdown.calculations.totalOOP = `${formatCurrency(totalExemptCopays)} (copays) + ${formatCurrency(effectiveDeductiblePaid)} (from Deductible) + ${formatCurrency(personBreakdown.coinsurancePaid)} (from Coinsurance)`;
+    if (hasSeparateRxDeductible) {
+      personBreakdown.calculations.totalOOP += ` + ${formatCurrency(effectiveRxDeductiblePaid)} (from Rx Deductible) + ${formatCurrency(personBreakdown.rxCoinsurancePaid)} (from Rx Coinsurance)`;
+    }
+    if (personBreakdown.postDeductibleCopays > 0) {
+      personBreakdown.calculations.totalOOP += ` + ${formatCurrency(personBreakdown.postDeductibleCopays)} (Copays after Deductible)`;
+    }
 
 
     // Apply individual MOOP
-    if (isFamilyPlan && personBreakdown.totalOOP > individualMOOPLimit) {
+    if (isFamilyPlan && moopEmbedded && personBreakdown.totalOOP > individualMOOPLimit) {
         personBreakdown.note = `Individual MOOP Hit`;
         personBreakdown.totalOOP = individualMOOPLimit;
     }
     
+    // Out-of-network charges run through their own deductible and MOOP, which in-network
+    // spending never counts towards (and the other way round)
+    const outOfNetworkContribution = Math.min(totalOutOfNetworkCharges, outOfNetworkLimits.personDeductibleLimit);
+    const familyOutOfNetworkDeductibleRemaining = Math.max(0, outOfNetworkLimits.familyDeductibleLimit - familyOutOfNetworkDeductiblePaid);
+    const effectiveOutOfNetworkDeductiblePaid = Math.min(outOfNetworkContribution, familyOutOfNetworkDeductibleRemaining);
+    personBreakdown.calculations.outOfNetworkDeductiblePaid = `min((${outOfNetworkChargesCalc}) (from Out-of-Network Charges), ${formatCurrency(outOfNetworkLimits.personDeductibleLimit)} (Out-of-Network Deductible))`;
+
+    const outOfNetworkAfterDeductible = priceChargesAfterDeductible(personBreakdown.chargeDetails.outOfNetwork, effectiveOutOfNetworkDeductiblePaid);
+    personBreakdown.outOfNetworkDeductiblePaid = effectiveOutOfNetworkDeductiblePaid;
+    personBreakdown.outOfNetworkCoinsurancePaid = outOfNetworkAfterDeductible.coinsurance;
+    personBreakdown.calculations.outOfNetworkCoinsurancePaid = outOfNetworkAfterDeductible.coinsuranceCalc;
+    personBreakdown.outOfNetworkOOP = effectiveOutOfNetworkDeductiblePaid + outOfNetworkAfterDeductible.coinsurance;
+
+    if (isFamilyPlan && moopEmbedded && outOfNetworkLimits.individualMOOPLimit > 0 && personBreakdown.outOfNetworkOOP > outOfNetworkLimits.individualMOOPLimit) {
+        personBreakdown.note = personBreakdown.note ? `${personBreakdown.note}, Out-of-Network MOOP Hit` : 'Out-of-Network MOOP Hit';
+        personBreakdown.outOfNetworkOOP = outOfNetworkLimits.individualMOOPLimit;
+    }
+
+    // Balance billing is paid in full and never counts towards either MOOP
+    personBreakdown.balanceBillingPaid = totalBalanceBilling;
+    personBreakdown.calculations.balanceBillingPaid = personBreakdown.chargeDetails.balanceBilling.map(c => formatCurrency(c.cost)).join(' + ') || formatCurrency(0);
+
+    // Charges the plan does not cover are paid in full and never count towards the MOOP
+    personBreakdown.notCoveredPaid = totalNotCoveredCharges;
+    personBreakdown.calculations.notCoveredPaid = personBreakdown.chargeDetails.notCovered.map(c => formatCurrency(c.cost)).join(' + ') || formatCurrency(0);
+
+    // What the person pays for pediatric dental and vision, before any MOOP cap
+    personBreakdown.pediatricPaid = ['exempt', 'deductible', 'outOfNetwork', 'balanceBilling', 'notCovered'].reduce((sum, bucket) => sum + personBreakdown.chargeDetails[bucket]
+      .filter(item => item.group === 'pediatric')
+      .reduce((bucketSum, item) => bucketSum + (bucket === 'deductible' || bucket === 'outOfNetwork' ? item.deductibleApplied + item.afterDeductible : item.cost), 0), 0);
+
     // Add this person's contribution to the family totals
     familyDeductiblePaid += effectiveDeductiblePaid;
+    familyRxDeductiblePaid += effectiveRxDeductiblePaid;
     familyOOPPaid += personBreakdown.totalOOP;
+    familyNotCoveredPaid += personBreakdown.notCoveredPaid;
+    familyPediatricPaid += personBreakdown.pediatricPaid;
+    familyOutOfNetworkDeductiblePaid += effectiveOutOfNetworkDeductiblePaid;
+    familyOutOfNetworkPaid += personBreakdown.outOfNetworkOOP;
+    familyBalanceBillingPaid += personBreakdown.balanceBillingPaid;
     
     personBreakdowns.push(personBreakdown);
   });
 
-  // Apply family MOOP to the aggregated total
-  const finalFamilyOOP = Math.min(familyOOPPaid, familyMOOPLimit);
+  // Apply each network's family MOOP to its aggregated total, then add what the plan
+  // does not cover and any balance billing
+  const outOfNetworkPaid = capAtOutOfNetworkMOOP(familyOutOfNetworkPaid, outOfNetworkLimits.familyMOOPLimit);
+  const finalFamilyOOP = Math.min(familyOOPPaid, familyMOOPLimit) + outOfNetworkPaid + familyNotCoveredPaid + familyBalanceBillingPaid;
   
   const grandTotal = annualPremium + finalFamilyOOP;
+  const accounts = applySpendingAccounts(plan, {
+    grandTotal,
+    finalFamilyOOP,
+    deductiblePaid: Math.min(familyDeductiblePaid, familyDeductibleLimit) + Math.min(familyRxDeductiblePaid, familyRxDeductibleLimit),
+    notCoveredPaid: familyNotCoveredPaid + familyBalanceBillingPaid
+  }, costs.taxRate || 0);
 
   return {
     premiumBreakdown: {
-        annualPremium,
-        monthlyPremium: plan.premium || 0,
+        ...premium,
         monthsPerYear: 12,
+        calculation: `${formatCurrency(premium.periodPremium)} ${premium.frequencyLabel.toLowerCase()} × ${premium.periodsPerYear} pay periods = ${formatCurrency(premium.grossAnnualPremium)}`
+          + (premium.premiumTaxCredit > 0 ? ` - ${formatCurrency(premium.premiumTaxCredit)} premium tax credit = ${formatCurrency(annualPremium)}` : '')
     },
     personBreakdowns,
+    eligibilityWarnings: getEligibilityWarnings(people, costs.planYear),
+    formularyWarnings: getFormularyWarnings(plan, people),
     individualDeductibleLimit,
     familyDeductibleLimit,
     individualMOOPLimit,
     familyMOOPLimit,
+    familyAccumulation,
+    familyAccumulationExplanation: describeFamilyAccumulation(familyAccumulation, isFamilyPlan, {
+      individualDeductibleLimit,
+      familyDeductibleLimit,
+      individualMOOPLimit,
+      familyMOOPLimit
+    }),
+    hasSeparateRxDeductible,
+    individualRxDeductibleLimit,
+    familyRxDeductibleLimit,
     familyDeductiblePaid: Math.min(familyDeductiblePaid, familyDeductibleLimit),
+    familyRxDeductiblePaid: Math.min(familyRxDeductiblePaid, familyRxDeductibleLimit),
     familyOOPTotal: familyOOPPaid,
+    familyNotCoveredPaid,
+    familyPediatricPaid,
+    outOfNetwork: {
+      ...outOfNetworkLimits,
+      deductiblePaid: Math.min(familyOutOfNetworkDeductiblePaid, outOfNetworkLimits.familyDeductibleLimit),
+      oopTotal: familyOutOfNetworkPaid,
+      paid: outOfNetworkPaid,
+      balanceBillingPaid: familyBalanceBillingPaid,
+      hasCharges: personBreakdowns.some(person => Object.values(person.chargeDetails).some(lines => lines.some(line => line.outOfNetwork)))
+    },
     finalFamilyOOP,
-    grandTotal
+    grandTotal,
+    accounts,
+    effectiveNetCost: accounts.effectiveNetCost
   };
-}
\ No newline at end of file
+}
+/**
+ * Compare the family's out-of-pocket cost on a plan for each way of filling one medication
+ * The family is priced once per supply with only that medication's supply changed, so
+ * the comparison includes where the fills land against the deductible and MOOP.
+ * @param {Object} plan - The insurance plan
+ * @param {Array} people - Array of people with visits and medications
+ * @param {number} personId - Person taking the medication
+ * @param {number} medId - Medication to compare
+ * @param {Object} costSettings - Settings for typical costs of services
+ * @returns {Array} Options as { key, label, outOfPocket, current, cheapest }, in supply order
+ */
+export function compareMedicationSupplies(plan, people, personId, medId, costSettings = null) {
+  const person = people.find(p => p.id === personId);
+  const med = person?.medications.find(m => m.id === medId);
+  if (!med) return [];
+
+  const currentKey = getMedicationSupply(med).key;
+  const options = medicationSupplies.map(supply => {
+    const withSupply = people.map(p => p.id !== personId ? p : {
+      ...p,
+      medications: p.medications.map(m => m.id === medId ? { ...m, supply: supply.key } : m)
+    });
+    return {
+      key: supply.key,
+      label: supply.label,
+      outOfPocket: getDetailedCostBreakdown(plan, withSupply, costSettings).finalFamilyOOP,
+      current: supply.key === currentKey
+    };
+  });
+
+  // Ties go to the supply already chosen, so no switch is suggested for nothing
+  const lowest = Math.min(...options.map(option => option.outOfPocket));
+  const isLowest = option => option.outOfPocket - lowest < 0.005;
+  const cheapest = options.find(option => option.current && isLowest(option)) || options.find(isLowest);
+  return options.map(option => ({ ...option, cheapest: option === cheapest }));
+}
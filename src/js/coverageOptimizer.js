@@ -0,0 +1,211 @@
+/**
+ * Split-Coverage Optimizer
+ * Tries every way of assigning family members to plans (or waiving coverage) and ranks
+ * the combinations by total or risk-adjusted cost
+ */
+
+import { getDetailedCostBreakdown } from './calculations.js';
+import { defaultCostSettings, defaultPerson, defaultPlan, defaultRiskSettings, getPersonRelationship, isAgedOutDependent } from './data.js';
+import { createRandom, samplePerson, percentile } from './riskAnalysis.js';
+
+// Searching more combinations than this would freeze the page
+const MAX_COMBINATIONS = 20000;
+
+// Upper bound on combination × simulated-year totals kept for risk-adjusted ranking
+const MAX_RISK_TOTALS = 2000000;
+
+// Services in each cost-sharing category; pediatric benefits are top-level plan fields,
+// so they aren't listed in defaultPlan.costSharing
+const COST_SHARING_SERVICES = {
+  ...Object.fromEntries(Object.keys(defaultPlan.costSharing).map(category => [category, Object.keys(defaultPlan[category])])),
+  pediatric: Object.keys(defaultPerson.pediatric)
+};
+
+/**
+ * Plan used to price people who waive coverage: every service and drug is paid in full
+ * Built from every cost-sharing category, since a service without an entry would be
+ * priced at a $0 copay.
+ */
+const WAIVED_PLAN = {
+  id: null,
+  name: 'Waived',
+  premium: 0,
+  costSharing: Object.fromEntries(Object.entries(COST_SHARING_SERVICES).map(([category, services]) => [
+    category,
+    Object.fromEntries(services.map(key => [key, { type: 'notCovered' }]))
+  ]))
+};
+
+/**
+ * Check whether an assignment is one a family could actually enroll in
+ * A plan offered through someone's employer can only be joined if that person is on it,
+ * and not by dependents who have aged out. Plans without an employee (e.g. marketplace
+ * plans) take any group.
+ * @param {Array} assignment - Plan index for each person, or -1 for waived
+ * @param {Array} plans - Insurance plans
+ * @param {Array} people - People being assigned
+ * @param {Array} agedOut - Whether each person is a dependent aged 26 or over
+ * @returns {boolean} Whether the assignment is allowed
+ */
+function isValidAssignment(assignment, plans, people, agedOut) {
+  return plans.every((plan, planIndex) => {
+    const employeeIndex = people.findIndex(person => person.id === plan.employeeId);
+    if (employeeIndex < 0) return true;
+    const enrolled = assignment.some(index => index === planIndex);
+    if (!enrolled) return true;
+    return assignment[employeeIndex] === planIndex && !assignment.some((index, personIndex) => index === planIndex && agedOut[personIndex]);
+  });
+}
+
+/**
+ * Enumerate every valid assignment of people to plans
+ * @param {Array} plans - Insurance plans
+ * @param {Array} people - People being assigned
+ * @param {boolean} allowWaive - Whether people may go without coverage
+ * @param {number} planYear - Plan year ages are taken in
+ * @returns {Array} Assignments as arrays of plan indexes (-1 = waived)
+ */
+function enumerateAssignments(plans, people, allowWaive, planYear) {
+  const agedOut = people.map((person, index) => isAgedOutDependent(person, index, planYear));
+  const options = plans.map((_, index) => index);
+  if (allowWaive) options.push(-1);
+
+  const count = Math.pow(options.length, people.length);
+  if (count > MAX_COMBINATIONS) {
+    throw new Error(`Too many combinations to compare (${count.toLocaleString()}). Remove some plans or people and try again.`);
+  }
+
+  const assignments = [];
+  for (let n = 0; n < count; n++) {
+    let rest = n;
+    const assignment = people.map(() => {
+      const option = options[rest % options.length];
+      rest = Math.floor(rest / options.length);
+      return option;
+    });
+    if (isValidAssignment(assignment, plans, people, agedOut)) assignments.push(assignment);
+  }
+  return assignments;
+}
+
+/**
+ * Group an assignment's people by plan
+ * @param {Array} assignment - Plan index for each person (-1 = waived)
+ * @param {number} planCount - Number of plans
+ * @returns {Array} Groups as { planIndex, personIndexes, key }, waived last
+ */
+function groupAssignment(assignment, planCount) {
+  const groups = [];
+  [...Array(planCount).keys(), -1].forEach(planIndex => {
+    const personIndexes = assignment.flatMap((index, personIndex) => index === planIndex ? [personIndex] : []);
+    if (personIndexes.length > 0) {
+      groups.push({ planIndex, personIndexes, key: `${planIndex}:${personIndexes.join(',')}` });
+    }
+  });
+  return groups;
+}
+
+/**
+ * Price one group of people on one plan
+ * @param {Object} group - Group from groupAssignment
+ * @param {Array} plans - Insurance plans
+ * @param {Array} people - People (as entered or drawn for a simulated year)
+ * @param {Object} costSettings - Settings for typical costs of services
+ * @returns {Object} The group's cost breakdown
+ */
+function priceGroup(group, plans, people, costSettings) {
+  const plan = group.planIndex >= 0 ? plans[group.planIndex] : WAIVED_PLAN;
+  return getDetailedCostBreakdown(plan, group.personIndexes.map(index => people[index]), costSettings);
+}
+
+/**
+ * Rank every way of splitting the family across plans
+ * Each group is priced with getDetailedCostBreakdown, so it gets its own deductible, MOOP
+ * and the premium tier for the people on it. People who waive pay their care in full.
+ * Risk-adjusted metrics price every combination against the same simulated years.
+ * @param {Array} plans - Insurance plans to assign people to
+ * @param {Array} people - People as entered
+ * @param {Object} costSettings - Settings for typical costs of services
+ * @param {Object} options - metric ('total', 'netTotal', 'expected' or 'p90'), allowWaive,
+ *   riskSettings and limit (number of results to return)
+ * @returns {Object} Ranked combinations, best first, with savings against the best single plan
+ */
+export function optimizeCoverage(plans, people, costSettings = null, options = {}) {
+  const { metric = 'total', allowWaive = true, riskSettings = null, limit = 25 } = options;
+  const planYear = costSettings?.planYear ?? defaultCostSettings.planYear;
+  // Groups are priced as slices of the family; settle each person's relationship from their
+  // place in the whole family first, so the position fallback never reads a place in a group
+  const family = people.map((person, index) => ({ ...person, relationship: getPersonRelationship(person, index) }));
+  const assignments = enumerateAssignments(plans, family, allowWaive, planYear);
+
+  // Many combinations share groups, so price each group once
+  const uniqueGroups = new Map();
+  const groupCosts = new Map();
+  const results = assignments.map(assignment => {
+    const groups = groupAssignment(assignment, plans.length).map(group => {
+      if (!groupCosts.has(group.key)) {
+        uniqueGroups.set(group.key, group);
+        groupCosts.set(group.key, priceGroup(group, plans, family, costSettings));
+      }
+      const breakdown = groupCosts.get(group.key);
+      const plan = group.planIndex >= 0 ? plans[group.planIndex] : WAIVED_PLAN;
+      return {
+        key: group.key,
+        planId: plan.id,
+        planName: plan.name,
+        personIds: group.personIndexes.map(index => family[index].id),
+        names: group.personIndexes.map(index => family[index].name),
+        tierLabel: group.planIndex >= 0 ? breakdown.premiumBreakdown.tierLabel : null,
+        premium: breakdown.premiumBreakdown.annualPremium,
+        total: breakdown.grandTotal,
+        netTotal: breakdown.effectiveNetCost
+      };
+    });
+
+    return {
+      groups,
+      singlePlan: groups.length === 1 && groups[0].planId !== null,
+      total: groups.reduce((sum, group) => sum + group.total, 0),
+      netTotal: groups.reduce((sum, group) => sum + group.netTotal, 0)
+    };
+  });
+
+  let iterations = null;
+  if (metric === 'expected' || metric === 'p90') {
+    const settings = { ...defaultRiskSettings, ...riskSettings };
+    iterations = Math.max(1, Math.min(Math.floor(settings.iterations) || 1, Math.floor(MAX_RISK_TOTALS / Math.max(results.length, 1))));
+    const random = createRandom(settings.seed);
+    const totals = results.map(() => []);
+
+    for (let i = 0; i < iterations; i++) {
+      const sampledPeople = family.map(person => samplePerson(person, settings, random));
+      const sampledCosts = new Map();
+      uniqueGroups.forEach((group, key) => {
+        sampledCosts.set(key, priceGroup(group, plans, sampledPeople, costSettings).grandTotal);
+      });
+      results.forEach((result, index) => {
+        totals[index].push(result.groups.reduce((sum, group) => sum + sampledCosts.get(group.key), 0));
+      });
+    }
+
+    results.forEach((result, index) => {
+      const sorted = totals[index].sort((a, b) => a - b);
+      result.expected = sorted.reduce((sum, value) => sum + value, 0) / iterations;
+      result.p90 = percentile(sorted, 0.9);
+    });
+  }
+
+  results.sort((a, b) => a[metric] - b[metric]);
+  const bestSinglePlan = results.find(result => result.singlePlan) || null;
+  results.forEach(result => {
+    result.savings = bestSinglePlan ? bestSinglePlan[metric] - result[metric] : 0;
+  });
+
+  return {
+    metric,
+    iterations,
+    combinations: results.length,
+    bestSinglePlan,
+    results: results.slice(0, limit)
+  };
+}
@@ -18,14 +18,154 @@ export const defaultPerson = {
     imaging: 0,
     rehabilitationOutpatient: 0,
     habilitationOutpatient: 0
-  }
+  },
+  events: {
+    hospitalFacility: 0,
+    outpatientSurgeryFacility: 0,
+    outpatientSurgeryASC: 0,
+    physicianSurgeon: 0,
+    childbirth: 0,
+    skilledNursing: 0,
+    homeHealthCare: 0,
+    dme: 0,
+    hospice: 0,
+    childrenGlasses: 0
+  },
+  // Pediatric dental and vision visits (children's glasses are a planned event)
+  pediatric: {
+    childrenDentalCheckup: 0,
+    childrenEyeExam: 0
+  },
+  // Month (1-12) a visit type or planned event happens in; unset types are spread over the year
+  serviceMonths: {},
+  // Visit types, planned events and pediatric services (by key) received out of network
+  outOfNetwork: {},
+  // Provider directory id each visit type, planned event or pediatric service is seen by
+  providers: {},
+  // ISO date (YYYY-MM-DD); empty when unknown
+  birthDate: '',
+  tobacco: false
+  // relationship ('subscriber', 'spouse' or 'dependent') is left unset on purpose, so
+  // getPersonRelationship falls back to the person's place in the family
+};
+
+// Pediatric dental and vision benefits cover children until their 19th birthday
+export const pediatricAgeLimit = 19;
+
+// Dependents can stay on a parent's plan until their 26th birthday
+export const dependentAgeLimit = 26;
+
+/**
+ * Get a person's age on January 1 of the plan year
+ * @param {Object} person - The person
+ * @param {number} planYear - Plan year
+ * @returns {number|null} Age in whole years, or null without a valid birth date
+ */
+export function getPersonAge(person, planYear) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(person.birthDate || '');
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  // Born on January 1 means the birthday has already happened on the plan year start
+  const hadBirthday = month === 1 && day === 1;
+  return Math.max(0, planYear - year - (hadBirthday ? 0 : 1));
+}
+
+/**
+ * Check whether a person qualifies for pediatric benefits in the plan year
+ * People without a birth date are treated as eligible, as before ages were recorded
+ * @param {Object} person - The person
+ * @param {number} planYear - Plan year
+ * @returns {boolean} Whether pediatric dental and vision benefits apply
+ */
+export function isPediatric(person, planYear) {
+  const age = getPersonAge(person, planYear);
+  return age === null || age < pediatricAgeLimit;
+}
+
+/**
+ * Check whether a dependent has aged out of a parent's plan
+ * @param {Object} person - The person
+ * @param {number} index - Position of the person in the people array
+ * @param {number} planYear - Plan year
+ * @returns {boolean} Whether the person is a dependent aged 26 or over
+ */
+export function isAgedOutDependent(person, index, planYear) {
+  const age = getPersonAge(person, planYear);
+  return getPersonRelationship(person, index) === 'dependent' && age !== null && age >= dependentAgeLimit;
+}
+
+/**
+ * Relationships a person can have to the plan subscriber
+ */
+export const relationshipTypes = [
+  { key: 'subscriber', label: 'Subscriber' },
+  { key: 'spouse', label: 'Spouse' },
+  { key: 'dependent', label: 'Dependent' }
+];
+
+/**
+ * Get a person's relationship to the subscriber
+ * People saved before relationships existed are read by position:
+ * the first is the subscriber, the second a spouse, the rest dependents.
+ * @param {Object} person - The person
+ * @param {number} index - Position of the person in the people array
+ * @returns {string} Relationship key
+ */
+export function getPersonRelationship(person, index) {
+  if (person.relationship) return person.relationship;
+  if (index === 0) return 'subscriber';
+  return index === 1 ? 'spouse' : 'dependent';
+}
+
+/**
+ * Unit each planned event is counted in
+ * Matches how defaultCostSettings prices the event (e.g. hospital stays per day)
+ */
+export const plannedEventUnits = {
+  hospitalFacility: 'day',
+  outpatientSurgeryFacility: 'procedure',
+  outpatientSurgeryASC: 'procedure',
+  physicianSurgeon: 'procedure',
+  childbirth: 'birth',
+  skilledNursing: 'day',
+  homeHealthCare: 'visit',
+  dme: 'item',
+  hospice: 'day',
+  childrenGlasses: 'pair'
+};
+
+/**
+ * Unit each pediatric dental and vision service is counted in
+ * Priced with the plan's childrenDentalCheckup and childrenEyeExam values
+ */
+export const pediatricServiceUnits = {
+  childrenDentalCheckup: 'checkup',
+  childrenEyeExam: 'exam'
 };
 
 /**
  * Default plan template
  */
 export const defaultPlan = {
+  // Premium per pay period: the same for everyone, or the age-21 rate when age rated
   premium: 0,
+  premiumFrequency: 'monthly',
+  // 'flat', 'tiered' (premiumTiers by coverage level) or 'ageRated'
+  premiumRating: 'flat',
+  premiumTiers: {
+    employee: 0,
+    employeeSpouse: 0,
+    employeeChildren: 0,
+    family: 0
+  },
+  // Extra share charged to tobacco users on age-rated plans (ACA allows up to 0.5)
+  tobaccoSurcharge: 0,
+  // Person whose employer offers the plan; null for plans anyone can join (e.g. marketplace)
+  employeeId: null,
+  // ACA marketplace plans can use the premium tax credit; silver plans have CSR variants
+  marketplace: false,
+  metalLevel: '',
+  csrVariants: {},
   medicalDeductible: { person: 0, family: 0 },
   rxDeductible: { person: 0, family: 0 },
   outOfPocketMax: { person: 0, family: 0 },
@@ -61,15 +201,244 @@ export const defaultPlan = {
     tier5: 0
   },
   rxDeductibleWaived: [],
+  // 90-day fills pay this many times the tier's 30-day copay, by supply
+  supplyCopayMultipliers: {
+    retail90: 3,
+    mail90: 2
+  },
+  // Drugs the plan covers, as { name, code, tier, priorAuth, quantityLimit, price }.
+  // Empty means medications are priced at the tier entered on them.
+  formulary: [],
   childrenDentalCheckup: 0,
-  childrenEyeExam: 0
+  childrenEyeExam: 0,
+  familyAccumulation: 'embedded',
+  // Out-of-network benefits, with their own deductible and MOOP. Covered services are
+  // charged the coinsurance on the allowed amount; balanceBilling is what providers bill
+  // above it, as a share of the allowed amount. A MOOP of 0 means there is no limit.
+  outOfNetwork: {
+    covered: true,
+    deductible: { person: 0, family: 0 },
+    outOfPocketMax: { person: 0, family: 0 },
+    coinsurance: 0.4,
+    balanceBilling: 0
+  },
+  // Tax-advantaged accounts offered with the plan (annual amounts)
+  accounts: {
+    hsa: { employer: 0, employee: 0 },
+    hra: { employer: 0, covers: 'deductible' },
+    fsa: { employee: 0, carryover: 0 }
+  },
+  costSharing: {
+    copays: {
+      primaryCare: { type: 'copay' },
+      specialist: { type: 'copay' },
+      urgentCare: { type: 'copay' },
+      emergencyRoom: { type: 'coinsurance' },
+      mentalHealth: { type: 'copay' },
+      diagnosticTest: { type: 'coinsurance' },
+      diagnosticTestLab: { type: 'coinsurance' },
+      imaging: { type: 'coinsurance' },
+      rehabilitationOutpatient: { type: 'coinsurance' },
+      habilitationOutpatient: { type: 'coinsurance' }
+    },
+    coinsurance: {},
+    rxCopays: {
+      tier1: { type: 'copayAfterDeductible' },
+      tier2: { type: 'copayAfterDeductible' },
+      tier3: { type: 'coinsurance' },
+      tier4: { type: 'coinsurance' },
+      tier5: { type: 'coinsurance' }
+    }
+  }
+};
+
+/**
+ * How a plan accumulates individual amounts towards the family deductible and MOOP
+ */
+export const familyAccumulationModes = [
+  { key: 'embedded', label: 'Embedded deductible and MOOP', description: 'Each person has their own deductible and MOOP inside the family amounts' },
+  { key: 'aggregateDeductible', label: 'Aggregate deductible, embedded MOOP (ACA)', description: 'No one gets benefits until the family deductible is met, but each person still has their own MOOP' },
+  { key: 'aggregate', label: 'Aggregate (non-embedded) deductible and MOOP', description: 'Only the family deductible and MOOP apply once more than one person is covered' }
+];
+
+/**
+ * Coverage tiers an employer prices separately
+ */
+export const premiumTiers = [
+  { key: 'employee', label: 'Employee only' },
+  { key: 'employeeSpouse', label: 'Employee + spouse' },
+  { key: 'employeeChildren', label: 'Employee + child(ren)' },
+  { key: 'family', label: 'Family' }
+];
+
+/**
+ * Ways a plan can price its premium
+ */
+export const premiumRatingMethods = [
+  { key: 'flat', label: 'Same for everyone', description: 'One premium whoever is enrolled' },
+  { key: 'tiered', label: 'By coverage tier', description: 'Employer pricing for employee only, + spouse, + child(ren) and family' },
+  { key: 'ageRated', label: 'By age (marketplace)', description: 'Each member pays the age-21 rate times their age factor, plus any tobacco surcharge' }
+];
+
+/**
+ * ACA metal levels
+ */
+export const metalLevels = [
+  { key: '', label: 'Not set' },
+  { key: 'catastrophic', label: 'Catastrophic' },
+  { key: 'bronze', label: 'Bronze' },
+  { key: 'silver', label: 'Silver' },
+  { key: 'gold', label: 'Gold' },
+  { key: 'platinum', label: 'Platinum' }
+];
+
+/**
+ * Kinds of provider the directory holds
+ */
+export const providerTypes = [
+  { key: 'doctor', label: 'Doctor' },
+  { key: 'facility', label: 'Facility' },
+  { key: 'pharmacy', label: 'Pharmacy' }
+];
+
+/**
+ * Network status a provider can have for each plan
+ */
+export const providerNetworkStatuses = [
+  { key: 'unknown', label: 'Unknown' },
+  { key: 'inNetwork', label: 'In network' },
+  { key: 'outOfNetwork', label: 'Out of network' }
+];
+
+/**
+ * Services charged in-network cost sharing even out of network; emergency care can't be
+ * balance billed (ACA and No Surprises Act)
+ */
+export const inNetworkEmergencyServices = ['emergencyRoom'];
+
+/**
+ * Create a new provider directory entry
+ * networks maps plan ids to 'inNetwork' or 'outOfNetwork'; missing plans are unknown
+ * @param {number} id - Provider ID
+ * @param {string} type - 'doctor', 'facility' or 'pharmacy'
+ * @returns {Object} New provider object
+ */
+export function createNewProvider(id, type = 'doctor') {
+  return {
+    id,
+    name: `${providerTypes.find(t => t.key === type)?.label || 'Provider'} ${id}`,
+    type,
+    specialty: '',
+    networks: {}
+  };
+}
+
+/**
+ * How much of a medication is filled at a time, and where
+ * refills is the number of 30-day refills one fill replaces
+ */
+export const medicationSupplies = [
+  { key: 'retail30', label: 'Retail 30-day', refills: 1 },
+  { key: 'retail90', label: 'Retail 90-day', refills: 3 },
+  { key: 'mail90', label: 'Mail order 90-day', refills: 3 }
+];
+
+/**
+ * Get how a medication is filled
+ * @param {Object} med - Medication
+ * @returns {Object} Entry from medicationSupplies (retail 30-day when not set)
+ */
+export function getMedicationSupply(med) {
+  return medicationSupplies.find(supply => supply.key === med.supply) || medicationSupplies[0];
+}
+
+/**
+ * Get how many 30-day copays a plan charges for one fill of a supply
+ * @param {Object} plan - The insurance plan
+ * @param {string} supplyKey - Key from medicationSupplies
+ * @returns {number} Copay multiplier
+ */
+export function getSupplyCopayMultiplier(plan, supplyKey) {
+  if (supplyKey === 'retail30') return 1;
+  return { ...defaultPlan.supplyCopayMultipliers, ...plan.supplyCopayMultipliers }[supplyKey] ?? 1;
+}
+
+/**
+ * Default household for marketplace subsidy estimates
+ * size null means the number of people entered; benchmarkPremium is the monthly premium
+ * of the second-lowest-cost silver plan for the household
+ */
+export const defaultHousehold = {
+  enabled: false,
+  income: 0,
+  size: null,
+  region: 'contiguous',
+  benchmarkPremium: 0
 };
 
+/**
+ * Federal default age rating curve (45 CFR 147.102), relative to age 21
+ * Index is the age; ages 0-14 share one factor and 64 and older share the last.
+ */
+export const federalAgeCurve = [
+  0.765, 0.765, 0.765, 0.765, 0.765, 0.765, 0.765, 0.765, 0.765, 0.765,
+  0.765, 0.765, 0.765, 0.765, 0.765, 0.833, 0.859, 0.885, 0.913, 0.941,
+  0.970, 1.000, 1.000, 1.000, 1.000, 1.004, 1.024, 1.048, 1.087, 1.119,
+  1.135, 1.159, 1.183, 1.198, 1.214, 1.222, 1.230, 1.238, 1.246, 1.262,
+  1.278, 1.302, 1.325, 1.357, 1.397, 1.444, 1.500, 1.563, 1.635, 1.706,
+  1.786, 1.865, 1.952, 2.040, 2.135, 2.230, 2.333, 2.437, 2.548, 2.603,
+  2.714, 2.810, 2.873, 2.952, 3.000
+];
+
+/**
+ * How often the premium is deducted
+ */
+export const payPeriodFrequencies = [
+  { key: 'weekly', label: 'Weekly', periodsPerYear: 52 },
+  { key: 'biweekly', label: 'Biweekly', periodsPerYear: 26 },
+  { key: 'semimonthly', label: 'Semimonthly', periodsPerYear: 24 },
+  { key: 'monthly', label: 'Monthly', periodsPerYear: 12 }
+];
+
+/**
+ * Costs the split-coverage optimizer can rank combinations by
+ */
+export const coverageRankingMetrics = [
+  { key: 'total', label: 'Total yearly cost', description: 'Premiums plus out-of-pocket costs for the usage entered' },
+  { key: 'netTotal', label: 'Effective net cost', description: 'Total yearly cost after HSA/HRA/FSA funds and tax savings' },
+  { key: 'expected', label: 'Expected cost (simulated)', description: 'Average over simulated years using the Risk Analysis settings' },
+  { key: 'p90', label: 'Bad-year cost (P90, simulated)', description: '90% of simulated years cost less than this' }
+];
+
+/**
+ * Which out-of-pocket costs an HRA reimburses
+ */
+export const hraCoverageOptions = [
+  { key: 'deductible', label: 'Deductible only', description: 'Reimburses amounts paid towards the medical and Rx deductibles' },
+  { key: 'all', label: 'All cost sharing', description: 'Reimburses deductible, copays and coinsurance for covered services' }
+];
+
+/**
+ * Cost-sharing types a plan can declare for each copay, coinsurance and Rx tier value
+ * Services without a declared type are read the legacy way (above 1 = dollars, else a rate)
+ */
+export const costSharingTypes = [
+  { key: 'copay', label: 'Copay', description: 'Flat dollar amount, deductible does not apply' },
+  { key: 'coinsurance', label: 'Coinsurance', description: 'Percentage after the deductible' },
+  { key: 'copayAfterDeductible', label: 'Copay after deductible', description: 'Full cost until the deductible is met, then a flat dollar amount' },
+  { key: 'coinsuranceWithCap', label: 'Coinsurance with cap', description: 'Percentage after the deductible, up to a maximum per visit or fill' },
+  { key: 'notCovered', label: 'Not covered', description: 'Full cost, does not count towards the deductible or MOOP' }
+];
+
 /**
  * Default cost settings for services
  * These represent typical costs for services that use coinsurance
  */
 export const defaultCostSettings = {
+  primaryCare: 150,
+  specialist: 250,
+  urgentCare: 200,
+  mentalHealth: 150,
   emergencyRoom: 1500,
   diagnosticTest: 300,
   imaging: 200,
@@ -84,7 +453,19 @@ export const defaultCostSettings = {
   homeHealthCare: 200,
   dme: 500,
   hospice: 300,
-  childrenGlasses: 150
+  childrenGlasses: 150,
+  childrenDentalCheckup: 100,
+  childrenEyeExam: 120,
+  // List price of a 30-day refill by drug tier, for medications without a price of their own
+  tier1: 15,
+  tier2: 75,
+  tier3: 250,
+  tier4: 1000,
+  tier5: 5000,
+  // Marginal tax rate (federal + state + payroll) saved on pre-tax HSA/FSA contributions
+  taxRate: 0.3,
+  // Ages are taken on January 1 of the plan year
+  planYear: new Date().getFullYear()
 };
 
 /**
@@ -95,6 +476,60 @@ export function createDefaultCostSettings() {
   return { ...defaultCostSettings };
 }
 
+/**
+ * Default Monte Carlo risk analysis settings
+ * Each visit type is drawn around the count entered for the person; its spread is the
+ * coefficient of variation of that yearly rate (0 keeps the count fixed). Catastrophic
+ * events strike each person independently with the given yearly probability and add
+ * their visits and planned events on top.
+ */
+export const defaultRiskSettings = {
+  iterations: 2000,
+  seed: 1,
+  visitSpread: {
+    primaryCare: 0.5,
+    specialist: 0.8,
+    urgentCare: 1,
+    emergencyRoom: 1.5,
+    mentalHealth: 0.5,
+    diagnosticTest: 0.8,
+    imaging: 1,
+    rehabilitationOutpatient: 0.8,
+    habilitationOutpatient: 0.5
+  },
+  catastrophicEvents: [
+    {
+      id: 1,
+      name: 'Emergency hospital stay',
+      probability: 0.03,
+      visits: { emergencyRoom: 1, diagnosticTest: 2, imaging: 2 },
+      events: { hospitalFacility: 4, physicianSurgeon: 1 }
+    },
+    {
+      id: 2,
+      name: 'Outpatient surgery',
+      probability: 0.05,
+      visits: { specialist: 2, diagnosticTest: 1 },
+      events: { outpatientSurgeryFacility: 1, physicianSurgeon: 1 }
+    },
+    {
+      id: 3,
+      name: 'Serious accident',
+      probability: 0.005,
+      visits: { emergencyRoom: 1, imaging: 3, rehabilitationOutpatient: 12 },
+      events: { hospitalFacility: 10, physicianSurgeon: 2, skilledNursing: 14 }
+    }
+  ]
+};
+
+/**
+ * Create a new risk analysis settings object with default values
+ * @returns {Object} New risk settings object
+ */
+export function createDefaultRiskSettings() {
+  return structuredClone(defaultRiskSettings);
+}
+
 /**
  * Create a new person with default values
  * @param {number} id - Person ID
@@ -124,66 +559,165 @@ export function createNewPlan(id, name = null) {
 }
 
 /**
- * Create scenario variations for a person
- * @param {Object} person - Base person object
- * @returns {Object} Object with bestCase, mostLikely, worstCase scenarios
+ * Ways a scenario rule can change a person's base profile
+ * Visit rules can target one visit type or '*' for every visit type
  */
-export function createPersonScenarios(person) {
+export const scenarioRuleTypes = [
+  { key: 'multiplyVisits', label: 'Multiply visits', description: 'Multiply the visit count, rounding down' },
+  { key: 'addVisits', label: 'Add visits', description: 'Add visits (negative numbers remove them)' },
+  { key: 'addEvents', label: 'Add planned event', description: 'Add days, procedures or items of a planned event' }
+];
+
+/**
+ * Default scenarios
+ * Each scenario is derived from the base profile by applying its rules in order;
+ * rules with a personId only apply to that person
+ */
+export const defaultScenarios = [
+  {
+    id: 1,
+    name: 'Best Case',
+    color: 'green',
+    icon: 'smile',
+    rules: [
+      { id: 1, personId: null, type: 'multiplyVisits', service: 'primaryCare', value: 0.5 },
+      { id: 2, personId: null, type: 'multiplyVisits', service: 'specialist', value: 0.3 },
+      { id: 3, personId: null, type: 'multiplyVisits', service: 'urgentCare', value: 0.2 },
+      { id: 4, personId: null, type: 'multiplyVisits', service: 'emergencyRoom', value: 0 },
+      { id: 5, personId: null, type: 'multiplyVisits', service: 'mentalHealth', value: 0.7 },
+      { id: 6, personId: null, type: 'multiplyVisits', service: 'diagnosticTest', value: 0.5 },
+      { id: 7, personId: null, type: 'multiplyVisits', service: 'imaging', value: 0.3 },
+      { id: 8, personId: null, type: 'multiplyVisits', service: 'rehabilitationOutpatient', value: 0.5 },
+      { id: 9, personId: null, type: 'multiplyVisits', service: 'habilitationOutpatient', value: 0.5 }
+    ]
+  },
+  {
+    id: 2,
+    name: 'Most Likely',
+    color: 'blue',
+    icon: 'minus',
+    rules: []
+  },
+  {
+    id: 3,
+    name: 'Worst Case',
+    color: 'red',
+    icon: 'frown',
+    rules: [
+      { id: 1, personId: null, type: 'addVisits', service: 'primaryCare', value: 2 },
+      { id: 2, personId: null, type: 'addVisits', service: 'specialist', value: 3 },
+      { id: 3, personId: null, type: 'addVisits', service: 'urgentCare', value: 1 },
+      { id: 4, personId: null, type: 'addVisits', service: 'emergencyRoom', value: 1 },
+      { id: 5, personId: null, type: 'addVisits', service: 'mentalHealth', value: 2 },
+      { id: 6, personId: null, type: 'addVisits', service: 'diagnosticTest', value: 2 },
+      { id: 7, personId: null, type: 'addVisits', service: 'imaging', value: 1 },
+      { id: 8, personId: null, type: 'addVisits', service: 'rehabilitationOutpatient', value: 4 },
+      { id: 9, personId: null, type: 'addVisits', service: 'habilitationOutpatient', value: 2 }
+    ]
+  }
+];
+
+/**
+ * Create a new set of default scenarios
+ * @returns {Array} New scenarios array
+ */
+export function createDefaultScenarios() {
+  return structuredClone(defaultScenarios);
+}
+
+/**
+ * Create a new scenario with no rules
+ * @param {number} id - Scenario ID
+ * @param {string} name - Scenario name
+ * @returns {Object} New scenario object
+ */
+export function createNewScenario(id, name = null) {
   return {
-    bestCase: {
-      ...person,
-      name: person.name.replace(' (Best Case)', '') + ' (Best Case)',
-      visits: {
-        primaryCare: Math.max(0, Math.floor(person.visits.primaryCare * 0.5)),
-        specialist: Math.max(0, Math.floor(person.visits.specialist * 0.3)),
-        urgentCare: Math.max(0, Math.floor(person.visits.urgentCare * 0.2)),
-        emergencyRoom: 0,
-        mentalHealth: Math.max(0, Math.floor(person.visits.mentalHealth * 0.7)),
-        diagnosticTest: Math.max(0, Math.floor(person.visits.diagnosticTest * 0.5)),
-        imaging: Math.max(0, Math.floor(person.visits.imaging * 0.3)),
-        rehabilitationOutpatient: Math.max(0, Math.floor(person.visits.rehabilitationOutpatient * 0.5)),
-        habilitationOutpatient: Math.max(0, Math.floor(person.visits.habilitationOutpatient * 0.5))
-      }
-    },
-    mostLikely: { ...person },
-    worstCase: {
-      ...person,
-      name: person.name.replace(' (Worst Case)', '') + ' (Worst Case)',
-      visits: {
-        primaryCare: person.visits.primaryCare + 2,
-        specialist: person.visits.specialist + 3,
-        urgentCare: person.visits.urgentCare + 1,
-        emergencyRoom: person.visits.emergencyRoom + 1,
-        mentalHealth: person.visits.mentalHealth + 2,
-        diagnosticTest: person.visits.diagnosticTest + 2,
-        imaging: person.visits.imaging + 1,
-        rehabilitationOutpatient: person.visits.rehabilitationOutpatient + 4,
-        habilitationOutpatient: person.visits.habilitationOutpatient + 2
-      }
-    }
+    id,
+    name: name || `Scenario ${id}`,
+    color: 'purple',
+    icon: 'layers',
+    rules: []
   };
 }
 
 /**
- * Create scenarios for all people
- * @param {Array} people - Array of people
- * @returns {Object} Object with bestCase, mostLikely, worstCase arrays
+ * Apply a scenario's rules to one person
+ * @param {Object} person - Base person object
+ * @param {Object} scenario - Scenario with rules
+ * @returns {Object} Person with the scenario's visits and planned events
  */
-export function createScenarios(people) {
-  const scenarios = {
-    bestCase: [],
-    mostLikely: [],
-    worstCase: []
-  };
+export function applyScenario(person, scenario) {
+  const visits = { ...defaultPerson.visits, ...person.visits };
+  const events = { ...defaultPerson.events, ...person.events };
 
-  people.forEach(person => {
-    const personScenarios = createPersonScenarios(person);
-    scenarios.bestCase.push(personScenarios.bestCase);
-    scenarios.mostLikely.push(personScenarios.mostLikely);
-    scenarios.worstCase.push(personScenarios.worstCase);
+  (scenario.rules || []).forEach(rule => {
+    if (rule.personId != null && rule.personId !== person.id) return;
+    const value = Number(rule.value) || 0;
+    const visitTypes = rule.service === '*' ? Object.keys(visits) : [rule.service].filter(type => type in visits);
+
+    switch (rule.type) {
+      case 'multiplyVisits':
+        visitTypes.forEach(type => {
+          visits[type] = Math.max(0, Math.floor(visits[type] * value));
+        });
+        break;
+      case 'addVisits':
+        visitTypes.forEach(type => {
+          visits[type] = Math.max(0, visits[type] + value);
+        });
+        break;
+      case 'addEvents':
+        if (rule.service in events) {
+          events[rule.service] = Math.max(0, events[rule.service] + value);
+        }
+        break;
+    }
   });
 
-  return scenarios;
+  return { ...person, visits, events };
+}
+
+/**
+ * Derive every person's profile for a scenario
+ * @param {Array} people - Array of base people
+ * @param {Object} scenario - Scenario with rules
+ * @returns {Array} People with the scenario applied
+ */
+export function createScenarioPeople(people, scenario) {
+  return people.map(person => applyScenario(person, scenario));
+}
+
+/**
+ * Load saved scenarios, converting the old fixed bestCase/mostLikely/worstCase format
+ * The old format stored a full copy of every person for each scenario. Each copy's
+ * visit and planned event counts become "add" rules against the current base profile;
+ * medication changes in old copies are not carried over.
+ * @param {Array|Object} stored - Scenarios as saved
+ * @param {Array} people - Current base people
+ * @returns {Array} Scenarios array
+ */
+export function migrateScenarios(stored, people) {
+  if (Array.isArray(stored)) return stored;
+  if (!stored || typeof stored !== 'object') return createDefaultScenarios();
+
+  const legacyKeys = { 1: 'bestCase', 2: 'mostLikely', 3: 'worstCase' };
+  return defaultScenarios.map(scenario => {
+    const rules = [];
+    (stored[legacyKeys[scenario.id]] || []).forEach(scenarioPerson => {
+      const basePerson = people.find(p => p.id === scenarioPerson.id);
+      if (!basePerson) return;
+      [['visits', 'addVisits'], ['events', 'addEvents']].forEach(([group, type]) => {
+        Object.keys(defaultPerson[group]).forEach(service => {
+          const delta = (scenarioPerson[group]?.[service] || 0) - (basePerson[group]?.[service] || 0);
+          if (delta !== 0) {
+            rules.push({ id: rules.length + 1, personId: basePerson.id, type, service, value: delta });
+          }
+        });
+      });
+    });
+    return { ...scenario, rules };
+  });
 }
 
 /**
@@ -206,7 +740,21 @@ export function importPeople(importedData, currentPeople) {
         visits: {
           ...defaultPerson.visits,
           ...person.visits
-        }
+        },
+        events: {
+          ...defaultPerson.events,
+          ...person.events
+        },
+        pediatric: {
+          ...defaultPerson.pediatric,
+          ...person.pediatric
+        },
+        serviceMonths: { ...person.serviceMonths },
+        outOfNetwork: { ...person.outOfNetwork },
+        providers: { ...person.providers },
+        ...(person.relationship && { relationship: person.relationship }),
+        birthDate: person.birthDate || '',
+        tobacco: !!person.tobacco
       });
     }
   }
@@ -214,6 +762,21 @@ export function importPeople(importedData, currentPeople) {
   return validPeople;
 }
 
+/**
+ * Fill in out-of-network benefits missing from a plan
+ * Plans saved or imported before network tiers existed get the default benefits
+ * @param {Object} outOfNetwork - Out-of-network benefits as stored, if any
+ * @returns {Object} Complete out-of-network benefits
+ */
+export function mergeOutOfNetwork(outOfNetwork) {
+  return {
+    ...defaultPlan.outOfNetwork,
+    ...outOfNetwork,
+    deductible: { ...defaultPlan.outOfNetwork.deductible, ...outOfNetwork?.deductible },
+    outOfPocketMax: { ...defaultPlan.outOfNetwork.outOfPocketMax, ...outOfNetwork?.outOfPocketMax }
+  };
+}
+
 /**
  * Import plan from JSON
  * @param {Object} jsonData - Imported plan JSON
@@ -232,10 +795,24 @@ export function importPlanFromJSON(jsonData, premium, newId) {
   return {
     id: newId,
     premium: parseFloat(premium),
+    premiumFrequency: 'monthly',
+    premiumRating: 'flat',
+    premiumTiers: { ...defaultPlan.premiumTiers },
+    tobaccoSurcharge: 0,
+    marketplace: false,
+    metalLevel: '',
+    csrVariants: {},
+    employeeId: null,
     rxDeductibleWaived: jsonData.rxDeductibleWaived || [],
+    formulary: [],
+    supplyCopayMultipliers: { ...defaultPlan.supplyCopayMultipliers },
     childrenDentalCheckup: jsonData.childrenDentalCheckup || 0,
     childrenEyeExam: jsonData.childrenEyeExam || 0,
-    ...jsonData
+    familyAccumulation: jsonData.familyAccumulation || 'embedded',
+    costSharing: jsonData.costSharing || {},
+    accounts: structuredClone(defaultPlan.accounts),
+    ...jsonData,
+    outOfNetwork: mergeOutOfNetwork(jsonData.outOfNetwork)
   };
 }
 
@@ -258,7 +835,23 @@ export function importPlans(importedData, currentPlans) {
       validPlans.push({
         id: newId,
         premium: parseFloat(plan.premium) || 0,
+        premiumFrequency: plan.premiumFrequency || 'monthly',
+        premiumRating: plan.premiumRating || (plan.premiumTiered ? 'tiered' : 'flat'),
+        tobaccoSurcharge: parseFloat(plan.tobaccoSurcharge) || 0,
+        marketplace: !!plan.marketplace,
+        metalLevel: plan.metalLevel || '',
+        csrVariants: plan.csrVariants || {},
+        employeeId: null,
+        premiumTiers: {
+          ...defaultPlan.premiumTiers,
+          ...plan.premiumTiers
+        },
         rxDeductibleWaived: plan.rxDeductibleWaived || [],
+        formulary: Array.isArray(plan.formulary) ? plan.formulary : [],
+        supplyCopayMultipliers: {
+          ...defaultPlan.supplyCopayMultipliers,
+          ...plan.supplyCopayMultipliers
+        },
         childrenDentalCheckup: plan.childrenDentalCheckup || 0,
         childrenEyeExam: plan.childrenEyeExam || 0,
         name: plan.name,
@@ -276,6 +869,14 @@ export function importPlans(importedData, currentPlans) {
         rxCopays: {
           ...defaultPlan.rxCopays,
           ...plan.rxCopays
+        },
+        familyAccumulation: plan.familyAccumulation || 'embedded',
+        outOfNetwork: mergeOutOfNetwork(plan.outOfNetwork),
+        costSharing: plan.costSharing || {},
+        accounts: {
+          hsa: { ...defaultPlan.accounts.hsa, ...plan.accounts?.hsa },
+          hra: { ...defaultPlan.accounts.hra, ...plan.accounts?.hra },
+          fsa: { ...defaultPlan.accounts.fsa, ...plan.accounts?.fsa }
         }
       });
     }
@@ -1,19 +1,24 @@
+// Building a NumberFormat is slow, and the risk analysis formats thousands of breakdowns
+const currencyFormat = new Intl.NumberFormat('en', {
+  currency: 'USD',
+  style: 'currency',
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 2
+});
+
 /**
  * Currency formatter
  */
 export const formatCurrency = (value) => {
   if (typeof value !== 'number' || isNaN(value)) {
-    return new Intl.NumberFormat('en', {
-      currency: 'USD',
-      style: 'currency',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 2
-    }).format(0);
+    return currencyFormat.format(0);
   }
-  return new Intl.NumberFormat('en', {
-    currency: 'USD',
-    style: 'currency',
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 2
-  }).format(value);
+  return currencyFormat.format(value);
+};
+
+/**
+ * Percent formatter for decimal rates (0.2 -> "20%")
+ */
+export const formatPercent = (rate) => {
+  return `${Math.round((rate || 0) * 1000) / 10}%`;
 };
@@ -0,0 +1,210 @@
+/**
+ * Drug Formularies
+ * Parse a plan's formulary from CSV or JSON and look up where a medication sits on it
+ */
+
+// Column names (lowercased, without spaces, dashes or underscores) accepted for each field
+const FIELD_ALIASES = {
+  name: ['name', 'drug', 'drugname', 'medication'],
+  code: ['code', 'rxnorm', 'rxcui', 'ndc'],
+  tier: ['tier', 'drugtier'],
+  priorAuth: ['priorauth', 'priorauthorization', 'pa'],
+  quantityLimit: ['quantitylimit', 'ql'],
+  price: ['price', 'cost', 'negotiatedprice']
+};
+
+const TRUE_VALUES = ['y', 'yes', 'true', '1', 'x'];
+
+/**
+ * Normalize a drug name or code for matching
+ * @param {string} value - Name or code as entered
+ * @returns {string} Lowercased value with single spaces
+ */
+export function normalizeDrugName(value) {
+  return String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Read a yes/no column value
+ * @param {*} value - Value from the file
+ * @returns {boolean} Whether the flag is set
+ */
+function parseFlag(value) {
+  if (typeof value === 'boolean') return value;
+  return TRUE_VALUES.includes(normalizeDrugName(value));
+}
+
+/**
+ * Map a row's own keys onto formulary fields
+ * @param {Object} row - Row keyed by the file's column names
+ * @returns {Object} Row keyed by formulary field
+ */
+function mapFields(row) {
+  const mapped = {};
+  Object.entries(row).forEach(([key, value]) => {
+    const normalized = key.toLowerCase().replace(/[\s_-]/g, '');
+    const field = Object.keys(FIELD_ALIASES).find(f => FIELD_ALIASES[f].includes(normalized));
+    if (field) mapped[field] = value;
+  });
+  return mapped;
+}
+
+/**
+ * Validate and normalize one formulary entry
+ * @param {Object} row - Row keyed by the file's column names
+ * @param {number} rowNumber - Row number for error messages
+ * @returns {Object} Entry as { name, code, tier, priorAuth, quantityLimit, price }
+ */
+function normalizeEntry(row, rowNumber) {
+  const fields = mapFields(row);
+  const name = String(fields.name ?? '').trim();
+  const code = String(fields.code ?? '').trim();
+  if (!name && !code) {
+    throw new Error(`Row ${rowNumber}: a drug name or code is required`);
+  }
+
+  const tier = parseInt(String(fields.tier ?? '').replace(/^tier\s*/i, ''));
+  if (!(tier >= 1 && tier <= 5)) {
+    throw new Error(`Row ${rowNumber} (${name || code}): tier must be 1-5`);
+  }
+
+  const price = parseFloat(String(fields.price ?? '').replace(/[$,]/g, ''));
+  return {
+    name,
+    code,
+    tier,
+    priorAuth: parseFlag(fields.priorAuth),
+    quantityLimit: parseFlag(fields.quantityLimit),
+    price: price > 0 ? price : null
+  };
+}
+
+/**
+ * Split CSV text into rows of cells, honoring quoted cells
+ * @param {string} text - CSV text
+ * @returns {Array} Rows as arrays of cell strings
+ */
+function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(c => c.trim() !== ''));
+}
+
+/**
+ * Parse a formulary from CSV with a header row
+ * Columns: name (or drug), code (RxNorm/NDC), tier, prior auth, quantity limit, price
+ * @param {string} text - CSV text
+ * @returns {Array} Formulary entries
+ */
+export function parseFormularyCSV(text) {
+  // Excel starts its UTF-8 exports with a byte order mark, which would stick to the first header
+  const [header, ...rows] = parseCSVRows(text.replace(/^\uFEFF/, ''));
+  if (!header) throw new Error('The formulary file is empty');
+  return rows.map((cells, index) => normalizeEntry(
+    Object.fromEntries(header.map((column, c) => [column, cells[c] ?? ''])),
+    index + 2
+  ));
+}
+
+/**
+ * Parse a formulary from JSON: an array of entries or { drugs: [...] }
+ * @param {Array|Object} data - Parsed JSON
+ * @returns {Array} Formulary entries
+ */
+export function parseFormularyJSON(data) {
+  const rows = Array.isArray(data) ? data : data?.drugs;
+  if (!Array.isArray(rows)) throw new Error('Expected an array of drugs or an object with a "drugs" array');
+  return rows.map((row, index) => normalizeEntry(row, index + 1));
+}
+
+/**
+ * Parse a formulary file, picking the format from its name or contents
+ * @param {string} text - File contents
+ * @param {string} fileName - File name
+ * @returns {Array} Formulary entries
+ */
+export function parseFormulary(text, fileName = '') {
+  text = text.replace(/^\uFEFF/, '');
+  const isJSON = fileName.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text);
+  return isJSON ? parseFormularyJSON(JSON.parse(text)) : parseFormularyCSV(text);
+}
+
+/**
+ * Look up a medication on a formulary, by code first and then by name
+ * @param {Array} formulary - Formulary entries
+ * @param {Object} med - Medication with name and optional code
+ * @returns {Object|null} Matching entry, or null when the drug is not listed
+ */
+export function findFormularyEntry(formulary, med) {
+  const code = normalizeDrugName(med.code);
+  const name = normalizeDrugName(med.name);
+  return (code && formulary.find(entry => normalizeDrugName(entry.code) === code))
+    || (name && formulary.find(entry => normalizeDrugName(entry.name) === name))
+    || null;
+}
+
+/**
+ * Check whether a plan prices drugs from its own formulary
+ * Plans without one use the tier entered on each medication.
+ * @param {Object} plan - The insurance plan
+ * @returns {boolean} Whether the plan has formulary entries
+ */
+export function hasFormulary(plan) {
+  return Array.isArray(plan.formulary) && plan.formulary.length > 0;
+}
+
+/**
+ * List formulary problems with the family's medications on a plan
+ * @param {Object} plan - The insurance plan
+ * @param {Array} people - People with medications
+ * @returns {Array} Warning messages
+ */
+export function getFormularyWarnings(plan, people) {
+  if (!hasFormulary(plan)) return [];
+  const warnings = [];
+  people.forEach(person => {
+    person.medications.forEach(med => {
+      const label = `${person.name}'s ${med.name || med.code || `Tier ${med.tier} Rx`}`;
+      const entry = findFormularyEntry(plan.formulary, med);
+      if (!entry) {
+        warnings.push(`${label} is not on the formulary and is not covered`);
+        return;
+      }
+      const limits = [entry.priorAuth && 'prior authorization', entry.quantityLimit && 'a quantity limit'].filter(Boolean);
+      if (limits.length > 0) warnings.push(`${label} needs ${limits.join(' and ')}`);
+    });
+  });
+  return warnings;
+}
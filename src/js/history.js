@@ -0,0 +1,134 @@
+/**
+ * Edit History
+ * Undo and redo over snapshots of the workspace, kept in sessionStorage so the history
+ * survives reloads until the tab is closed
+ */
+
+// Oldest entries are dropped past this many
+const HISTORY_LIMIT = 50;
+
+// Edits this close together (typing a number, dragging a slider) undo as one
+const COALESCE_MS = 1000;
+
+const SESSION_PREFIX = 'healthcarecompare-history-';
+
+/**
+ * Create an empty history
+ * @returns {Object} { past, future, lastEdit } where past and future hold { snapshot, label }
+ */
+export function createHistory() {
+  return { past: [], future: [], lastEdit: 0 };
+}
+
+/**
+ * Check whether two snapshots hold the same values
+ * State is updated immutably, so unchanged parts keep their identity.
+ * @param {Object} a - Snapshot
+ * @param {Object} b - Snapshot
+ * @returns {boolean} Whether every part is the same object
+ */
+export function isSameSnapshot(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+/**
+ * Record an edit
+ * An edit soon after the last one joins it, unless either is marked separate (removals
+ * and other changes offered for undo on their own).
+ * @param {Object} history - Current history
+ * @param {Object} previous - Snapshot from before the edit
+ * @param {Object} options - label (what the edit did), separate, time
+ * @returns {Object} Updated history; redo is no longer possible
+ */
+export function recordEdit(history, previous, options = {}) {
+  const { label = '', separate = false, time = Date.now() } = options;
+  if (!separate && history.past.length > 0 && time - history.lastEdit < COALESCE_MS) {
+    return { ...history, future: [], lastEdit: time };
+  }
+
+  return {
+    past: [...history.past, { snapshot: previous, label }].slice(-HISTORY_LIMIT),
+    future: [],
+    lastEdit: separate ? 0 : time
+  };
+}
+
+/**
+ * Step back one edit
+ * @param {Object} history - Current history
+ * @param {Object} present - Snapshot of the current state
+ * @returns {Object|null} { snapshot, label, history } or null with nothing to undo
+ */
+export function undoEdit(history, present) {
+  const entry = history.past[history.past.length - 1];
+  if (!entry) return null;
+
+  return {
+    snapshot: entry.snapshot,
+    label: entry.label,
+    history: {
+      past: history.past.slice(0, -1),
+      future: [...history.future, { snapshot: present, label: entry.label }],
+      lastEdit: 0
+    }
+  };
+}
+
+/**
+ * Step forward one undone edit
+ * @param {Object} history - Current history
+ * @param {Object} present - Snapshot of the current state
+ * @returns {Object|null} { snapshot, label, history } or null with nothing to redo
+ */
+export function redoEdit(history, present) {
+  const entry = history.future[history.future.length - 1];
+  if (!entry) return null;
+
+  return {
+    snapshot: entry.snapshot,
+    label: entry.label,
+    history: {
+      past: [...history.past, { snapshot: present, label: entry.label }],
+      future: history.future.slice(0, -1),
+      lastEdit: 0
+    }
+  };
+}
+
+/**
+ * Save a workspace's history for this browser session
+ * If the session store is full, the oldest entries are dropped until it fits.
+ * @param {number} workspaceId - Workspace the history belongs to
+ * @param {Object} history - History to save
+ */
+export function saveHistoryToSession(workspaceId, history) {
+  let past = history.past;
+  while (true) {
+    try {
+      sessionStorage.setItem(SESSION_PREFIX + workspaceId, JSON.stringify({ ...history, past }));
+      return;
+    } catch (error) {
+      if (past.length === 0) {
+        console.warn('Failed to save edit history to sessionStorage:', error);
+        return;
+      }
+      past = past.slice(Math.ceil(past.length / 2));
+    }
+  }
+}
+
+/**
+ * Load a workspace's history from this browser session
+ * @param {number} workspaceId - Workspace the history belongs to
+ * @returns {Object} Saved history, or an empty one
+ */
+export function loadHistoryFromSession(workspaceId) {
+  try {
+    const stored = sessionStorage.getItem(SESSION_PREFIX + workspaceId);
+    return stored ? { ...createHistory(), ...JSON.parse(stored) } : createHistory();
+  } catch (error) {
+    console.warn('Failed to load edit history from sessionStorage:', error);
+    return createHistory();
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Data Migrations
+ * Stored and exported data carries a schema version. Data written by an older version
+ * (or before versions existed) is upgraded one step at a time, on load and on import.
+ */
+
+import { defaultPlan, migrateScenarios } from './data.js';
+
+/**
+ * Upgrade steps, oldest first
+ * A step upgrades data from the version before it. person and plan steps receive one
+ * item; scenarios steps receive the whole list with { people } as context. Steps copy
+ * every field they don't change, so nothing saved is dropped. To change a saved shape,
+ * add a step here instead of patching the data where it is loaded.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'premium frequency, rating and tiers for plans saved with a single monthly premium',
+    plan: plan => ({
+      ...plan,
+      premium: parseFloat(plan.premium) || 0,
+      premiumFrequency: plan.premiumFrequency || 'monthly',
+      premiumRating: plan.premiumRating || (plan.premiumTiered ? 'tiered' : 'flat'),
+      premiumTiers: { ...defaultPlan.premiumTiers, ...plan.premiumTiers }
+    })
+  },
+  {
+    version: 2,
+    description: 'lab test copay for plans saved before diagnosticTestLab',
+    plan: plan => ({
+      ...plan,
+      copays: { ...plan.copays, diagnosticTestLab: plan.copays?.diagnosticTestLab ?? 0 },
+      costSharing: {
+        ...plan.costSharing,
+        copays: {
+          diagnosticTestLab: { ...defaultPlan.costSharing.copays.diagnosticTestLab },
+          ...plan.costSharing?.copays
+        }
+      }
+    })
+  },
+  {
+    version: 3,
+    description: 'medication supply and 90-day copay multipliers from the mail-order settings',
+    person: person => ({
+      ...person,
+      medications: (person.medications || []).map(({ mailOrder, ...med }) => ({
+        ...med,
+        supply: med.supply || (mailOrder ? 'mail90' : 'retail30')
+      }))
+    }),
+    plan: ({ mailOrderCopayMultiplier, ...plan }) => ({
+      ...plan,
+      supplyCopayMultipliers: {
+        ...defaultPlan.supplyCopayMultipliers,
+        ...(mailOrderCopayMultiplier !== undefined && { mail90: mailOrderCopayMultiplier }),
+        ...plan.supplyCopayMultipliers
+      }
+    })
+  },
+  {
+    version: 4,
+    description: 'scenario rules from the old best/most likely/worst case copies',
+    scenarios: (scenarios, { people }) => migrateScenarios(scenarios, people || [])
+  }
+];
+
+/**
+ * Schema version written with stored and exported data
+ */
+export const schemaVersion = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Labels for each kind of versioned data, for error messages
+const KIND_LABELS = {
+  people: 'family members',
+  plans: 'plans',
+  scenarios: 'scenarios',
+  costSettings: 'cost settings'
+};
+
+// Step function that upgrades each item of a kind; kinds without one upgrade as a whole
+const ITEM_STEPS = {
+  people: 'person',
+  plans: 'plan'
+};
+
+/**
+ * Check whether stored or imported data has a version envelope
+ * @param {*} stored - Parsed JSON
+ * @returns {boolean} Whether it is { schemaVersion, data }
+ */
+export function isVersioned(stored) {
+  return !!stored && typeof stored === 'object' && !Array.isArray(stored)
+    && Number.isInteger(stored.schemaVersion) && 'data' in stored;
+}
+
+/**
+ * Wrap data in a version envelope for storage or export
+ * @param {string} kind - 'people', 'plans', 'scenarios' or 'costSettings'
+ * @param {*} data - Data in the current shape
+ * @returns {Object} { schemaVersion, kind, data }
+ */
+export function versionData(kind, data) {
+  return { schemaVersion, kind, data };
+}
+
+/**
+ * Upgrade stored or imported data to the current schema
+ * Data without an envelope is version 0. people and plans may be a list or a single
+ * exported item; the shape is kept.
+ * @param {string} kind - 'people', 'plans', 'scenarios' or 'costSettings'
+ * @param {*} stored - Parsed JSON, with or without a version envelope
+ * @param {Object} context - { people } (already upgraded) for scenarios
+ * @returns {Object} { data, fromVersion, applied } where applied lists the steps run
+ */
+export function migrateData(kind, stored, context = {}) {
+  const label = KIND_LABELS[kind] || kind;
+  const versioned = isVersioned(stored);
+  const fromVersion = versioned ? stored.schemaVersion : 0;
+
+  if (versioned && stored.kind && stored.kind !== kind) {
+    throw new Error(`Expected ${label} but the data holds ${KIND_LABELS[stored.kind] || stored.kind}`);
+  }
+  if (fromVersion > schemaVersion) {
+    throw new Error(`These ${label} were saved by a newer version of the app (schema ${fromVersion}); this version reads up to schema ${schemaVersion}`);
+  }
+
+  let data = versioned ? stored.data : stored;
+  const applied = [];
+  MIGRATIONS.filter(step => step.version > fromVersion).forEach(step => {
+    const itemStep = step[ITEM_STEPS[kind]];
+    const listStep = step[kind];
+    if (!itemStep && !listStep) return;
+
+    try {
+      if (itemStep) {
+        data = Array.isArray(data) ? data.map(item => itemStep(item)) : itemStep(data);
+      } else {
+        data = listStep(data, context);
+      }
+    } catch (error) {
+      throw new Error(`Could not upgrade ${label} to schema ${step.version} (${step.description}): ${error.message}`);
+    }
+    applied.push(`${step.version}: ${step.description}`);
+  });
+
+  return { data, fromVersion, applied };
+}
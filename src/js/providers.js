@@ -0,0 +1,79 @@
+/**
+ * Provider Directory
+ * Resolves each plan's network status for the doctors, facilities and pharmacies people
+ * have linked their visits and medications to
+ */
+
+import { formatVisitType } from './ui.js';
+import { inNetworkEmergencyServices, mergeOutOfNetwork } from './data.js';
+
+/**
+ * Attach the directory's network statuses for a plan before pricing it
+ * Charges linked to a provider with a known status for the plan use it; charges linked
+ * to nobody (or to a provider whose status is unknown) keep the person's OON flag.
+ * @param {Object} plan - The insurance plan
+ * @param {Array} providers - Provider directory
+ * @returns {Object} Plan with providerNetworks ({ [providerId]: 'inNetwork' | 'outOfNetwork' })
+ */
+export function applyProviderNetworks(plan, providers) {
+  const providerNetworks = {};
+  (providers || []).forEach(provider => {
+    const status = provider.networks?.[plan.id];
+    if (status === 'inNetwork' || status === 'outOfNetwork') {
+      providerNetworks[provider.id] = status;
+    }
+  });
+  return Object.keys(providerNetworks).length > 0 ? { ...plan, providerNetworks } : plan;
+}
+
+/**
+ * List every provider link people have, with what it is used for
+ * @param {Array} people - People with provider links on visits and medications
+ * @param {Array} providers - Provider directory
+ * @returns {Array} Links as { provider, person, service, serviceKey } (serviceKey is null for medications)
+ */
+export function getProviderLinks(people, providers) {
+  const links = [];
+  people.forEach(person => {
+    Object.entries(person.providers || {}).forEach(([serviceKey, providerId]) => {
+      const provider = providers.find(p => p.id === providerId);
+      if (provider) links.push({ provider, person, service: formatVisitType(serviceKey), serviceKey });
+    });
+    person.medications.forEach(med => {
+      const provider = providers.find(p => p.id === med.providerId);
+      if (provider) links.push({ provider, person, service: med.name || `Tier ${med.tier} Rx`, serviceKey: null });
+    });
+  });
+  return links;
+}
+
+/**
+ * Summarize which of the family's linked providers a plan keeps in network
+ * @param {Object} plan - The insurance plan
+ * @param {Array} people - People with provider links on visits and medications
+ * @param {Array} providers - Provider directory
+ * @returns {Object} Linked providers by status and a warning for each one out of network
+ */
+export function getProviderNetworkSummary(plan, people, providers) {
+  const links = getProviderLinks(people, providers);
+  const linked = [...new Map(links.map(link => [link.provider.id, link.provider])).values()];
+  const statusOf = provider => provider.networks?.[plan.id] || 'unknown';
+
+  const outOfNetwork = linked.filter(provider => statusOf(provider) === 'outOfNetwork');
+  const pricing = mergeOutOfNetwork(plan.outOfNetwork).covered ? 'priced out of network' : 'not covered';
+  // Emergency care keeps in-network cost sharing out of network, so it isn't warned about
+  const warnings = outOfNetwork.map(provider => {
+    const usedFor = links
+      .filter(link => link.provider.id === provider.id && !inNetworkEmergencyServices.includes(link.serviceKey))
+      .map(link => `${link.person.name}'s ${link.service}`);
+    return usedFor.length > 0 ? `${provider.name} is out of network: ${usedFor.join(', ')} ${pricing}` : null;
+  }).filter(Boolean);
+
+  return {
+    linked: linked.length,
+    inNetwork: linked.filter(provider => statusOf(provider) === 'inNetwork'),
+    outOfNetwork,
+    unknown: linked.filter(provider => statusOf(provider) === 'unknown'),
+    warnings
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * Monte Carlo Risk Analysis
+ * Draws many possible years of healthcare use and prices each one against every plan
+ */
+
+import { getDetailedCostBreakdown } from './calculations.js';
+import { defaultPerson, defaultRiskSettings } from './data.js';
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence, so results can be reproduced
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = (Number(seed) || 0) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw from a standard normal distribution (Box-Muller)
+ * @param {Function} random - Seeded generator
+ * @returns {number} Standard normal draw
+ */
+function drawStandardNormal(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Draw a Poisson count
+ * Uses Knuth's method for small rates and a normal approximation for large ones
+ * @param {number} rate - Expected count
+ * @param {Function} random - Seeded generator
+ * @returns {number} Non-negative integer count
+ */
+function drawPoisson(rate, random) {
+  if (rate <= 0) return 0;
+  if (rate > 30) {
+    return Math.max(0, Math.round(rate + Math.sqrt(rate) * drawStandardNormal(random)));
+  }
+  const limit = Math.exp(-rate);
+  let count = 0;
+  let product = random();
+  while (product > limit) {
+    count++;
+    product *= random();
+  }
+  return count;
+}
+
+/**
+ * Draw a visit count around a mean
+ * The yearly rate is lognormal with the given mean and coefficient of variation, and the
+ * count is Poisson around that rate. A spread of 0 keeps the count at the mean.
+ * @param {number} mean - Expected visits per year
+ * @param {number} spread - Coefficient of variation of the yearly rate
+ * @param {Function} random - Seeded generator
+ * @returns {number} Visit count
+ */
+export function drawVisitCount(mean, spread, random) {
+  if (mean <= 0) return 0;
+  if (!spread || spread <= 0) return mean;
+  const sigmaSquared = Math.log(1 + spread * spread);
+  const rate = Math.exp(Math.log(mean) - sigmaSquared / 2 + Math.sqrt(sigmaSquared) * drawStandardNormal(random));
+  return drawPoisson(rate, random);
+}
+
+/**
+ * Draw one possible year for a person
+ * Medications and planned events are kept as entered; visits are drawn around the entered
+ * counts and each catastrophic event is added with its probability
+ * @param {Object} person - Person as entered
+ * @param {Object} settings - Risk analysis settings
+ * @param {Function} random - Seeded generator
+ * @returns {Object} Person with drawn visits and events
+ */
+export function samplePerson(person, settings, random) {
+  const visits = {};
+  Object.keys(defaultPerson.visits).forEach(type => {
+    visits[type] = drawVisitCount(person.visits?.[type] || 0, settings.visitSpread?.[type] ?? 0, random);
+  });
+  const events = { ...defaultPerson.events, ...person.events };
+
+  (settings.catastrophicEvents || []).forEach(event => {
+    if (random() < (event.probability || 0)) {
+      Object.entries(event.visits || {}).forEach(([type, count]) => {
+        visits[type] = (visits[type] || 0) + count;
+      });
+      Object.entries(event.events || {}).forEach(([type, count]) => {
+        events[type] = (events[type] || 0) + count;
+      });
+    }
+  });
+
+  return { ...person, visits, events };
+}
+
+/**
+ * Read a percentile from sorted values, interpolating between neighbors
+ * @param {Array} sorted - Values in ascending order
+ * @param {number} fraction - Percentile as a fraction (0.1 for P10)
+ * @returns {number} Percentile value
+ */
+export function percentile(sorted, fraction) {
+  if (sorted.length === 0) return 0;
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Run a seeded Monte Carlo analysis across plans
+ * Every plan is priced against the same drawn years, so the plans are compared on
+ * identical luck
+ * @param {Array} plans - Insurance plans to compare
+ * @param {Array} people - People as entered (their visit counts are the means)
+ * @param {Object} costSettings - Settings for typical costs of services
+ * @param {Object} riskSettings - Iterations, seed, visit spreads and catastrophic events
+ * @returns {Object} Per-plan expected cost, P10/P50/P90 and probability of being cheapest
+ */
+export function runRiskAnalysis(plans, people, costSettings = null, riskSettings = null) {
+  const settings = { ...defaultRiskSettings, ...riskSettings };
+  const iterations = Math.max(1, Math.floor(settings.iterations) || 1);
+  const random = createRandom(settings.seed);
+  const costs = plans.map(() => []);
+  const cheapestShare = plans.map(() => 0);
+
+  for (let i = 0; i < iterations; i++) {
+    const sampledPeople = people.map(person => samplePerson(person, settings, random));
+    const totals = plans.map(plan => getDetailedCostBreakdown(plan, sampledPeople, costSettings).grandTotal);
+    totals.forEach((total, index) => costs[index].push(total));
+
+    // Split ties evenly so the probabilities always add up to 100%
+    const lowest = Math.min(...totals);
+    const cheapest = totals.filter(total => total - lowest < 0.005).length;
+    totals.forEach((total, index) => {
+      if (total - lowest < 0.005) cheapestShare[index] += 1 / cheapest;
+    });
+  }
+
+  return {
+    iterations,
+    seed: settings.seed,
+    plans: plans.map((plan, index) => {
+      const sorted = [...costs[index]].sort((a, b) => a - b);
+      return {
+        planId: plan.id,
+        name: plan.name,
+        expected: sorted.reduce((sum, value) => sum + value, 0) / iterations,
+        p10: percentile(sorted, 0.1),
+        p50: percentile(sorted, 0.5),
+        p90: percentile(sorted, 0.9),
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        probabilityCheapest: cheapestShare[index] / iterations
+      };
+    })
+  };
+}
@@ -0,0 +1,443 @@
+/**
+ * JSON Schemas
+ * Schemas for plans, people, scenarios and full workspaces, and a validator for the
+ * subset of JSON Schema they use (type, enum, minimum/maximum, properties, required,
+ * additionalProperties and items). Imports are checked against them field by field.
+ */
+
+import {
+  costSharingTypes,
+  familyAccumulationModes,
+  hraCoverageOptions,
+  medicationSupplies,
+  metalLevels,
+  payPeriodFrequencies,
+  premiumRatingMethods,
+  providerNetworkStatuses,
+  providerTypes,
+  relationshipTypes,
+  scenarioRuleTypes
+} from './data.js';
+
+const JSON_SCHEMA_DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+const keysOf = options => options.map(option => option.key);
+
+const NUMBER = { type: 'number' };
+const NUMBER_MAP = { type: 'object', additionalProperties: NUMBER };
+const AMOUNT = { type: 'number', minimum: 0 };
+const AMOUNT_MAP = { type: 'object', additionalProperties: AMOUNT };
+const PERSON_FAMILY_LIMIT = {
+  type: 'object',
+  required: ['person', 'family'],
+  properties: { person: AMOUNT, family: AMOUNT }
+};
+const ID = { type: 'integer' };
+const OPTIONAL_ID = { type: ['integer', 'null'] };
+// Prices typed into inputs are kept as entered (a number or a string such as '')
+const ENTERED_PRICE = { type: ['number', 'string'] };
+
+/**
+ * JSON Schema for one plan
+ */
+export const planSchema = {
+  $schema: JSON_SCHEMA_DRAFT,
+  title: 'Health insurance plan',
+  type: 'object',
+  required: ['name', 'medicalDeductible', 'rxDeductible', 'outOfPocketMax', 'copays', 'coinsurance', 'rxCopays'],
+  properties: {
+    id: ID,
+    name: { type: 'string' },
+    premium: AMOUNT,
+    premiumFrequency: { enum: keysOf(payPeriodFrequencies) },
+    premiumRating: { enum: keysOf(premiumRatingMethods) },
+    premiumTiers: AMOUNT_MAP,
+    tobaccoSurcharge: { type: 'number', minimum: 0, maximum: 0.5 },
+    employeeId: OPTIONAL_ID,
+    marketplace: { type: 'boolean' },
+    metalLevel: { enum: keysOf(metalLevels) },
+    csrVariants: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          medicalDeductible: { type: 'object', properties: { person: AMOUNT, family: AMOUNT } },
+          outOfPocketMax: { type: 'object', properties: { person: AMOUNT, family: AMOUNT } }
+        }
+      }
+    },
+    medicalDeductible: PERSON_FAMILY_LIMIT,
+    rxDeductible: PERSON_FAMILY_LIMIT,
+    outOfPocketMax: PERSON_FAMILY_LIMIT,
+    copays: AMOUNT_MAP,
+    coinsurance: AMOUNT_MAP,
+    rxCopays: AMOUNT_MAP,
+    rxDeductibleWaived: { type: 'array', items: { type: 'integer', minimum: 1, maximum: 5 } },
+    supplyCopayMultipliers: AMOUNT_MAP,
+    formulary: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['tier'],
+        properties: {
+          name: { type: 'string' },
+          code: { type: 'string' },
+          tier: { type: 'integer', minimum: 1, maximum: 5 },
+          priorAuth: { type: 'boolean' },
+          quantityLimit: { type: 'boolean' },
+          price: { type: ['number', 'null'], minimum: 0 }
+        }
+      }
+    },
+    childrenDentalCheckup: AMOUNT,
+    childrenEyeExam: AMOUNT,
+    familyAccumulation: { enum: keysOf(familyAccumulationModes) },
+    outOfNetwork: {
+      type: 'object',
+      properties: {
+        covered: { type: 'boolean' },
+        deductible: PERSON_FAMILY_LIMIT,
+        outOfPocketMax: PERSON_FAMILY_LIMIT,
+        coinsurance: { type: 'number', minimum: 0, maximum: 1 },
+        balanceBilling: AMOUNT
+      }
+    },
+    accounts: {
+      type: 'object',
+      properties: {
+        hsa: { type: 'object', properties: { employer: AMOUNT, employee: AMOUNT } },
+        hra: { type: 'object', properties: { employer: AMOUNT, covers: { enum: keysOf(hraCoverageOptions) } } },
+        fsa: { type: 'object', properties: { employee: AMOUNT, carryover: AMOUNT } }
+      }
+    },
+    costSharing: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['type'],
+          properties: {
+            // '' is "Auto (by amount)" as saved before choosing it removed the rule
+            type: { enum: ['', ...keysOf(costSharingTypes)] },
+            cap: AMOUNT
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * JSON Schema for one family member
+ */
+export const personSchema = {
+  $schema: JSON_SCHEMA_DRAFT,
+  title: 'Family member',
+  type: 'object',
+  required: ['name', 'visits', 'medications'],
+  properties: {
+    id: ID,
+    name: { type: 'string' },
+    visits: AMOUNT_MAP,
+    events: AMOUNT_MAP,
+    pediatric: AMOUNT_MAP,
+    medications: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: ID,
+          name: { type: 'string' },
+          code: { type: 'string' },
+          tier: { type: 'integer', minimum: 1, maximum: 5 },
+          refillsPerYear: AMOUNT,
+          customCost: ENTERED_PRICE,
+          supply: { enum: keysOf(medicationSupplies) },
+          mailOrderCost: ENTERED_PRICE,
+          startMonth: { type: 'integer', minimum: 1, maximum: 12 },
+          providerId: OPTIONAL_ID,
+          outOfNetwork: { type: 'boolean' }
+        }
+      }
+    },
+    serviceMonths: { type: 'object', additionalProperties: { type: ['integer', 'null'], minimum: 1, maximum: 12 } },
+    outOfNetwork: { type: 'object', additionalProperties: { type: 'boolean' } },
+    providers: { type: 'object', additionalProperties: ID },
+    relationship: { enum: keysOf(relationshipTypes) },
+    birthDate: { type: 'string' },
+    tobacco: { type: 'boolean' }
+  }
+};
+
+/**
+ * JSON Schema for one scenario
+ */
+export const scenarioSchema = {
+  $schema: JSON_SCHEMA_DRAFT,
+  title: 'Scenario',
+  type: 'object',
+  required: ['id', 'name', 'rules'],
+  properties: {
+    id: ID,
+    name: { type: 'string' },
+    color: { type: 'string' },
+    icon: { type: 'string' },
+    rules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type', 'service', 'value'],
+        properties: {
+          id: ID,
+          personId: OPTIONAL_ID,
+          type: { enum: keysOf(scenarioRuleTypes) },
+          service: { type: 'string' },
+          value: NUMBER
+        }
+      }
+    }
+  }
+};
+
+/**
+ * JSON Schema for a full workspace export
+ */
+export const workspaceSchema = {
+  $schema: JSON_SCHEMA_DRAFT,
+  title: 'Workspace',
+  type: 'object',
+  required: ['schemaVersion', 'kind', 'data'],
+  properties: {
+    schemaVersion: { type: 'integer', minimum: 0 },
+    kind: { enum: ['workspace'] },
+    data: {
+      type: 'object',
+      required: ['people', 'plans'],
+      properties: {
+        people: { type: 'array', items: personSchema },
+        plans: { type: 'array', items: planSchema },
+        scenarios: { type: 'array', items: scenarioSchema },
+        costSettings: NUMBER_MAP,
+        household: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            income: AMOUNT,
+            size: { type: ['integer', 'null'], minimum: 1 },
+            region: { type: 'string' },
+            benchmarkPremium: AMOUNT
+          }
+        },
+        providers: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'name'],
+            properties: {
+              id: ID,
+              name: { type: 'string' },
+              type: { enum: keysOf(providerTypes) },
+              specialty: { type: 'string' },
+              networks: { type: 'object', additionalProperties: { enum: keysOf(providerNetworkStatuses) } }
+            }
+          }
+        },
+        riskSettings: { type: 'object' }
+      }
+    }
+  }
+};
+
+/**
+ * Describe a value for an error message
+ * @param {*} value - Value found
+ * @returns {string} Short JSON-like description
+ */
+function describeValue(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'object') return 'object';
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > 40 ? text.slice(0, 37) + '...' : text;
+}
+
+/**
+ * Check a value against one JSON type name
+ * @param {string} type - 'number', 'integer', 'string', 'boolean', 'object', 'array' or 'null'
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value has that type
+ */
+function isType(type, value) {
+  switch (type) {
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Try to turn a value of the wrong type into one the schema accepts
+ * Handles what LLM-generated JSON tends to contain: numbers as strings ("40", "$1,500"),
+ * percentages as strings ("20%" becomes 0.2), "true"/"false" strings, numbers where a
+ * string is expected and enum values in the wrong case.
+ * @param {Object} schema - Schema for the value
+ * @param {*} value - Value found
+ * @returns {Object} { ok, value }
+ */
+function coerceValue(schema, value) {
+  const types = [].concat(schema.type || []);
+
+  if (schema.enum && typeof value === 'string') {
+    const match = schema.enum.find(option => typeof option === 'string' && option.toLowerCase() === value.trim().toLowerCase());
+    if (match !== undefined) return { ok: true, value: match };
+  }
+
+  if (typeof value === 'string' && (types.includes('number') || types.includes('integer'))) {
+    const text = value.trim().replace(/[$,\s]/g, '');
+    if (/^-?(\d+\.?\d*|\.\d+)%?$/.test(text)) {
+      const number = text.endsWith('%') ? parseFloat(text) / 100 : parseFloat(text);
+      if (types.includes('number') || Number.isInteger(number)) return { ok: true, value: number };
+    }
+  }
+
+  if (typeof value === 'string' && types.includes('boolean')) {
+    const text = value.trim().toLowerCase();
+    if (['true', 'yes'].includes(text)) return { ok: true, value: true };
+    if (['false', 'no'].includes(text)) return { ok: true, value: false };
+  }
+
+  if ((typeof value === 'number' || typeof value === 'boolean') && types.includes('string')) {
+    return { ok: true, value: String(value) };
+  }
+
+  return { ok: false, value };
+}
+
+/**
+ * Check one value's own type, enum and range
+ * @param {Object} schema - Schema for the value
+ * @param {*} value - Value to check
+ * @returns {string|null} Problem description, or null when the value is fine
+ */
+function checkValue(schema, value) {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => isType(type, value))) {
+    return `expected ${types.join(' or ')}, got ${describeValue(value)}`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `expected one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${describeValue(value)}`;
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return `expected at least ${schema.minimum}, got ${value}`;
+    if (schema.maximum !== undefined && value > schema.maximum) return `expected at most ${schema.maximum}, got ${value}`;
+  }
+  return null;
+}
+
+/**
+ * Walk a value against a schema, collecting problems and optionally fixing them
+ * @param {Object} schema - Schema for the value
+ * @param {*} value - Value to check
+ * @param {string} path - Path of the value, e.g. "copays.specialist" or "[0].medications[1].tier"
+ * @param {boolean} coerce - Whether to replace values coerceValue can fix
+ * @param {Object} result - { errors, fixed } collected so far
+ * @returns {*} The value, coerced where fixed
+ */
+function walk(schema, value, path, coerce, result) {
+  let current = value;
+  const problem = checkValue(schema, current);
+  if (problem) {
+    const coerced = coerceValue(schema, current);
+    const fixable = coerced.ok && !checkValue(schema, coerced.value);
+    if (coerce && fixable) {
+      current = coerced.value;
+      result.fixed++;
+    } else {
+      result.errors.push({ path, message: problem, fixable });
+      return current;
+    }
+  }
+
+  const join = key => path ? `${path}.${key}` : key;
+
+  if (isType('object', current) && (schema.properties || schema.additionalProperties || schema.required)) {
+    const next = { ...current };
+    (schema.required || []).forEach(key => {
+      if (!(key in current)) result.errors.push({ path: join(key), message: 'is required', fixable: false });
+    });
+    Object.keys(current).forEach(key => {
+      const childSchema = schema.properties?.[key] || (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (childSchema) next[key] = walk(childSchema, current[key], join(key), coerce, result);
+    });
+    return next;
+  }
+
+  if (Array.isArray(current) && schema.items) {
+    return current.map((item, index) => walk(schema.items, item, `${path}[${index}]`, coerce, result));
+  }
+
+  return current;
+}
+
+/**
+ * Validate data against a schema
+ * @param {Object} schema - JSON Schema from this module
+ * @param {*} data - Data to check
+ * @param {string} path - Path prefix for error messages
+ * @returns {Array} Problems as { path, message, fixable }
+ */
+export function validateData(schema, data, path = '') {
+  const result = { errors: [], fixed: 0 };
+  walk(schema, data, path, false, result);
+  return result.errors;
+}
+
+/**
+ * Fix every value a schema can coerce
+ * @param {Object} schema - JSON Schema from this module
+ * @param {*} data - Data to fix
+ * @param {string} path - Path prefix for error messages
+ * @returns {Object} { data, fixed, errors } with the problems that remain
+ */
+export function coerceData(schema, data, path = '') {
+  const result = { errors: [], fixed: 0 };
+  const coerced = walk(schema, data, path, true, result);
+  return { data: coerced, fixed: result.fixed, errors: result.errors };
+}
+
+/**
+ * Format a problem for display
+ * @param {Object} error - Problem from validateData
+ * @returns {string} e.g. 'copays.specialist: expected number, got "40"'
+ */
+export function formatValidationError(error) {
+  return error.path ? `${error.path}: ${error.message}` : error.message;
+}
+
+/**
+ * Check an import of one item or a list of items against the schema for one item
+ * @param {Object} schema - Schema for one item (planSchema, personSchema, ...)
+ * @param {Object|Array} data - Imported item or list of items
+ * @returns {Object} errors, fixable (count), total, valid (items without problems)
+ *   and fixed (items that have no problems once coerced)
+ */
+export function checkImport(schema, data) {
+  const isList = Array.isArray(data);
+  const entries = (isList ? data : [data]).map((item, index) => {
+    const path = isList ? `[${index}]` : '';
+    return { item, errors: validateData(schema, item, path), coerced: coerceData(schema, item, path) };
+  });
+  const errors = entries.flatMap(entry => entry.errors);
+
+  return {
+    errors,
+    fixable: errors.filter(error => error.fixable).length,
+    total: entries.length,
+    valid: entries.filter(entry => entry.errors.length === 0).map(entry => entry.item),
+    fixed: entries.filter(entry => entry.coerced.errors.length === 0).map(entry => entry.coerced.data)
+  };
+}
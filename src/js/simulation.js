@@ -0,0 +1,238 @@
+/**
+ * Month-by-Month Claim Simulation
+ * Spreads visits, planned events and refills across the plan year and adjudicates
+ * them in date order against the deductible and MOOP accumulators
+ */
+
+import { MONTH_LABELS } from './ui.js';
+import { gatherPersonCharges, getDetailedCostBreakdown, getPlanLimits, priceChargesAfterDeductible } from './calculations.js';
+
+// Treat an accumulator within a cent of its limit as met
+const LIMIT_EPSILON = 0.005;
+
+// Deductible accumulator each deductible-applicable bucket counts towards
+const DEDUCTIBLE_ACCUMULATORS = {
+  deductible: { key: 'deductible', name: 'deductible' },
+  rxDeductible: { key: 'rxDeductible', name: 'Rx deductible' },
+  outOfNetwork: { key: 'outOfNetworkDeductible', name: 'out-of-network deductible' }
+};
+
+/**
+ * Read a 1-12 month value, ignoring anything else
+ * @param {*} value - Month from a person or medication
+ * @returns {number|null} Month number, or null when not set
+ */
+function parseMonth(value) {
+  const month = parseInt(value);
+  return month >= 1 && month <= 12 ? month : null;
+}
+
+/**
+ * Spread units evenly between two months (inclusive)
+ * Each unit gets a position in the year measured in months, so claims from different
+ * people interleave by date instead of being processed person by person
+ * @param {number} units - Number of units (may be fractional)
+ * @param {number} firstMonth - First month the units can land in (1-12)
+ * @param {number} lastMonth - Last month the units can land in (1-12)
+ * @returns {Array} Claims as { time, share } where share is the fraction of a unit
+ */
+function spreadUnits(units, firstMonth = 1, lastMonth = 12) {
+  const count = Math.ceil(units);
+  const span = lastMonth - firstMonth + 1;
+  const claims = [];
+  for (let i = 0; i < count; i++) {
+    claims.push({
+      time: firstMonth - 1 + ((i + 0.5) * span) / count,
+      share: Math.min(1, units - i)
+    });
+  }
+  return claims;
+}
+
+/**
+ * Date the units of one charge line
+ * Medications refill monthly from their start month; visits and events land in the
+ * month set in person.serviceMonths, or are spread over the whole year
+ * @param {Object} line - Charge line from gatherPersonCharges
+ * @param {Object} person - Person the line belongs to
+ * @returns {Array} Claims as { time, share }
+ */
+function scheduleLine(line, person) {
+  if (line.medicationId !== undefined) {
+    const med = person.medications.find(m => m.id === line.medicationId);
+    return spreadUnits(line.units, parseMonth(med?.startMonth) || 1, 12);
+  }
+
+  const month = parseMonth(person.serviceMonths?.[line.serviceKey]);
+  return month ? spreadUnits(line.units, month, month) : spreadUnits(line.units);
+}
+
+/**
+ * Simulate a plan year month by month
+ * @param {Object} plan - The insurance plan
+ * @param {Array} people - Array of people with visits, events and medications
+ * @param {Object} costSettings - Settings for typical costs of services
+ * @returns {Object} Monthly cash flow, deductible/MOOP milestones and annual totals
+ */
+export function simulateClaimsByMonth(plan, people, costSettings = null) {
+  const breakdown = getDetailedCostBreakdown(plan, people, costSettings);
+  const monthlyPremium = breakdown.premiumBreakdown.annualPremium / 12;
+  const isFamilyPlan = people.length > 1;
+  const {
+    familyDeductibleLimit,
+    familyRxDeductibleLimit,
+    individualMOOPLimit,
+    familyMOOPLimit,
+    deductibleEmbedded,
+    moopEmbedded,
+    personDeductibleLimit,
+    personRxDeductibleLimit,
+    outOfNetwork
+  } = getPlanLimits(plan, isFamilyPlan);
+  const personDeductibleLimits = {
+    deductible: personDeductibleLimit,
+    rxDeductible: personRxDeductibleLimit,
+    outOfNetworkDeductible: outOfNetwork.personDeductibleLimit
+  };
+  const familyDeductibleLimits = {
+    deductible: familyDeductibleLimit,
+    rxDeductible: familyRxDeductibleLimit,
+    outOfNetworkDeductible: outOfNetwork.familyDeductibleLimit
+  };
+
+  // 1. Date every claim, then order them across the whole family
+  const claims = [];
+  people.forEach((person, personIndex) => {
+    const chargeDetails = gatherPersonCharges(plan, person, costSettings);
+    Object.keys(chargeDetails).forEach(bucket => {
+      chargeDetails[bucket].forEach(line => {
+        scheduleLine(line, person).forEach(({ time, share }) => {
+          claims.push({ time, share, personIndex, bucket, line });
+        });
+      });
+    });
+  });
+  claims.sort((a, b) => a.time - b.time);
+
+  const months = MONTH_LABELS.map((label, index) => ({
+    month: index + 1,
+    label,
+    premium: monthlyPremium,
+    deductible: 0,
+    afterDeductible: 0,
+    copays: 0,
+    notCovered: 0,
+    outOfPocket: 0,
+    total: 0,
+    cumulative: 0,
+    byPerson: people.map(() => 0),
+    milestones: []
+  }));
+  const milestones = [];
+  const reached = new Set();
+  const markMilestone = (key, month, label) => {
+    if (reached.has(key)) return;
+    reached.add(key);
+    milestones.push({ month: month.month, label });
+    month.milestones.push(label);
+  };
+
+  // 2. Adjudicate in date order
+  const accumulators = people.map(() => ({ deductible: 0, rxDeductible: 0, outOfNetworkDeductible: 0, oop: 0, outOfNetworkOop: 0 }));
+  const family = { deductible: 0, rxDeductible: 0, outOfNetworkDeductible: 0, oop: 0, outOfNetworkOop: 0 };
+
+  claims.forEach(({ time, share, personIndex, bucket, line }) => {
+    const month = months[Math.min(11, Math.floor(time))];
+    const personAcc = accumulators[personIndex];
+    const personName = people[personIndex].name;
+
+    // Not covered charges and balance billing are paid in full and never count towards the MOOP
+    if (bucket === 'notCovered' || bucket === 'balanceBilling') {
+      const cost = (line.cost * share) / line.units;
+      month.notCovered += cost;
+      month.byPerson[personIndex] += cost;
+      return;
+    }
+
+    let toDeductible = 0;
+    let afterDeductible = 0;
+    let copays = 0;
+
+    if (bucket === 'exempt') {
+      copays = (line.cost * share) / line.units;
+    } else {
+      const { key, name: deductibleName } = DEDUCTIBLE_ACCUMULATORS[bucket];
+      const personLimit = personDeductibleLimits[key];
+      const familyLimit = familyDeductibleLimits[key];
+      const claim = { ...line, cost: share * line.unitCost };
+
+      toDeductible = Math.max(0, Math.min(claim.cost, personLimit - personAcc[key], familyLimit - family[key]));
+      priceChargesAfterDeductible([claim], toDeductible);
+      afterDeductible = claim.afterDeductible;
+      personAcc[key] += toDeductible;
+      family[key] += toDeductible;
+
+      if (isFamilyPlan) {
+        if (deductibleEmbedded && personLimit > 0 && personAcc[key] >= personLimit - LIMIT_EPSILON) {
+          markMilestone(`${key}-${personIndex}`, month, `${personName} met their ${deductibleName}`);
+        }
+        if (familyLimit > 0 && family[key] >= familyLimit - LIMIT_EPSILON) {
+          markMilestone(`${key}-family`, month, `Family ${deductibleName} met`);
+        }
+      } else if (personLimit > 0 && personAcc[key] >= personLimit - LIMIT_EPSILON) {
+        markMilestone(key, month, `${deductibleName[0].toUpperCase()}${deductibleName.slice(1)} met`);
+      }
+    }
+
+    // Stop paying once the person's (embedded) or the family's MOOP for the claim's
+    // network is reached; an out-of-network MOOP of 0 means there is no limit
+    const isOutOfNetwork = bucket === 'outOfNetwork';
+    const oopKey = isOutOfNetwork ? 'outOfNetworkOop' : 'oop';
+    const individualLimit = isOutOfNetwork ? outOfNetwork.individualMOOPLimit || Infinity : individualMOOPLimit;
+    const familyLimit = isOutOfNetwork ? outOfNetwork.familyMOOPLimit || Infinity : familyMOOPLimit;
+    const owed = toDeductible + afterDeductible + copays;
+    const personRoom = isFamilyPlan && moopEmbedded ? individualLimit - personAcc[oopKey] : Infinity;
+    const paid = Math.max(0, Math.min(owed, personRoom, familyLimit - family[oopKey]));
+    const paidShare = owed > 0 ? paid / owed : 0;
+
+    month.deductible += toDeductible * paidShare;
+    month.afterDeductible += afterDeductible * paidShare;
+    month.copays += copays * paidShare;
+    month.byPerson[personIndex] += paid;
+    personAcc[oopKey] += paid;
+    family[oopKey] += paid;
+
+    const moopName = isOutOfNetwork ? 'out-of-network out-of-pocket max' : 'out-of-pocket max';
+    if (isFamilyPlan && moopEmbedded && individualLimit > 0 && personAcc[oopKey] >= individualLimit - LIMIT_EPSILON) {
+      markMilestone(`${oopKey}-${personIndex}`, month, `${personName} reached their ${moopName}`);
+    }
+    if (familyLimit > 0 && family[oopKey] >= familyLimit - LIMIT_EPSILON) {
+      markMilestone(`${oopKey}-family`, month, isFamilyPlan ? `Family ${moopName} reached` : `${moopName[0].toUpperCase()}${moopName.slice(1)} reached`);
+    }
+  });
+
+  // 3. Monthly and running totals
+  let cumulative = 0;
+  months.forEach(month => {
+    month.outOfPocket = month.deductible + month.afterDeductible + month.copays + month.notCovered;
+    month.total = month.premium + month.outOfPocket;
+    cumulative += month.total;
+    month.cumulative = cumulative;
+  });
+
+  const sum = field => months.reduce((total, month) => total + month[field], 0);
+
+  return {
+    months,
+    milestones,
+    people: people.map(person => ({ id: person.id, name: person.name })),
+    monthlyPremium,
+    totals: {
+      premium: sum('premium'),
+      outOfPocket: sum('outOfPocket'),
+      notCovered: sum('notCovered'),
+      total: cumulative
+    },
+    annualEstimate: breakdown.grandTotal
+  };
+}
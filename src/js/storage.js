@@ -1,8 +1,12 @@
 /**
- * Local Storage Functions
- * Handle all localStorage operations with error handling
+ * Storage Functions
+ * Named workspaces in IndexedDB (or localStorage where IndexedDB isn't available), and
+ * localStorage helpers with error handling
  */
 
+import { migrateData, versionData } from './migrations.js';
+import { createWorkspaceBundle, readWorkspaceBundle } from './workspace.js';
+
 /**
  * Save data to localStorage
  * @param {string} key - Storage key
@@ -33,16 +37,360 @@ export function loadFromLocalStorage(key, defaultValue) {
 }
 
 /**
- * Clear all application data from localStorage
+ * Save data to localStorage in a schema version envelope
+ * @param {string} key - Storage key
+ * @param {string} kind - 'people', 'plans', 'scenarios' or 'costSettings'
+ * @param {any} data - Data in the current shape
  */
-export function clearAllData() {
-  if (confirm('Are you sure you want to clear all data? This will remove all family members and plans, and cannot be undone.')) {
-    localStorage.removeItem('healthcarecompare-people');
-    localStorage.removeItem('healthcarecompare-plans');
-    localStorage.removeItem('healthcarecompare-scenarios');
-    return true;
+export function saveVersionedToLocalStorage(key, kind, data) {
+  saveToLocalStorage(key, versionData(kind, data));
+}
+
+/**
+ * Load versioned data from localStorage, upgrading older saves to the current schema
+ * When the saved data can't be read or upgraded it is copied to `<key>-backup` before the
+ * error is thrown, so saving the defaults the caller falls back to doesn't lose it.
+ * @param {string} key - Storage key
+ * @param {string} kind - 'people', 'plans', 'scenarios' or 'costSettings'
+ * @param {any} defaultValue - Value when nothing is saved
+ * @param {Object} context - Context for the migrations ({ people } for scenarios)
+ * @returns {any} Data in the current shape, or defaultValue
+ */
+export function loadVersionedFromLocalStorage(key, kind, defaultValue, context = {}) {
+  const stored = localStorage.getItem(key);
+  if (!stored) return defaultValue;
+
+  try {
+    return migrateData(kind, JSON.parse(stored), context).data;
+  } catch (error) {
+    localStorage.setItem(`${key}-backup`, stored);
+    throw error;
+  }
+}
+
+// Keys used before workspaces, when one household was kept straight in localStorage
+const LEGACY_KEYS = {
+  people: 'healthcarecompare-people',
+  plans: 'healthcarecompare-plans',
+  scenarios: 'healthcarecompare-scenarios',
+  costSettings: 'healthcarecompare-costsettings',
+  household: 'healthcarecompare-household',
+  providers: 'healthcarecompare-providers',
+  riskSettings: 'healthcarecompare-risksettings'
+};
+
+const DB_NAME = 'healthcarecompare';
+const DB_STORE = 'records';
+const LOCAL_PREFIX = 'healthcarecompare-store-';
+
+// Records kept in the store: the workspace list, the active workspace, and one bundle per workspace
+const INDEX_KEY = 'workspaces';
+const ACTIVE_KEY = 'active-workspace';
+const workspaceKey = id => `workspace-${id}`;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<any>} The request's result
+ */
+function whenDone(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Key-value store backed by IndexedDB
+ * @returns {Promise<Object>} { name, get, set, remove }
+ */
+async function openIndexedDBBackend() {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+  const db = await whenDone(request);
+
+  const run = (mode, action) => whenDone(action(db.transaction(DB_STORE, mode).objectStore(DB_STORE)));
+  return {
+    name: 'indexedDB',
+    get: key => run('readonly', store => store.get(key)),
+    set: (key, value) => run('readwrite', store => store.put(value, key)),
+    remove: key => run('readwrite', store => store.delete(key))
+  };
+}
+
+/**
+ * Key-value store backed by localStorage, for browsers without IndexedDB (or with it
+ * blocked, as in some private windows)
+ * @returns {Object} { name, get, set, remove }
+ */
+function openLocalStorageBackend() {
+  return {
+    name: 'localStorage',
+    get: async key => {
+      const stored = localStorage.getItem(LOCAL_PREFIX + key);
+      return stored === null ? undefined : JSON.parse(stored);
+    },
+    set: async (key, value) => localStorage.setItem(LOCAL_PREFIX + key, JSON.stringify(value)),
+    remove: async key => localStorage.removeItem(LOCAL_PREFIX + key)
+  };
+}
+
+let backendPromise = null;
+
+/**
+ * The store workspaces are kept in, opened once
+ * @returns {Promise<Object>} IndexedDB backend, or the localStorage one if it can't be opened
+ */
+function getBackend() {
+  if (!backendPromise) {
+    backendPromise = (typeof indexedDB === 'undefined'
+      ? Promise.reject(new Error('IndexedDB is not available'))
+      : openIndexedDBBackend()
+    ).catch(error => {
+      console.warn('Failed to open IndexedDB, keeping workspaces in localStorage:', error);
+      return openLocalStorageBackend();
+    });
   }
-  return false;
+  return backendPromise;
+}
+
+let queue = Promise.resolve();
+
+/**
+ * Run store operations one at a time, in the order they were asked for
+ * Saves are fired on every change, so a switch or rename must not overtake (or be
+ * overwritten by) a save still in flight.
+ * @param {Function} task - async (backend) => result
+ * @returns {Promise<any>} The task's result
+ */
+function enqueue(task) {
+  const result = queue.then(() => getBackend()).then(task);
+  queue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Check a workspace name, trimmed, against the names already taken
+ * @param {Array} workspaces - Workspace list
+ * @param {string} name - Proposed name
+ * @param {number} exceptId - Workspace being renamed, which may keep its own name
+ * @returns {string} Trimmed name
+ */
+function checkWorkspaceName(workspaces, name, exceptId = null) {
+  const trimmed = String(name ?? '').trim();
+  if (!trimmed) {
+    throw new Error('Workspace name is required');
+  }
+  if (workspaces.some(entry => entry.id !== exceptId && entry.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A workspace named "${trimmed}" already exists`);
+  }
+  return trimmed;
+}
+
+/**
+ * Add a workspace to the list and store its data
+ * @param {Object} backend - Store backend
+ * @param {Array} workspaces - Current workspace list
+ * @param {string} name - Workspace name
+ * @param {Object} workspace - Workspace data (see createWorkspaceBundle)
+ * @returns {Promise<Object>} The new list entry { id, name, createdAt, updatedAt }
+ */
+async function addWorkspace(backend, workspaces, name, workspace) {
+  const now = new Date().toISOString();
+  const entry = {
+    id: Math.max(...workspaces.map(item => item.id), 0) + 1,
+    name: checkWorkspaceName(workspaces, name),
+    createdAt: now,
+    updatedAt: now
+  };
+  await backend.set(workspaceKey(entry.id), createWorkspaceBundle(workspace));
+  await backend.set(INDEX_KEY, [...workspaces, entry]);
+  return entry;
+}
+
+/**
+ * Read the household saved before workspaces existed
+ * Parts that can't be upgraded are left out (and backed up, see
+ * loadVersionedFromLocalStorage) so the app falls back to defaults for them.
+ * @returns {Object} { workspace, failures } where failures lists { key, message }
+ */
+function loadLegacyWorkspace() {
+  const workspace = {};
+  const failures = [];
+  const load = (field, kind, context) => {
+    try {
+      workspace[field] = kind
+        ? loadVersionedFromLocalStorage(LEGACY_KEYS[field], kind, undefined, context)
+        : loadFromLocalStorage(LEGACY_KEYS[field], undefined);
+    } catch (error) {
+      console.warn(`Failed to load ${field} from localStorage:`, error);
+      failures.push({ key: LEGACY_KEYS[field], message: error.message });
+    }
+  };
+
+  load('people', 'people');
+  load('plans', 'plans');
+  load('scenarios', 'scenarios', { people: workspace.people || [] });
+  load('costSettings', 'costSettings');
+  load('household');
+  load('providers');
+  load('riskSettings');
+  return { workspace, failures };
+}
+
+/**
+ * Open the workspace store, creating the first workspace when there is none
+ * The first workspace takes over the household saved before workspaces existed, and
+ * its old localStorage keys are removed once it is stored.
+ * @returns {Promise<Object>} { workspaces, activeId, backend, failures } where backend is
+ *   'indexedDB' or 'localStorage' and failures lists legacy data that couldn't be upgraded
+ */
+export function openWorkspaces() {
+  return enqueue(async backend => {
+    let workspaces = (await backend.get(INDEX_KEY)) || [];
+    let failures = [];
+
+    if (workspaces.length === 0) {
+      const legacy = loadLegacyWorkspace();
+      failures = legacy.failures;
+      const entry = await addWorkspace(backend, workspaces, 'My household', legacy.workspace);
+      workspaces = [entry];
+      Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+    }
+
+    let activeId = await backend.get(ACTIVE_KEY);
+    if (!workspaces.some(entry => entry.id === activeId)) {
+      activeId = workspaces[0].id;
+      await backend.set(ACTIVE_KEY, activeId);
+    }
+
+    return { workspaces, activeId, backend: backend.name, failures };
+  });
+}
+
+/**
+ * List the saved workspaces
+ * @returns {Promise<Array>} Entries { id, name, createdAt, updatedAt }
+ */
+export function listWorkspaces() {
+  return enqueue(async backend => (await backend.get(INDEX_KEY)) || []);
+}
+
+/**
+ * Load a workspace, upgrading it to the current schema
+ * When it can't be read it is copied to `workspace-<id>-backup` in the store before the
+ * error is thrown, so saving the defaults the caller falls back to doesn't lose it.
+ * @param {number} id - Workspace id
+ * @returns {Promise<Object>} Workspace data; fields never saved are left out
+ */
+export function loadWorkspace(id) {
+  return enqueue(async backend => {
+    const stored = await backend.get(workspaceKey(id));
+    if (!stored) return {};
+
+    try {
+      return readWorkspaceBundle(stored).data;
+    } catch (error) {
+      await backend.set(`${workspaceKey(id)}-backup`, stored);
+      throw error;
+    }
+  });
+}
+
+/**
+ * Save a workspace's data
+ * @param {number} id - Workspace id
+ * @param {Object} workspace - Workspace data (see createWorkspaceBundle)
+ * @returns {Promise<void>}
+ */
+export function saveWorkspace(id, workspace) {
+  return enqueue(async backend => {
+    const workspaces = (await backend.get(INDEX_KEY)) || [];
+    if (!workspaces.some(entry => entry.id === id)) return;
+
+    await backend.set(workspaceKey(id), createWorkspaceBundle(workspace));
+    await backend.set(INDEX_KEY, workspaces.map(entry => entry.id === id ? { ...entry, updatedAt: new Date().toISOString() } : entry));
+  });
+}
+
+/**
+ * Create a workspace
+ * @param {string} name - Workspace name (must be unique)
+ * @param {Object} workspace - Starting data; empty for the app's defaults
+ * @returns {Promise<Object>} The new list entry
+ */
+export function createWorkspace(name, workspace = {}) {
+  return enqueue(async backend => addWorkspace(backend, (await backend.get(INDEX_KEY)) || [], name, workspace));
+}
+
+/**
+ * Rename a workspace
+ * @param {number} id - Workspace id
+ * @param {string} name - New name (must be unique)
+ * @returns {Promise<Array>} Updated workspace list
+ */
+export function renameWorkspace(id, name) {
+  return enqueue(async backend => {
+    const workspaces = (await backend.get(INDEX_KEY)) || [];
+    const trimmed = checkWorkspaceName(workspaces, name, id);
+    const updated = workspaces.map(entry => entry.id === id ? { ...entry, name: trimmed } : entry);
+    await backend.set(INDEX_KEY, updated);
+    return updated;
+  });
+}
+
+/**
+ * Copy a workspace under a new name
+ * @param {number} id - Workspace to copy
+ * @param {string} name - Name for the copy (must be unique)
+ * @returns {Promise<Object>} The new list entry
+ */
+export function duplicateWorkspace(id, name) {
+  return enqueue(async backend => {
+    const stored = await backend.get(workspaceKey(id));
+    const workspace = stored ? readWorkspaceBundle(stored).data : {};
+    return addWorkspace(backend, (await backend.get(INDEX_KEY)) || [], name, workspace);
+  });
+}
+
+/**
+ * Delete a workspace and its data
+ * @param {number} id - Workspace id
+ * @returns {Promise<Array>} Remaining workspace list
+ */
+export function deleteWorkspace(id) {
+  return enqueue(async backend => {
+    const workspaces = (await backend.get(INDEX_KEY)) || [];
+    if (workspaces.length <= 1) {
+      throw new Error('The last workspace cannot be deleted');
+    }
+
+    const remaining = workspaces.filter(entry => entry.id !== id);
+    await backend.set(INDEX_KEY, remaining);
+    await backend.remove(workspaceKey(id));
+    if ((await backend.get(ACTIVE_KEY)) === id) {
+      await backend.set(ACTIVE_KEY, remaining[0].id);
+    }
+    return remaining;
+  });
+}
+
+/**
+ * Remember which workspace is open
+ * @param {number} id - Workspace id
+ * @returns {Promise<void>}
+ */
+export function setActiveWorkspace(id) {
+  return enqueue(backend => backend.set(ACTIVE_KEY, id));
+}
+
+/**
+ * Ask before clearing the open workspace
+ * The emptied workspace is saved over the old data by the app.
+ * @returns {boolean} Whether the user confirmed
+ */
+export function clearAllData() {
+  return confirm('Are you sure you want to clear all data in this workspace? This will remove all family members and plans (Undo brings them back until you close the tab).');
 }
 
 /**
@@ -0,0 +1,197 @@
+/**
+ * ACA Marketplace Subsidies
+ * Premium tax credit (APTC) and cost-sharing reduction (CSR) estimates from bundled
+ * federal tables, so nothing is looked up over the network
+ */
+
+/**
+ * Federal poverty guidelines and applicable percentage tables by coverage year
+ * Coverage uses the poverty guidelines published the year before. Applicable percentages
+ * are fractions of household income, interpolated linearly across each band of % FPL.
+ */
+export const acaSubsidyTables = {
+  2024: {
+    version: '2024.1',
+    source: 'HHS 2023 poverty guidelines; applicable percentages as extended by the Inflation Reduction Act',
+    povertyGuidelines: {
+      contiguous: { base: 14580, perPerson: 5140 },
+      alaska: { base: 18210, perPerson: 6430 },
+      hawaii: { base: 16770, perPerson: 5910 }
+    },
+    applicablePercentages: [
+      { from: 100, to: 150, start: 0, end: 0 },
+      { from: 150, to: 200, start: 0, end: 0.02 },
+      { from: 200, to: 250, start: 0.02, end: 0.04 },
+      { from: 250, to: 300, start: 0.04, end: 0.06 },
+      { from: 300, to: 400, start: 0.06, end: 0.085 },
+      { from: 400, to: Infinity, start: 0.085, end: 0.085 }
+    ]
+  },
+  2025: {
+    version: '2025.1',
+    source: 'HHS 2024 poverty guidelines; applicable percentages as extended by the Inflation Reduction Act',
+    povertyGuidelines: {
+      contiguous: { base: 15060, perPerson: 5380 },
+      alaska: { base: 18810, perPerson: 6730 },
+      hawaii: { base: 17310, perPerson: 6190 }
+    },
+    applicablePercentages: [
+      { from: 100, to: 150, start: 0, end: 0 },
+      { from: 150, to: 200, start: 0, end: 0.02 },
+      { from: 200, to: 250, start: 0.02, end: 0.04 },
+      { from: 250, to: 300, start: 0.04, end: 0.06 },
+      { from: 300, to: 400, start: 0.06, end: 0.085 },
+      { from: 400, to: Infinity, start: 0.085, end: 0.085 }
+    ]
+  },
+  2026: {
+    version: '2026.1',
+    source: 'HHS 2025 poverty guidelines; applicable percentages from IRS Rev. Proc. 2025-25 (no credit above 400% FPL)',
+    povertyGuidelines: {
+      contiguous: { base: 15650, perPerson: 5500 },
+      alaska: { base: 19550, perPerson: 6880 },
+      hawaii: { base: 17990, perPerson: 6330 }
+    },
+    applicablePercentages: [
+      { from: 100, to: 133, start: 0.021, end: 0.021 },
+      { from: 133, to: 150, start: 0.0314, end: 0.0419 },
+      { from: 150, to: 200, start: 0.0419, end: 0.066 },
+      { from: 200, to: 250, start: 0.066, end: 0.0844 },
+      { from: 250, to: 300, start: 0.0844, end: 0.0996 },
+      { from: 300, to: 400, start: 0.0996, end: 0.0996 }
+    ]
+  }
+};
+
+/**
+ * Silver plan cost-sharing reduction variants by household income (% FPL)
+ * The variant's actuarial value replaces the standard silver plan's 70%
+ */
+export const csrLevels = [
+  { key: '94', label: '94% silver variant', from: 100, to: 150 },
+  { key: '87', label: '87% silver variant', from: 150, to: 200 },
+  { key: '73', label: '73% silver variant', from: 200, to: 250 }
+];
+
+/**
+ * Pick the subsidy table for a coverage year
+ * Years without a bundled table use the closest earlier table, or the earliest one
+ * @param {number} coverageYear - Plan year
+ * @returns {Object} Table with its year
+ */
+export function getSubsidyTable(coverageYear) {
+  const years = Object.keys(acaSubsidyTables).map(Number).sort((a, b) => a - b);
+  const year = [...years].reverse().find(y => y <= coverageYear) ?? years[0];
+  return { year, ...acaSubsidyTables[year] };
+}
+
+/**
+ * Get the federal poverty level for a household
+ * @param {number} householdSize - People in the tax household
+ * @param {string} region - 'contiguous', 'alaska' or 'hawaii'
+ * @param {Object} table - Subsidy table
+ * @returns {number} Poverty level in dollars per year
+ */
+export function getFederalPovertyLevel(householdSize, region, table) {
+  const guideline = table.povertyGuidelines[region] || table.povertyGuidelines.contiguous;
+  return guideline.base + guideline.perPerson * Math.max(0, householdSize - 1);
+}
+
+/**
+ * Get the share of income a household is expected to pay for the benchmark plan
+ * @param {number} fplPercent - Household income as a percentage of the poverty level
+ * @param {Object} table - Subsidy table
+ * @returns {number|null} Applicable percentage as a fraction, or null when no credit applies
+ */
+export function getApplicablePercentage(fplPercent, table) {
+  const band = table.applicablePercentages.find(b => fplPercent >= b.from && fplPercent < b.to);
+  if (!band) return null;
+  if (!Number.isFinite(band.to)) return band.start;
+  return band.start + (band.end - band.start) * (fplPercent - band.from) / (band.to - band.from);
+}
+
+/**
+ * Estimate the premium tax credit and CSR level for a household
+ * Credit = benchmark silver premium - applicable percentage × household income.
+ * Households under 100% FPL are usually directed to Medicaid and get no credit here.
+ * @param {Object} household - income, size, region, benchmarkPremium (monthly)
+ * @param {number} coverageYear - Plan year
+ * @returns {Object} Poverty level, applicable percentage, annual and monthly credit, CSR level
+ */
+export function calculatePremiumTaxCredit(household, coverageYear) {
+  const table = getSubsidyTable(coverageYear);
+  const income = Math.max(0, household.income || 0);
+  const size = Math.max(1, household.size || 1);
+  const fpl = getFederalPovertyLevel(size, household.region, table);
+  const fplPercent = (income / fpl) * 100;
+  const benchmarkAnnual = Math.max(0, household.benchmarkPremium || 0) * 12;
+
+  let reason = null;
+  let applicablePercentage = null;
+  if (fplPercent < 100) {
+    reason = 'Income is below 100% of the poverty level (usually Medicaid instead)';
+  } else {
+    applicablePercentage = getApplicablePercentage(fplPercent, table);
+    if (applicablePercentage === null) reason = `Income is above the highest band in the ${table.year} table`;
+  }
+
+  const expectedContribution = applicablePercentage === null ? null : applicablePercentage * income;
+  const annualCredit = expectedContribution === null ? 0 : Math.max(0, benchmarkAnnual - expectedContribution);
+  if (!reason && annualCredit === 0) reason = 'Expected contribution is at least the benchmark premium';
+
+  const csr = fplPercent >= 100 ? csrLevels.find(level => fplPercent >= level.from && fplPercent < level.to) : null;
+
+  return {
+    tableYear: table.year,
+    tableVersion: table.version,
+    source: table.source,
+    fpl,
+    fplPercent,
+    applicablePercentage,
+    expectedContribution,
+    benchmarkAnnual,
+    annualCredit,
+    monthlyCredit: annualCredit / 12,
+    eligible: annualCredit > 0,
+    reason,
+    csrLevel: csr ? csr.key : null,
+    csrLabel: csr ? csr.label : null
+  };
+}
+
+/**
+ * Fill in a CSR variant limit's family amount
+ * @param {Object} limit - { person, family } as entered
+ * @returns {Object} Limit with a family amount
+ */
+function withFamilyAmount(limit = {}) {
+  const person = limit.person || 0;
+  return { person, family: limit.family || person * 2 };
+}
+
+/**
+ * Apply a household's subsidy to a plan before pricing it
+ * Marketplace plans (other than catastrophic) get the premium tax credit. Silver plans
+ * switch to the CSR variant's medical deductible and MOOP when one is entered for the
+ * household's level. A variant's family amount defaults to twice the person amount.
+ * @param {Object} plan - The insurance plan
+ * @param {Object|null} subsidy - Result of calculatePremiumTaxCredit, or null when off
+ * @returns {Object} Plan to price (the original when nothing applies)
+ */
+export function applyMarketplaceSubsidy(plan, subsidy) {
+  if (!subsidy || !plan.marketplace) return plan;
+
+  const subsidized = { ...plan };
+  if (plan.metalLevel !== 'catastrophic' && subsidy.annualCredit > 0) {
+    subsidized.premiumTaxCredit = subsidy.annualCredit;
+  }
+
+  const variant = plan.metalLevel === 'silver' && subsidy.csrLevel ? plan.csrVariants?.[subsidy.csrLevel] : null;
+  if (variant && (variant.medicalDeductible?.person || variant.outOfPocketMax?.person)) {
+    subsidized.medicalDeductible = withFamilyAmount(variant.medicalDeductible);
+    subsidized.outOfPocketMax = withFamilyAmount(variant.outOfPocketMax);
+    subsidized.csrVariant = subsidy.csrLabel;
+  }
+
+  return subsidized;
+}
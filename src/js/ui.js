@@ -287,8 +287,28 @@ JSON Format Required:
     "tier5": 0.50
   },
   "rxDeductibleWaived": [1, 2],
+  "supplyCopayMultipliers": { "retail90": 3, "mail90": 2 },
   "childrenDentalCheckup": 95,
-  "childrenEyeExam": 0
+  "childrenEyeExam": 0,
+  "familyAccumulation": "embedded",
+  "outOfNetwork": {
+    "covered": true,
+    "deductible": { "person": 0, "family": 0 },
+    "outOfPocketMax": { "person": 0, "family": 0 },
+    "coinsurance": 0.50,
+    "balanceBilling": 0
+  },
+  "costSharing": {
+    "copays": {
+      "primaryCare": { "type": "copay" },
+      "emergencyRoom": { "type": "copayAfterDeductible" },
+      "imaging": { "type": "coinsuranceWithCap", "cap": 250 }
+    },
+    "rxCopays": {
+      "tier1": { "type": "copay" },
+      "tier5": { "type": "notCovered" }
+    }
+  }
 }
 
 Important Notes:
@@ -296,6 +316,15 @@ Important Notes:
 - For coinsurance: Use decimal values (e.g., 0.50 for 50% coinsurance, 0.25 for 25%)
 - For rxCopays: Tiers 1-2 are typically dollar amounts, Tiers 3-5 are typically coinsurance percentages (decimals)
 - rxDeductibleWaived: Array of tier numbers where prescription deductible is waived
+- supplyCopayMultipliers: How many 30-day copays a 90-day fill costs at a retail pharmacy ("retail90") and by mail order ("mail90"), e.g. 2 when a $10 copay becomes $20 by mail; use 3 when the document lists no 90-day pricing
+- familyAccumulation: "embedded" when each person has their own deductible and out-of-pocket limit within the family amounts, "aggregateDeductible" when the family deductible must be met before anyone gets benefits but each person still has an individual out-of-pocket limit, "aggregate" when only the family amounts apply (non-embedded)
+- outOfNetwork: Out-of-network deductible, out-of-pocket limit and coinsurance (decimal). Set "covered" to false when out-of-network care is not covered (e.g. HMO/EPO plans except emergencies). Use 0 for an out-of-pocket limit the plan lists as "not applicable" or "no limit". Leave "balanceBilling" at 0
+- costSharing: For every copay, coinsurance and rxCopays entry, declare how it is charged using the same category and key:
+  - "copay": flat dollar amount, deductible does not apply
+  - "coinsurance": percentage after the deductible
+  - "copayAfterDeductible": flat dollar amount once the deductible is met
+  - "coinsuranceWithCap": percentage after the deductible with a maximum per visit or fill (add "cap" in dollars)
+  - "notCovered": the plan does not cover the service
 - If a service shows "No charge" or "$0", use 0
 - If a service shows percentage coinsurance, convert to decimal (50% = 0.50)
 - Look for separate prescription drug benefits section for rxCopays and rxDeductible
@@ -336,13 +365,24 @@ export function formatVisitType(visitType) {
 }
 
 /**
- * Scenario configurations
+ * Colors a scenario can use
+ * Class names are written out in full so the Tailwind build picks them up
+ */
+export const SCENARIO_COLORS = {
+  blue: { label: 'Blue', card: 'bg-blue-50 dark:bg-blue-900/20', border: 'border-blue-200 dark:border-blue-700', heading: 'text-blue-800 dark:text-blue-300', icon: 'text-blue-600 dark:text-blue-400', swatch: 'bg-blue-500' },
+  green: { label: 'Green', card: 'bg-green-50 dark:bg-green-900/20', border: 'border-green-200 dark:border-green-700', heading: 'text-green-800 dark:text-green-300', icon: 'text-green-600 dark:text-green-400', swatch: 'bg-green-500' },
+  red: { label: 'Red', card: 'bg-red-50 dark:bg-red-900/20', border: 'border-red-200 dark:border-red-700', heading: 'text-red-800 dark:text-red-300', icon: 'text-red-600 dark:text-red-400', swatch: 'bg-red-500' },
+  orange: { label: 'Orange', card: 'bg-orange-50 dark:bg-orange-900/20', border: 'border-orange-200 dark:border-orange-700', heading: 'text-orange-800 dark:text-orange-300', icon: 'text-orange-600 dark:text-orange-400', swatch: 'bg-orange-500' },
+  purple: { label: 'Purple', card: 'bg-purple-50 dark:bg-purple-900/20', border: 'border-purple-200 dark:border-purple-700', heading: 'text-purple-800 dark:text-purple-300', icon: 'text-purple-600 dark:text-purple-400', swatch: 'bg-purple-500' },
+  teal: { label: 'Teal', card: 'bg-teal-50 dark:bg-teal-900/20', border: 'border-teal-200 dark:border-teal-700', heading: 'text-teal-800 dark:text-teal-300', icon: 'text-teal-600 dark:text-teal-400', swatch: 'bg-teal-500' },
+  pink: { label: 'Pink', card: 'bg-pink-50 dark:bg-pink-900/20', border: 'border-pink-200 dark:border-pink-700', heading: 'text-pink-800 dark:text-pink-300', icon: 'text-pink-600 dark:text-pink-400', swatch: 'bg-pink-500' },
+  gray: { label: 'Gray', card: 'bg-gray-50 dark:bg-gray-800', border: 'border-gray-200 dark:border-gray-600', heading: 'text-gray-800 dark:text-gray-200', icon: 'text-gray-600 dark:text-gray-400', swatch: 'bg-gray-500' }
+};
+
+/**
+ * Short month names for the month-by-month simulation
  */
-export const SCENARIOS = [
-  { key: 'bestCase', label: 'Best Case', icon: 'smile', color: 'green' },
-  { key: 'mostLikely', label: 'Most Likely', icon: 'minus', color: 'blue' },
-  { key: 'worstCase', label: 'Worst Case', icon: 'frown', color: 'red' }
-];
+export const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
 /**
  * Dark Mode Toggle Button Component
@@ -0,0 +1,223 @@
+/**
+ * Workspace Bundles
+ * One file with everything on screen: people, plans, scenarios, settings, the provider
+ * directory and UI preferences, and importing it by replacing or merging
+ */
+
+import { migrateData, schemaVersion } from './migrations.js';
+
+/**
+ * Collections a workspace merges item by item, with the id fields that point at them
+ */
+const COLLECTIONS = ['people', 'plans', 'scenarios', 'providers'];
+
+/**
+ * Ways a merge can resolve an imported item that matches one already here
+ */
+export const workspaceConflictModes = [
+  { key: 'keepMine', label: 'Keep mine', description: 'Skip imported items that match one already here' },
+  { key: 'useTheirs', label: 'Use theirs', description: 'Overwrite matching items (and settings) with the imported ones' },
+  { key: 'keepBoth', label: 'Keep both', description: 'Add matching items as copies marked "(imported)"' }
+];
+
+/**
+ * How imported items are matched to existing ones
+ */
+export const workspaceMatchModes = [
+  { key: 'name', label: 'By name' },
+  { key: 'id', label: 'By ID' }
+];
+
+/**
+ * Build a workspace bundle for export
+ * @param {Object} workspace - people, plans, scenarios, costSettings, household, providers,
+ *   riskSettings and preferences (UI state such as scenariosEnabled and theme)
+ * @param {string} appVersion - Version of the app writing the file; left out of the
+ *   bundle when not given (as for workspaces kept in browser storage)
+ * @returns {Object} Versioned bundle with metadata
+ */
+export function createWorkspaceBundle(workspace, appVersion = null) {
+  return {
+    schemaVersion,
+    kind: 'workspace',
+    ...(appVersion && { appVersion }),
+    createdAt: new Date().toISOString(),
+    data: {
+      people: workspace.people,
+      plans: workspace.plans,
+      scenarios: workspace.scenarios,
+      costSettings: workspace.costSettings,
+      household: workspace.household,
+      providers: workspace.providers,
+      riskSettings: workspace.riskSettings,
+      preferences: workspace.preferences
+    }
+  };
+}
+
+/**
+ * Read a workspace bundle, upgrading each part to the current schema
+ * @param {Object} bundle - Parsed workspace file
+ * @returns {Object} Bundle at the current schema version
+ */
+export function readWorkspaceBundle(bundle) {
+  if (!bundle || bundle.kind !== 'workspace' || !bundle.data || typeof bundle.data !== 'object') {
+    throw new Error('This is not a workspace file (expected "kind": "workspace" with a "data" object)');
+  }
+
+  const version = Number.isInteger(bundle.schemaVersion) ? bundle.schemaVersion : 0;
+  const upgrade = (kind, part, context) => part === undefined
+    ? undefined
+    : migrateData(kind, { schemaVersion: version, kind, data: part }, context).data;
+
+  const people = upgrade('people', bundle.data.people);
+  return {
+    ...bundle,
+    schemaVersion,
+    data: {
+      ...bundle.data,
+      people,
+      plans: upgrade('plans', bundle.data.plans),
+      scenarios: upgrade('scenarios', bundle.data.scenarios, { people: people || [] }),
+      costSettings: upgrade('costSettings', bundle.data.costSettings)
+    }
+  };
+}
+
+/**
+ * Find the existing item an imported one matches
+ * @param {Array} items - Existing items
+ * @param {Object} item - Imported item
+ * @param {string} match - 'id' or 'name'
+ * @returns {Object|undefined} Matching item
+ */
+function findMatch(items, item, match) {
+  if (match === 'id') return items.find(existing => existing.id === item.id);
+  const name = String(item.name ?? '').trim().toLowerCase();
+  return name ? items.find(existing => String(existing.name ?? '').trim().toLowerCase() === name) : undefined;
+}
+
+/**
+ * Merge one collection, recording where each imported id ends up
+ * @param {Array} mine - Existing items
+ * @param {Array} theirs - Imported items
+ * @param {Object} options - match and conflict modes
+ * @returns {Object} { items, idMap, added, replaced, skipped }
+ */
+function mergeCollection(mine, theirs, { match, conflict }) {
+  const items = [...mine];
+  const idMap = new Map();
+  let nextId = Math.max(...mine.map(item => item.id), 0) + 1;
+  const counts = { added: 0, replaced: 0, skipped: 0 };
+
+  theirs.forEach(item => {
+    const existing = findMatch(mine, item, match);
+    if (existing && conflict === 'keepMine') {
+      idMap.set(item.id, existing.id);
+      counts.skipped++;
+    } else if (existing && conflict === 'useTheirs') {
+      idMap.set(item.id, existing.id);
+      items[items.indexOf(existing)] = { ...item, id: existing.id };
+      counts.replaced++;
+    } else {
+      idMap.set(item.id, nextId);
+      items.push({ ...item, id: nextId, ...(existing && { name: `${item.name} (imported)` }) });
+      nextId++;
+      counts.added++;
+    }
+  });
+
+  return { items, idMap, ...counts };
+}
+
+/**
+ * Point an imported item's references at the ids its people, plans and providers got
+ * @param {string} collection - 'people', 'plans', 'scenarios' or 'providers'
+ * @param {Object} item - Item as merged
+ * @param {Object} maps - idMap for people, plans and providers
+ * @returns {Object} Item with its references remapped
+ */
+function remapReferences(collection, item, maps) {
+  const remap = (map, id) => id == null ? id : (map.get(id) ?? null);
+  switch (collection) {
+    case 'people':
+      return {
+        ...item,
+        providers: Object.fromEntries(Object.entries(item.providers || {})
+          .map(([service, id]) => [service, remap(maps.providers, id)])
+          .filter(([, id]) => id != null)),
+        medications: (item.medications || []).map(med => ({ ...med, providerId: remap(maps.providers, med.providerId) }))
+      };
+    case 'plans':
+      return { ...item, employeeId: remap(maps.people, item.employeeId) };
+    case 'scenarios':
+      return {
+        ...item,
+        rules: (item.rules || []).map(rule => ({ ...rule, personId: remap(maps.people, rule.personId) }))
+          .filter((rule, index) => rule.personId !== null || item.rules[index].personId == null)
+      };
+    case 'providers':
+      return {
+        ...item,
+        networks: Object.fromEntries(Object.entries(item.networks || {})
+          .map(([planId, status]) => [remap(maps.plans, Number(planId)), status])
+          .filter(([planId]) => planId != null))
+      };
+    default:
+      return item;
+  }
+}
+
+/**
+ * Combine the current workspace with an imported one
+ * Replace takes the imported workspace as is. Merge matches people, plans, scenarios and
+ * providers by id or name; new items are added with fresh ids, and matches follow the
+ * conflict mode. Settings and preferences are only taken from the file with "use theirs".
+ * References between items (plan employees, scenario rules, provider links and networks)
+ * are remapped to the ids the items end up with.
+ * @param {Object} current - Current workspace (same fields as createWorkspaceBundle takes)
+ * @param {Object} incoming - data of a bundle from readWorkspaceBundle
+ * @param {Object} options - mode ('merge' or 'replace'), match ('id' or 'name') and
+ *   conflict ('keepMine', 'useTheirs' or 'keepBoth')
+ * @returns {Object} { workspace, summary } where summary counts added, replaced and skipped items per collection
+ */
+export function mergeWorkspace(current, incoming, options = {}) {
+  const { mode = 'merge', match = 'name', conflict = 'keepMine' } = options;
+
+  if (mode === 'replace') {
+    const workspace = { ...current };
+    Object.keys(current).forEach(key => {
+      if (incoming[key] !== undefined) workspace[key] = incoming[key];
+    });
+    const summary = Object.fromEntries(COLLECTIONS.map(key => [key, { added: (incoming[key] || []).length, replaced: 0, skipped: 0 }]));
+    return { workspace, summary };
+  }
+
+  const merged = {};
+  COLLECTIONS.forEach(key => {
+    merged[key] = mergeCollection(current[key] || [], incoming[key] || [], { match, conflict });
+  });
+  const maps = { people: merged.people.idMap, plans: merged.plans.idMap, providers: merged.providers.idMap };
+
+  const workspace = { ...current };
+  const summary = {};
+  COLLECTIONS.forEach(key => {
+    const { items, idMap, added, replaced, skipped } = merged[key];
+    const importedIds = new Set((incoming[key] || []).map(item => idMap.get(item.id)));
+    const existingIds = new Set((current[key] || []).map(item => item.id));
+    workspace[key] = items.map(item => {
+      // Items taken from the file point at the file's ids; kept items already point at ours
+      const fromFile = importedIds.has(item.id) && (conflict !== 'keepMine' || !existingIds.has(item.id));
+      return fromFile ? remapReferences(key, item, maps) : item;
+    });
+    summary[key] = { added, replaced, skipped };
+  });
+
+  if (conflict === 'useTheirs') {
+    ['costSettings', 'household', 'riskSettings', 'preferences'].forEach(key => {
+      if (incoming[key] !== undefined) workspace[key] = incoming[key];
+    });
+  }
+
+  return { workspace, summary };
+}